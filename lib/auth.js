@@ -0,0 +1,186 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { dataPath, createJsonFile } = require('./store');
+
+// Optional team mode: the server holds the Perplexity key and users sign in with local accounts.
+//
+// The key comes from PPLX_API_KEY or from a JSON config file (CONFIG_FILE, default DATA_DIR/config.json):
+//   { "apiKey": "pplx-...", "users": [{ "username": "alice", "passwordHash": "scrypt$..." }] }
+// Accounts can also be managed with `npm run users -- add <username> <password>` (stored in DATA_DIR/users.json).
+// Without a server key the app stays in bring-your-own-key mode and none of this applies.
+
+const CONFIG_FILE = process.env.CONFIG_FILE || dataPath('config.json');
+const SESSION_COOKIE = 'pplx_session';
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+function loadConfigFile() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Could not read ${CONFIG_FILE}:`, err.message);
+    return {};
+  }
+}
+
+const config = loadConfigFile();
+const SERVER_API_KEY = String(process.env.PPLX_API_KEY || config.apiKey || '').trim();
+
+const usersFile = createJsonFile(dataPath('users.json'), { users: {} });
+const sessionsFile = createJsonFile(dataPath('sessions.json'), { sessions: {} });
+
+// ---- Passwords ----
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ---- Accounts ----
+const USERNAME_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+async function findUser(username) {
+  const fromConfig = (config.users || []).find((u) => u.username === username);
+  if (fromConfig) return fromConfig;
+  const data = await usersFile.read();
+  return Object.hasOwn(data.users, username) ? data.users[username] : null;
+}
+
+async function countUsers() {
+  const data = await usersFile.read();
+  return (config.users || []).length + Object.keys(data.users).length;
+}
+
+async function addUser(username, password) {
+  // '__proto__' and friends would land on the users map's prototype and be lost.
+  if (!USERNAME_RE.test(String(username || '')) || username in Object.prototype) throw new Error('Invalid username.');
+  if (!password || String(password).length < 8) throw new Error('Password must be at least 8 characters.');
+  await usersFile.update((data) => {
+    data.users[username] = { username, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+  });
+}
+
+// Also signs the user out everywhere.
+async function removeUser(username) {
+  const existed = await usersFile.update((data) => {
+    const found = Object.hasOwn(data.users, username);
+    delete data.users[username];
+    return found;
+  });
+  await sessionsFile.update((data) => {
+    for (const [k, s] of Object.entries(data.sessions)) {
+      if (s.username === username) delete data.sessions[k];
+    }
+  });
+  return existed;
+}
+
+async function listUsers() {
+  const data = await usersFile.read();
+  return [...(config.users || []).map((u) => u.username), ...Object.keys(data.users)];
+}
+
+// ---- Sessions ----
+// Only a hash of the session token is stored, so the sessions file can't be replayed.
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function login(username, password) {
+  const user = await findUser(String(username || ''));
+  if (!user || !verifyPassword(password, user.passwordHash)) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  await sessionsFile.update((data) => {
+    // Drop expired sessions while we're here.
+    for (const [k, s] of Object.entries(data.sessions)) {
+      if (s.expiresAt < now) delete data.sessions[k];
+    }
+    data.sessions[tokenHash(token)] = { username: user.username, createdAt: now, expiresAt: now + SESSION_TTL_MS };
+  });
+  return token;
+}
+
+async function logout(token) {
+  if (!token) return;
+  await sessionsFile.update((data) => {
+    delete data.sessions[tokenHash(token)];
+  });
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    if (part.slice(0, idx).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      return ''; // malformed %-escape: treat as no cookie
+    }
+  }
+  return '';
+}
+
+function sessionToken(req) {
+  return readCookie(req, SESSION_COOKIE);
+}
+
+async function sessionUser(req) {
+  const token = sessionToken(req);
+  if (!token) return null;
+  const data = await sessionsFile.read();
+  const s = data.sessions[tokenHash(token)];
+  if (!s || s.expiresAt < Date.now()) return null;
+  // The account may have been removed since (sessions are revoked then, but be sure).
+  if (!(await findUser(s.username))) return null;
+  return { username: s.username };
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    maxAge: SESSION_TTL_MS,
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Attaches req.user when a valid session cookie is present.
+async function attachUser(req, _res, next) {
+  try {
+    req.user = SERVER_API_KEY ? await sessionUser(req) : null;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  SERVER_API_KEY,
+  hashPassword,
+  addUser,
+  removeUser,
+  listUsers,
+  countUsers,
+  login,
+  logout,
+  sessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  attachUser,
+};
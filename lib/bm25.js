@@ -0,0 +1,67 @@
+// Okapi BM25 ranking over short passages (document chunks, knowledge base passages).
+// Everything is in memory and rebuilt on demand; the passage sets here are small enough
+// (hundreds to a few thousand entries) that building an index takes milliseconds.
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Very common English words; they match almost every passage and only add noise.
+const STOPWORDS = new Set(
+  'a an and are as at be but by for from has have he her his i if in into is it its me my no not of on or our she so than that the their them then there these they this to was we were what when where which who why will with you your'.split(' ')
+);
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Builds an index over `passages` (an array of strings). The result is plain data, so it can
+// be kept next to the passages and reused for every query.
+function createIndex(passages) {
+  const docs = [];
+  const df = new Map();
+  let totalLength = 0;
+
+  for (const text of passages) {
+    const tf = new Map();
+    const tokens = tokenize(text);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    docs.push({ tf, length: tokens.length });
+    totalLength += tokens.length;
+  }
+
+  return { docs, df, avgLength: docs.length ? totalLength / docs.length : 0 };
+}
+
+// Scores every passage against `query`. Returns [{ index, score }] best first, leaving out
+// passages that share no term with the query.
+function search(index, query, { limit = 10 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const n = index.docs.length;
+  if (!terms.length || !n) return [];
+
+  const idf = new Map();
+  for (const t of terms) {
+    const df = index.df.get(t) || 0;
+    if (df) idf.set(t, Math.log(1 + (n - df + 0.5) / (df + 0.5)));
+  }
+
+  const hits = [];
+  index.docs.forEach((doc, i) => {
+    let score = 0;
+    for (const [t, w] of idf) {
+      const f = doc.tf.get(t);
+      if (!f) continue;
+      score += (w * f * (K1 + 1)) / (f + K1 * (1 - B + (B * doc.length) / (index.avgLength || 1)));
+    }
+    if (score > 0) hits.push({ index: i, score });
+  });
+
+  return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+  tokenize,
+  createIndex,
+  search,
+};
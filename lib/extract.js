@@ -0,0 +1,280 @@
+const mammoth = require('mammoth');
+const bm25 = require('./bm25');
+
+// Text extraction for document attachments (txt, rtf, docx, pdf). Instead of sending a whole
+// file upstream, the user can send its text, a few pages of it, or the chunks that best
+// match the question. Extracted text carries `[Page n]` / `[Section n: heading]` markers so
+// the model can say where something came from.
+
+const CHUNK_TOKENS = 400;
+const RELEVANT_TOKENS = 3000; // budget for mode "relevant"
+const MAX_PAGES = 2000;
+
+// Rough count for English-like text (~4 characters per token); only used for estimates.
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function extractError(message, status = 422) {
+  return Object.assign(new Error(message), { status, code: 'extract_failed' });
+}
+
+function tidy(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---- Formats ----
+// pdf-parse needs Node >=20.16 (or >=22.3), so it is loaded on first use: on older Node only
+// PDF extraction is unavailable instead of the whole server failing to start.
+let PDFParse = null;
+
+function loadPdfParse() {
+  if (!PDFParse) {
+    try {
+      ({ PDFParse } = require('pdf-parse'));
+    } catch (err) {
+      throw extractError(`PDF text extraction is not available on this server (Node ${process.versions.node}): ${err.message}`, 501);
+    }
+  }
+  return PDFParse;
+}
+
+async function pdfPages(buffer) {
+  const Parser = loadPdfParse();
+  const parser = new Parser({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return result.pages.map((p) => ({ label: `Page ${p.num}`, text: p.text }));
+  } catch (err) {
+    throw extractError(`Could not read the PDF: ${err.message}`);
+  } finally {
+    await parser.destroy().catch(() => {});
+  }
+}
+
+function decodeEntities(s) {
+  return s
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// .docx has no fixed pages, so it is split into sections at each heading.
+async function docxSections(buffer) {
+  let html;
+  try {
+    html = (await mammoth.convertToHtml({ buffer })).value;
+  } catch (err) {
+    throw extractError(`Could not read the document: ${err.message}`);
+  }
+
+  const sections = [];
+  let current = null;
+  for (const [, tag, inner] of html.matchAll(/<(h[1-6]|p|li|td|th)\b[^>]*>([\s\S]*?)<\/\1>/g)) {
+    const text = decodeEntities(inner.replace(/<br\s*\/?>/g, '\n').replace(/<[^>]+>/g, ' ')).trim();
+    if (!text) continue;
+    if (tag[0] === 'h' || !current) {
+      current = { heading: tag[0] === 'h' ? text : '', lines: [] };
+      sections.push(current);
+      if (tag[0] === 'h') continue;
+    }
+    current.lines.push(tag === 'li' ? `- ${text}` : text);
+  }
+
+  return sections.map((s, i) => ({
+    label: s.heading ? `Section ${i + 1}: ${s.heading.slice(0, 80)}` : `Section ${i + 1}`,
+    text: (s.heading ? `${s.heading}\n\n` : '') + s.lines.join('\n\n'),
+  }));
+}
+
+// Minimal RTF reader: keeps the body text, paragraph breaks and escaped characters, and
+// skips font/colour tables, pictures and other destinations.
+function rtfToText(rtf) {
+  const SKIP = /^(fonttbl|colortbl|stylesheet|info|pict|object|header|footer|headerl|headerr|footerl|footerr|listtable|listoverridetable|rsidtbl|themedata|datastore|latentstyles|generator|xmlnstbl)$/;
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1;
+  let pendingSkip = 0;
+  let out = '';
+
+  const re = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+  let m;
+  while ((m = re.exec(rtf))) {
+    const [, word, arg, hex, symbol, brace, text] = m;
+    if (brace === '{') {
+      stack.push({ skip, ucSkip });
+      continue;
+    }
+    if (brace === '}') {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      continue;
+    }
+    if (symbol === '*') {
+      skip = true;
+      continue;
+    }
+    if (word && SKIP.test(word)) {
+      skip = true;
+      continue;
+    }
+    if (skip) continue;
+
+    if (word) {
+      if (word === 'uc') ucSkip = Number(arg || 1);
+      else if (word === 'u') {
+        out += String.fromCharCode(Number(arg) < 0 ? Number(arg) + 65536 : Number(arg));
+        pendingSkip = ucSkip;
+      } else if (word === 'par' || word === 'line' || word === 'sect') out += '\n';
+      else if (word === 'page') out += '\f';
+      else if (word === 'tab' || word === 'cell') out += '\t';
+      else if (word === 'row') out += '\n';
+      continue;
+    }
+    if (pendingSkip > 0 && (hex || text)) {
+      // Characters after \uN are the ANSI fallback for readers without Unicode support.
+      if (hex) {
+        pendingSkip--;
+        continue;
+      }
+      const rest = text.slice(pendingSkip);
+      pendingSkip = Math.max(0, pendingSkip - text.length);
+      out += rest;
+      continue;
+    }
+    if (hex) out += Buffer.from(hex, 'hex').toString('latin1');
+    else if (symbol) out += symbol === '~' ? ' ' : symbol === '-' || symbol === '_' ? '' : symbol;
+    else if (text) out += text;
+  }
+  return out;
+}
+
+// Plain text: form feeds mark pages; otherwise Markdown-style headings mark sections.
+function textParts(text) {
+  if (text.includes('\f')) {
+    return text.split('\f').map((t, i) => ({ label: `Page ${i + 1}`, text: t }));
+  }
+  const parts = text.split(/\n(?=#{1,6} \S)/);
+  if (parts.length < 2) return [{ label: 'Section 1', text }];
+  return parts.map((t, i) => {
+    const heading = t.match(/^#{1,6} (.+)/)?.[1];
+    return { label: heading ? `Section ${i + 1}: ${heading.trim().slice(0, 80)}` : `Section ${i + 1}`, text: t };
+  });
+}
+
+// ---- Extraction ----
+// Returns { unit: 'page' | 'section', pages: [{ n, label, text, tokens }], tokens }.
+async function extract(buffer, type) {
+  let parts;
+  if (type === 'application/pdf') parts = await pdfPages(buffer);
+  else if (type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') parts = await docxSections(buffer);
+  else if (type === 'application/rtf' || type === 'text/rtf') parts = textParts(rtfToText(buffer.toString('latin1')));
+  else if (type === 'text/plain') parts = textParts(buffer.toString('utf8'));
+  else throw extractError('Text extraction is not supported for this file type; send the whole file instead.', 415);
+
+  const pages = parts.slice(0, MAX_PAGES).map((p, i) => {
+    const text = tidy(p.text);
+    return { n: i + 1, label: p.label, text, tokens: estimateTokens(text) };
+  });
+  return {
+    unit: pages[0]?.label.startsWith('Page') ? 'page' : 'section',
+    pages,
+    tokens: pages.reduce((sum, p) => sum + p.tokens, 0),
+  };
+}
+
+// ---- Chunking ----
+// Splits pages into chunks of about CHUNK_TOKENS, on paragraph boundaries where possible.
+// Chunks never span pages, so each one keeps its page marker.
+function chunk(doc) {
+  const maxChars = CHUNK_TOKENS * 4;
+  const chunks = [];
+  for (const page of doc.pages) {
+    let buf = '';
+    const flush = () => {
+      if (buf.trim()) chunks.push({ i: chunks.length, page: page.n, label: page.label, text: buf.trim() });
+      buf = '';
+    };
+    for (const para of page.text.split(/\n\n+/)) {
+      // Paragraphs longer than a chunk are cut at sentence ends (or hard, as a last resort).
+      const pieces = para.length <= maxChars ? [para] : para.match(new RegExp(`[\\s\\S]{1,${maxChars}}(?:[.!?](?=\\s)|$)|[\\s\\S]{1,${maxChars}}`, 'g'));
+      for (const piece of pieces) {
+        if (buf && buf.length + piece.length + 2 > maxChars) flush();
+        buf += (buf ? '\n\n' : '') + piece;
+      }
+    }
+    flush();
+  }
+  return chunks;
+}
+
+// "1-3, 5" -> [1, 2, 3, 5] (within 1..max).
+function parsePages(spec, max) {
+  const out = new Set();
+  for (const part of String(spec || '').split(',')) {
+    const m = part.trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!m) continue;
+    const from = Math.max(1, Number(m[1]));
+    const to = Math.min(max, Number(m[2] || m[1]));
+    for (let n = from; n <= to && out.size < MAX_PAGES; n++) out.add(n);
+  }
+  return [...out].sort((a, b) => a - b);
+}
+
+function withMarker(label, text) {
+  return `[${label}]\n${text}`;
+}
+
+// Picks the text to send for a document: mode "text" (everything), "pages" (`pages` spec)
+// or "relevant" (best BM25 chunks for `query`, up to RELEVANT_TOKENS, in document order).
+function select(doc, { name = 'document', mode = 'text', pages, query } = {}) {
+  let body;
+  let scope;
+
+  if (mode === 'pages') {
+    const wanted = new Set(parsePages(pages, doc.pages.length));
+    const picked = doc.pages.filter((p) => wanted.has(p.n));
+    if (!picked.length) throw extractError(`No valid ${doc.unit}s selected for ${name}.`, 400);
+    body = picked.map((p) => withMarker(p.label, p.text)).join('\n\n');
+    scope = `${doc.unit}s ${pages} of ${doc.pages.length}`;
+  } else if (mode === 'relevant') {
+    const chunks = chunk(doc);
+    const index = bm25.createIndex(chunks.map((c) => c.text));
+    const ranked = bm25.search(index, query, { limit: chunks.length }).map((h) => chunks[h.index]);
+    // Nothing matches (or no question): fall back to the start of the document.
+    const candidates = ranked.length ? ranked : chunks;
+    const picked = [];
+    let used = 0;
+    for (const c of candidates) {
+      const t = estimateTokens(c.text);
+      if (picked.length && used + t > RELEVANT_TOKENS) break;
+      picked.push(c);
+      used += t;
+    }
+    picked.sort((a, b) => a.i - b.i);
+    body = picked.map((c, k) => (k && picked[k - 1].i !== c.i - 1 ? '[…]\n\n' : '') + withMarker(c.label, c.text)).join('\n\n');
+    scope = `${picked.length} of ${chunks.length} excerpts, chosen for the question`;
+  } else {
+    body = doc.pages.map((p) => withMarker(p.label, p.text)).join('\n\n');
+    scope = 'full text';
+  }
+
+  return `<document name="${String(name).replace(/"/g, "'")}" scope="${scope}">\n${body}\n</document>`;
+}
+
+module.exports = {
+  CHUNK_TOKENS,
+  RELEVANT_TOKENS,
+  estimateTokens,
+  extract,
+  chunk,
+  select,
+};
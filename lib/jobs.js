@@ -0,0 +1,232 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { dataPath, createJsonFile, userFileName } = require('./store');
+
+// Server-side tracking of Deep Research async jobs.
+// Once a job is submitted the server keeps polling upstream itself and stores the
+// final response, so closing the tab doesn't lose the result.
+//
+// Job records are persisted per user. API keys are not: in bring-your-own-key mode the
+// key is held in memory only, so after a restart polling resumes the next time that
+// user's browser calls /api/jobs.
+//
+// Status changes are also emitted in-process, which /api/async/events/:id relays over SSE.
+
+const POLL_MIN_MS = 3000;
+const POLL_MAX_MS = 30000;
+const MAX_ERRORS = 5;
+const FINAL = new Set(['COMPLETED', 'FAILED']);
+
+let config = { baseUrl: '', serverKey: '', onUsage: null };
+
+const files = new Map();
+const keys = new Map(); // userId -> API key (memory only)
+const pollers = new Map(); // jobId -> timer
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+function userFile(userId) {
+  let f = files.get(userId);
+  if (!f) {
+    f = createJsonFile(dataPath('jobs', userFileName(userId)), { userId, jobs: {} });
+    files.set(userId, f);
+  }
+  return f;
+}
+
+function summary(job) {
+  const { response, ...rest } = job;
+  return rest;
+}
+
+function configure(opts) {
+  config = { ...config, ...opts };
+}
+
+function rememberKey(userId, apiKey) {
+  if (apiKey && !config.serverKey) keys.set(userId, apiKey);
+}
+
+function keyFor(userId) {
+  return config.serverKey || keys.get(userId) || '';
+}
+
+// ---- Store ----
+async function listJobs(userId) {
+  const data = await userFile(userId).read();
+  return Object.values(data.jobs)
+    .map(summary)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Own keys only: ids come from the URL, and `constructor` / `__proto__` must not resolve.
+function findJob(data, id) {
+  return Object.hasOwn(data.jobs, id) ? data.jobs[id] : null;
+}
+
+async function getJob(userId, id) {
+  const data = await userFile(userId).read();
+  return findJob(data, id);
+}
+
+async function removeJob(userId, id) {
+  stopPolling(id);
+  return userFile(userId).update((data) => {
+    const existed = Boolean(findJob(data, id));
+    if (existed) delete data.jobs[id];
+    return existed;
+  });
+}
+
+async function updateJob(userId, id, patch) {
+  let changed = false;
+  const job = await userFile(userId).update((data) => {
+    const job = findJob(data, id);
+    if (!job) return null;
+    changed = patch.status !== undefined && patch.status !== job.status;
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    return job;
+  });
+  if (job && changed) events.emit(id, job);
+  return job;
+}
+
+function isFinal(status) {
+  return FINAL.has(status);
+}
+
+// Calls `fn(job)` on every status change of job `id`; returns an unsubscribe function.
+function subscribe(id, fn) {
+  events.on(id, fn);
+  return () => events.off(id, fn);
+}
+
+// `upstreamJob` is what /async/chat/completions returned; `meta` is client context (threadId, title).
+async function track(userId, upstreamJob, { apiKey, threadId, title } = {}) {
+  rememberKey(userId, apiKey);
+  const now = new Date().toISOString();
+  const job = {
+    id: upstreamJob.id,
+    model: upstreamJob.model || '',
+    status: upstreamJob.status || 'CREATED',
+    threadId: threadId ? String(threadId).slice(0, 64) : null,
+    title: String(title || '').slice(0, 200),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await userFile(userId).update((data) => {
+    data.jobs[job.id] = job;
+  });
+  schedulePoll(userId, job.id, POLL_MIN_MS);
+  return job;
+}
+
+// ---- Polling ----
+function stopPolling(id) {
+  clearTimeout(pollers.get(id));
+  pollers.delete(id);
+}
+
+function schedulePoll(userId, id, delay, errors = 0) {
+  stopPolling(id);
+  const timer = setTimeout(() => {
+    pollOnce(userId, id, delay, errors).catch((err) => console.error(`Job poll error (${id}):`, err?.message || err));
+  }, delay);
+  timer.unref?.();
+  pollers.set(id, timer);
+}
+
+async function pollOnce(userId, id, delay, errors) {
+  pollers.delete(id);
+  const job = await getJob(userId, id);
+  if (!job || FINAL.has(job.status)) return;
+
+  const apiKey = keyFor(userId);
+  if (!apiKey) return; // Resumes when the user's browser reconnects with a key.
+
+  const next = Math.min(POLL_MAX_MS, Math.round(delay * 1.5));
+  let upstream;
+  try {
+    upstream = await fetch(`${config.baseUrl}/async/chat/completions/${encodeURIComponent(id)}`, {
+      headers: { Authorization: `Bearer ${apiKey}` },
+    });
+  } catch (err) {
+    return retryOrFail(userId, id, next, errors, err.message);
+  }
+
+  if (!upstream.ok) {
+    const text = await upstream.text().catch(() => '');
+    // Auth/not-found won't fix themselves; anything else is retried.
+    if ([401, 403, 404].includes(upstream.status)) {
+      return updateJob(userId, id, { status: 'FAILED', error_message: `Upstream ${upstream.status}: ${text.slice(0, 500)}` });
+    }
+    return retryOrFail(userId, id, next, errors, `Upstream ${upstream.status}`);
+  }
+
+  let data;
+  try {
+    data = await upstream.json();
+  } catch (err) {
+    return retryOrFail(userId, id, next, errors, `Bad upstream response: ${err.message}`);
+  }
+  const patch = { status: data.status || job.status };
+  if (data.status === 'COMPLETED') {
+    patch.response = data.response || null;
+    patch.completedAt = new Date().toISOString();
+    if (data.response?.usage && config.onUsage) await config.onUsage(userId, id, data.response.usage);
+  } else if (data.status === 'FAILED') {
+    patch.error_message = data.error_message || 'Deep research request failed';
+    patch.completedAt = new Date().toISOString();
+  }
+  await updateJob(userId, id, patch);
+
+  if (!FINAL.has(patch.status)) schedulePoll(userId, id, next);
+}
+
+async function retryOrFail(userId, id, next, errors, message) {
+  if (errors + 1 >= MAX_ERRORS) {
+    return updateJob(userId, id, { status: 'FAILED', error_message: `Polling failed: ${message}` });
+  }
+  schedulePoll(userId, id, next, errors + 1);
+}
+
+// Restart polling for a user's unfinished jobs (e.g. after a server restart).
+async function resume(userId, apiKey) {
+  rememberKey(userId, apiKey);
+  if (!keyFor(userId)) return;
+  const data = await userFile(userId).read();
+  for (const job of Object.values(data.jobs)) {
+    if (!FINAL.has(job.status) && !pollers.has(job.id)) schedulePoll(userId, job.id, 0);
+  }
+}
+
+// With a server-held key every user's jobs can resume at startup.
+async function resumeAll() {
+  if (!config.serverKey) return;
+  let names = [];
+  try {
+    names = await fs.promises.readdir(dataPath('jobs'));
+  } catch {
+    return;
+  }
+  for (const name of names.filter((n) => n.endsWith('.json'))) {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(dataPath('jobs', name), 'utf8'));
+      if (data.userId) await resume(data.userId);
+    } catch (err) {
+      console.error(`Could not resume jobs from ${name}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  configure,
+  track,
+  listJobs,
+  getJob,
+  removeJob,
+  isFinal,
+  subscribe,
+  resume,
+  resumeAll,
+};
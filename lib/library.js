@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { dataPath, createJsonFile, userFileName } = require('./store');
+const extract = require('./extract');
+const bm25 = require('./bm25');
+const uploads = require('./uploads');
+
+// Document library (local knowledge base). Documents are uploaded like attachments, then
+// their extracted text is chunked and kept here for good; the upload itself is dropped.
+// Chats that have "Search my library" on retrieve the best BM25 passages for each question
+// and send them along as local sources ([L1], [L2]...).
+//
+// One JSON file per user: { docs: { [id]: { id, name, type, size, createdAt, unit, tokens, chunks } } }
+
+const MAX_DOCS = 500;
+const MAX_PASSAGES = 20;
+
+const files = new Map();
+const indexes = new Map(); // userId -> { version, passages, index }
+const versions = new Map(); // userId -> bumped on every change, so the index knows to rebuild
+
+function userFile(userId) {
+  let f = files.get(userId);
+  if (!f) {
+    f = createJsonFile(dataPath('library', userFileName(userId)), { docs: {} });
+    files.set(userId, f);
+  }
+  return f;
+}
+
+function changed(userId) {
+  versions.set(userId, (versions.get(userId) || 0) + 1);
+}
+
+function summary(doc) {
+  const { chunks, ...rest } = doc;
+  return { ...rest, chunks: chunks.length };
+}
+
+// ---- Documents ----
+async function listDocs(userId) {
+  const data = await userFile(userId).read();
+  return Object.values(data.docs)
+    .map(summary)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Moves an upload (see lib/uploads.js) into the library. Throws (415/422) if it has no text.
+async function addFromUpload(userId, uploadId) {
+  const meta = await uploads.getMeta(userId, uploadId);
+  if (!meta) throw Object.assign(new Error('Upload not found.'), { status: 404 });
+  const text = await uploads.getText(userId, uploadId);
+  if (!text.tokens) throw Object.assign(new Error('No text found in this file (scanned PDF?).'), { status: 422 });
+
+  const doc = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name: meta.name,
+    type: meta.type,
+    size: meta.size,
+    createdAt: new Date().toISOString(),
+    unit: text.unit,
+    tokens: text.tokens,
+    chunks: extract.chunk(text).map(({ page, label, text }) => ({ page, label, text })),
+  };
+
+  const result = await userFile(userId).update((data) => {
+    if (Object.keys(data.docs).length >= MAX_DOCS) {
+      throw Object.assign(new Error(`Library limit reached (${MAX_DOCS} documents).`), { status: 400 });
+    }
+    data.docs[doc.id] = doc;
+    return summary(doc);
+  });
+  changed(userId);
+  await uploads.remove(userId, uploadId).catch(() => {});
+  return result;
+}
+
+async function removeDoc(userId, id) {
+  const removed = await userFile(userId).update((data) => {
+    if (!Object.hasOwn(data.docs, id)) return false;
+    delete data.docs[id];
+    return true;
+  });
+  if (removed) changed(userId);
+  return removed;
+}
+
+// ---- Retrieval ----
+async function search(userId, query, { limit = 5 } = {}) {
+  const data = await userFile(userId).read();
+
+  const version = versions.get(userId) || 0;
+  let cached = indexes.get(userId);
+  if (!cached || cached.version !== version) {
+    const passages = [];
+    for (const doc of Object.values(data.docs)) {
+      for (const c of doc.chunks) passages.push({ docId: doc.id, name: doc.name, page: c.page, label: c.label, text: c.text });
+    }
+    cached = { version, passages, index: bm25.createIndex(passages.map((p) => `${p.name}\n${p.text}`)) };
+    indexes.set(userId, cached);
+  }
+
+  const n = Math.max(1, Math.min(MAX_PASSAGES, Number(limit) || 5));
+  return bm25.search(cached.index, query, { limit: n }).map((hit) => ({ ...cached.passages[hit.index], score: Number(hit.score.toFixed(3)) }));
+}
+
+module.exports = {
+  listDocs,
+  addFromUpload,
+  removeDoc,
+  search,
+};
@@ -0,0 +1,197 @@
+const { Transform } = require('stream');
+const { dataPath, createJsonFile } = require('./store');
+
+// Per-user rate limits and daily quotas for the upstream routes.
+//
+//   RATE_LIMIT_CHAT_PER_MIN   token bucket for /api/chat (default 30, 0 = off)
+//   RATE_LIMIT_ASYNC_PER_MIN  token bucket for /api/async/submit (default 5, 0 = off)
+//   RATE_LIMIT_UPLOAD_PER_MIN token bucket for POST /api/uploads (default 30, 0 = off)
+//   QUOTA_DAILY_TOKENS        total tokens per user per UTC day (0 = unlimited)
+//   QUOTA_DAILY_COST          USD per user per UTC day, from usage.cost.total_cost (0 = unlimited)
+//
+// Quotas are enforced from the `usage` block upstream returns, so a request that
+// crosses the line still completes; the next one is refused.
+
+const RATES = {
+  chat: Number(process.env.RATE_LIMIT_CHAT_PER_MIN ?? 30),
+  async: Number(process.env.RATE_LIMIT_ASYNC_PER_MIN ?? 5),
+  upload: Number(process.env.RATE_LIMIT_UPLOAD_PER_MIN ?? 30),
+};
+const QUOTA_TOKENS = Number(process.env.QUOTA_DAILY_TOKENS || 0);
+const QUOTA_COST = Number(process.env.QUOTA_DAILY_COST || 0);
+const KEEP_DAYS = 35;
+
+const usageFile = createJsonFile(dataPath('usage.json'), { days: {}, recorded: {} });
+
+// ---- Token buckets (in memory) ----
+const buckets = new Map();
+
+function takeToken(kind, id) {
+  const perMin = RATES[kind];
+  if (!perMin) return { ok: true };
+
+  const key = `${kind}:${id}`;
+  const now = Date.now();
+  const b = buckets.get(key) || { tokens: perMin, updated: now };
+  b.tokens = Math.min(perMin, b.tokens + ((now - b.updated) / 60000) * perMin);
+  b.updated = now;
+  buckets.set(key, b);
+
+  if (b.tokens < 1) {
+    return { ok: false, retryAfter: Math.ceil(((1 - b.tokens) * 60) / perMin) };
+  }
+  b.tokens -= 1;
+  return { ok: true };
+}
+
+// A bucket that has refilled completely is the same as no bucket, so drop it; otherwise the
+// map keeps one entry per IP/user ever seen.
+function pruneBuckets() {
+  const now = Date.now();
+  for (const [key, b] of buckets) {
+    const perMin = RATES[key.slice(0, key.indexOf(':'))];
+    if (!perMin || b.tokens + ((now - b.updated) / 60000) * perMin >= perMin) buckets.delete(key);
+  }
+}
+
+setInterval(pruneBuckets, 60 * 1000).unref?.();
+
+// ---- Daily quotas (persisted) ----
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const d = new Date();
+  d.setUTCHours(24, 0, 0, 0);
+  return d.toISOString();
+}
+
+async function usageToday(id) {
+  const data = await usageFile.read();
+  return data.days[today()]?.[id] || { requests: 0, tokens: 0, cost: 0 };
+}
+
+async function checkQuota(id) {
+  if (!QUOTA_TOKENS && !QUOTA_COST) return { ok: true };
+  const u = await usageToday(id);
+  if (QUOTA_TOKENS && u.tokens >= QUOTA_TOKENS) {
+    return { ok: false, code: 'quota_tokens', error: `Daily token quota reached (${u.tokens}/${QUOTA_TOKENS}).` };
+  }
+  if (QUOTA_COST && u.cost >= QUOTA_COST) {
+    return { ok: false, code: 'quota_cost', error: `Daily spend cap reached ($${u.cost.toFixed(4)}/$${QUOTA_COST}).` };
+  }
+  return { ok: true };
+}
+
+// `once` (e.g. an async job id) makes recording idempotent across repeated polls.
+async function recordUsage(id, usage, { once } = {}) {
+  if (!usage || typeof usage !== 'object') return;
+  const tokens = Number(usage.total_tokens ?? Number(usage.prompt_tokens || 0) + Number(usage.completion_tokens || 0)) || 0;
+  const cost = Number(usage.cost?.total_cost || 0) || 0;
+
+  await usageFile.update((data) => {
+    if (once) {
+      if (data.recorded[once]) return;
+      data.recorded[once] = today();
+    }
+    const day = (data.days[today()] ||= {});
+    const u = (day[id] ||= { requests: 0, tokens: 0, cost: 0 });
+    u.requests += 1;
+    u.tokens += tokens;
+    u.cost = Number((u.cost + cost).toFixed(6));
+
+    // Prune old days.
+    const cutoff = new Date(Date.now() - KEEP_DAYS * 86400000).toISOString().slice(0, 10);
+    for (const d of Object.keys(data.days)) if (d < cutoff) delete data.days[d];
+    for (const [k, d] of Object.entries(data.recorded)) if (d < cutoff) delete data.recorded[k];
+  });
+}
+
+// ---- Middleware ----
+// `identify(req)` returns the id limits are keyed on (user, key hash or IP).
+function limit(kind, identify) {
+  return async (req, res, next) => {
+    try {
+      const id = identify(req);
+      req.limitId = id;
+
+      const rate = takeToken(kind, id);
+      if (!rate.ok) {
+        res.set('Retry-After', String(rate.retryAfter));
+        return res.status(429).json({
+          error: `Rate limit exceeded. Try again in ${rate.retryAfter}s.`,
+          code: 'rate_limited',
+          retryAfter: rate.retryAfter,
+        });
+      }
+
+      const quota = await checkQuota(id);
+      if (!quota.ok) {
+        const resetAt = nextUtcMidnight();
+        res.set('Retry-After', String(Math.ceil((Date.parse(resetAt) - Date.now()) / 1000)));
+        return res.status(429).json({ error: quota.error, code: quota.code, resetAt });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Passes a response body through unchanged while picking out the last `usage` block,
+// from either SSE `data:` lines or a single JSON body.
+function usageTap(onUsage) {
+  let buffer = '';
+  let usage = null;
+  const decoder = new TextDecoder('utf-8');
+
+  function scan(text, final) {
+    buffer += text;
+    const lines = buffer.split('\n');
+    buffer = final ? '' : lines.pop() || '';
+    for (const line of lines) {
+      const data = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+      if (!data.startsWith('{') || !data.includes('"usage"')) continue;
+      try {
+        const obj = JSON.parse(data);
+        if (obj.usage) usage = obj.usage;
+      } catch {
+        // Not a complete JSON line (e.g. pretty-printed body): handled on flush.
+      }
+    }
+  }
+
+  // Plain JSON bodies are kept whole (bounded) in case `usage` isn't on a single line.
+  let whole = '';
+  let isSSE = null;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      const text = decoder.decode(chunk, { stream: true });
+      if (isSSE == null && text.trim()) isSSE = text.trimStart().startsWith('data:') || text.trimStart().startsWith(':');
+      if (!isSSE && whole.length < 5 * 1024 * 1024) whole += text;
+      scan(text, false);
+      cb(null, chunk);
+    },
+    flush(cb) {
+      scan(decoder.decode(), true);
+      if (!usage && whole.trim().startsWith('{')) {
+        try {
+          usage = JSON.parse(whole).usage || null;
+        } catch {
+          // ignore
+        }
+      }
+      if (usage) {
+        Promise.resolve(onUsage(usage)).catch((err) => console.error('Usage record error:', err?.message || err));
+      }
+      cb();
+    },
+  });
+}
+
+module.exports = {
+  limit,
+  recordUsage,
+  usageTap,
+};
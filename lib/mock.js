@@ -0,0 +1,440 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// Mock Sonar API for offline development and automated tests.
+// Enabled with PPLX_MOCK=1: server.js mounts this router at /mock and points the
+// Perplexity provider at it, so every client code path runs without a key or network.
+//
+// Knobs:
+//   PPLX_MOCK_LATENCY_MS  delay between streamed chunks (default 40; first token waits 3x)
+//   PPLX_MOCK_ERROR_RATE  0..1 chance that a request fails with a random 429/500/503
+//   PPLX_MOCK_JOB_MS      how long an async job stays IN_PROGRESS (default 8000)
+//
+// Per-request markers in the last user message:
+//   [mock:error=<status>]  respond with that HTTP error (400-599)
+//   [mock:fail]            async job ends as FAILED
+//   [mock:drop]            stream stops halfway without finishing
+//   [mock:invalid]         structured output (response_format) that breaks its schema
+
+const LATENCY_MS = Number(process.env.PPLX_MOCK_LATENCY_MS ?? 40);
+const ERROR_RATE = Number(process.env.PPLX_MOCK_ERROR_RATE || 0);
+const JOB_MS = Number(process.env.PPLX_MOCK_JOB_MS || 8000);
+
+// USD per 1M tokens + per-request fee, roughly in line with published Sonar pricing.
+const PRICING = {
+  sonar: { input: 1, output: 1, request: 0.005 },
+  'sonar-pro': { input: 3, output: 15, request: 0.006 },
+  'sonar-reasoning-pro': { input: 2, output: 8, request: 0.006 },
+  'sonar-deep-research': { input: 2, output: 8, request: 0.005 },
+};
+
+const SOURCES = [
+  {
+    title: 'Overview and key facts',
+    url: 'https://en.wikipedia.org/wiki/Example',
+    date: '2024-11-02',
+    last_updated: '2025-03-14',
+    snippet: 'A broad overview covering the history, the main concepts and the current state of the topic.',
+  },
+  {
+    title: 'Recent developments (2025 report)',
+    url: 'https://www.reuters.com/technology/example-report-2025/',
+    date: '2025-02-18',
+    last_updated: '2025-02-18',
+    snippet: 'Analysts note steady growth over the last year, driven by adoption in research and industry.',
+  },
+  {
+    title: 'A survey of approaches and open problems',
+    url: 'https://arxiv.org/abs/2401.01234',
+    date: '2024-01-03',
+    last_updated: '2024-06-21',
+    snippet: 'We survey existing approaches, compare their trade-offs and outline open research problems.',
+  },
+  {
+    title: 'Annual report (Form 10-K)',
+    url: 'https://www.sec.gov/Archives/edgar/data/0000000000/example-10k.htm',
+    date: '2025-01-30',
+    last_updated: '2025-01-30',
+    snippet: 'Revenue increased year over year; risk factors include competition, regulation and supply constraints.',
+  },
+  {
+    title: 'Practical guide for beginners',
+    url: 'https://developer.mozilla.org/en-US/docs/Web/Example',
+    date: '2023-09-12',
+    last_updated: '2025-01-08',
+    snippet: 'Step-by-step instructions with examples, common pitfalls and links to further reading.',
+  },
+];
+
+const jobs = new Map();
+
+// ---- Helpers ----
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function lastUserText(body) {
+  const msgs = Array.isArray(body?.messages) ? body.messages : [];
+  const last = [...msgs].reverse().find((m) => m && m.role === 'user');
+  if (!last) return '';
+  if (Array.isArray(last.content)) {
+    return last.content
+      .filter((p) => p && p.type === 'text')
+      .map((p) => p.text)
+      .join('\n');
+  }
+  return String(last.content || '');
+}
+
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(String(text || '').length / 4));
+}
+
+function apiError(res, status, message) {
+  res.status(status).json({ error: { message, type: status === 400 ? 'invalid_request_error' : 'mock_error', code: status } });
+}
+
+// Returns an HTTP status to fail with, or 0.
+function injectedError(text) {
+  const m = /\[mock:error=(\d{3})\]/.exec(text);
+  if (m) return Math.min(599, Math.max(400, Number(m[1]))); // res.status() throws outside 100-999
+  if (ERROR_RATE > 0 && Math.random() < ERROR_RATE) return [429, 500, 503][Math.floor(Math.random() * 3)];
+  return 0;
+}
+
+function pickSources(body) {
+  const mode = body.search_mode || 'web';
+  let list = SOURCES;
+  if (mode === 'academic') list = [SOURCES[2], SOURCES[0], SOURCES[4]];
+  if (mode === 'sec') list = [SOURCES[3], SOURCES[1], SOURCES[0]];
+  return list.slice(0, body.model === 'sonar' ? 3 : 5);
+}
+
+function buildAnswer(body, sources) {
+  const question = lastUserText(body).replace(/\[mock:[^\]]*\]/g, '').trim() || 'your question';
+  const deep = body.model === 'sonar-deep-research';
+  const lines = [
+    `## Summary`,
+    ``,
+    `This is a **mock answer** to: _${question.slice(0, 120)}_. It is generated locally so the app can run without an API key [1].`,
+    ``,
+    `- The first point is supported by an overview source [1].`,
+    `- Recent coverage describes steady growth over the last year [2].`,
+    sources.length > 2 ? `- Research literature compares several approaches and their trade-offs [3].` : null,
+    ``,
+    `| Aspect | Finding |`,
+    `| --- | --- |`,
+    `| Trend | Growing [2] |`,
+    `| Maturity | Active research area [${Math.min(3, sources.length)}] |`,
+    ``,
+    '```js',
+    `console.log('mock response for ${body.model || 'sonar'}');`,
+    '```',
+  ];
+  if (deep) {
+    lines.push('', '## Detailed findings', '', 'Deep research mode adds a longer report that combines every source listed below [1][2][3].');
+  }
+  if (body.disable_search) {
+    return `This is a **mock answer** without web search to: _${question.slice(0, 120)}_.`;
+  }
+  return lines.filter((l) => l != null).join('\n');
+}
+
+// Structured output: an example value for a JSON Schema, with strings taken from the sources
+// where the property name suggests it (url, date, title...).
+function sampleFor(schema, key, i, sources) {
+  const s = schema && typeof schema === 'object' ? schema : {};
+  const type = Array.isArray(s.type) ? s.type.find((t) => t !== 'null') : s.type || (s.properties ? 'object' : s.items ? 'array' : 'string');
+  const src = sources[i % sources.length];
+  if (Array.isArray(s.enum) && s.enum.length) return s.enum[i % s.enum.length];
+  if (type === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(s.properties || {})) out[k] = sampleFor(v, k, i, sources);
+    return out;
+  }
+  if (type === 'array') {
+    const n = Math.max(Number(s.minItems) || 0, Math.min(Number(s.maxItems) || 3, 3));
+    return Array.from({ length: n }, (_, j) => sampleFor(s.items, key, i + j, sources));
+  }
+  if (type === 'integer') return /year/i.test(key) ? Number(src.date.slice(0, 4)) : 10 * (i + 1);
+  if (type === 'number') return Number((12.5 * (i + 1)).toFixed(2));
+  if (type === 'boolean') return i % 2 === 0;
+  if (/url|link/i.test(key) || s.format === 'uri') return src.url;
+  if (/date|filed/i.test(key) || s.format === 'date') return src.date;
+  if (/title|name|company/i.test(key)) return src.title;
+  return `${src.snippet.split(/[.;]/)[0]} [${(i % sources.length) + 1}]`;
+}
+
+// Drops the first property of the second object in the first array of objects.
+function breakSample(value) {
+  if (Array.isArray(value)) {
+    const obj = value[1];
+    if (obj && typeof obj === 'object' && !Array.isArray(obj)) {
+      delete obj[Object.keys(obj)[0]];
+      return true;
+    }
+  }
+  if (value && typeof value === 'object') return Object.values(value).some(breakSample);
+  return false;
+}
+
+function buildStructured(body, sources) {
+  const data = sampleFor(body.response_format.json_schema?.schema, 'value', 0, sources);
+  if (lastUserText(body).includes('[mock:invalid]')) breakSample(data);
+  return JSON.stringify(data, null, 2);
+}
+
+function buildContent(body) {
+  const sources = pickSources(body);
+  return body.response_format?.type === 'json_schema' ? buildStructured(body, sources) : buildAnswer(body, sources);
+}
+
+function buildReasoningSteps(body, sources) {
+  const wantsSteps =
+    body.model === 'sonar-reasoning-pro' ||
+    body.model === 'sonar-deep-research' ||
+    body.web_search_options?.search_type === 'pro';
+  if (!wantsSteps) return null;
+  const question = lastUserText(body).slice(0, 80);
+  return [
+    {
+      thought: 'Breaking the question into searchable sub-questions.',
+      type: 'web_search',
+      web_search: { search_keywords: [question, `${question} 2025`], search_results: sources.slice(0, 2) },
+    },
+    {
+      thought: 'Reading the most relevant pages and checking that they agree.',
+      type: 'fetch_url_content',
+      fetch_url_content: { contents: sources.slice(0, 1).map((s) => ({ url: s.url, snippet: s.snippet })) },
+    },
+  ];
+}
+
+function buildUsage(body, content, sources) {
+  const price = PRICING[body.model] || PRICING.sonar;
+  const prompt = estimateTokens(JSON.stringify(body.messages || []));
+  const completion = estimateTokens(content);
+  const size = body.web_search_options?.search_context_size || 'low';
+  const inputCost = (prompt * price.input) / 1e6;
+  const outputCost = (completion * price.output) / 1e6;
+  const usage = {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+    search_context_size: size,
+    cost: {
+      input_tokens_cost: Number(inputCost.toFixed(6)),
+      output_tokens_cost: Number(outputCost.toFixed(6)),
+      request_cost: price.request,
+      total_cost: Number((inputCost + outputCost + price.request).toFixed(6)),
+    },
+  };
+  if (body.model === 'sonar-deep-research') {
+    usage.citation_tokens = sources.length * 350;
+    usage.num_search_queries = sources.length * 2;
+    usage.reasoning_tokens = completion * 4;
+  }
+  return usage;
+}
+
+// Everything a real completion would carry, minus the content.
+function buildExtras(body, content) {
+  const sources = pickSources(body);
+  const extras = {
+    citations: sources.map((s) => s.url),
+    search_results: sources,
+    usage: buildUsage(body, content, sources),
+  };
+  if (body.disable_search) {
+    extras.citations = [];
+    extras.search_results = [];
+  }
+  const steps = buildReasoningSteps(body, sources);
+  if (steps) extras.reasoning_steps = steps;
+  if (body.return_images) {
+    extras.images = [
+      { image_url: 'https://picsum.photos/seed/pplx1/640/400', origin_url: sources[0].url, height: 400, width: 640 },
+      { image_url: 'https://picsum.photos/seed/pplx2/640/400', origin_url: sources[1].url, height: 400, width: 640 },
+    ];
+  }
+  if (body.media_response?.overrides?.return_videos) {
+    extras.videos = [
+      {
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        thumbnail_url: 'https://picsum.photos/seed/pplxv/320/180',
+        thumbnail_width: 320,
+        thumbnail_height: 180,
+        duration: 212,
+        title: 'Explainer video',
+      },
+    ];
+  }
+  if (body.return_related_questions) {
+    const q = lastUserText(body).slice(0, 60);
+    extras.related_questions = [`What are the latest developments on ${q}?`, `Who are the main players in ${q}?`, `What are the risks of ${q}?`];
+  }
+  return extras;
+}
+
+function completion(body, content, extras) {
+  return {
+    id: crypto.randomUUID(),
+    model: body.model || 'sonar',
+    created: Math.floor(Date.now() / 1000),
+    object: 'chat.completion',
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+    ...extras,
+  };
+}
+
+function validate(body) {
+  if (!body || typeof body !== 'object') return 'Request body must be a JSON object.';
+  if (!Array.isArray(body.messages) || !body.messages.length) return 'messages must be a non-empty array.';
+  return '';
+}
+
+// ---- Router ----
+function createMockRouter() {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!/^Bearer\s+\S+/.test(req.header('authorization') || '')) {
+      return apiError(res, 401, 'Missing API key.');
+    }
+    next();
+  });
+
+  // POST /mock/chat/completions
+  router.post('/chat/completions', async (req, res) => {
+    const body = req.body;
+    const invalid = validate(body);
+    if (invalid) return apiError(res, 400, invalid);
+
+    const text = lastUserText(body);
+    const status = injectedError(text);
+    if (status) return apiError(res, status, `Injected mock error (${status}).`);
+
+    const content = buildContent(body);
+    const extras = buildExtras(body, content);
+
+    if (!body.stream) {
+      await sleep(LATENCY_MS * 5);
+      return res.json(completion(body, content, extras));
+    }
+
+    res.status(200);
+    res.set({ 'content-type': 'text/event-stream', 'cache-control': 'no-cache' });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    const id = crypto.randomUUID();
+    const created = Math.floor(Date.now() / 1000);
+    const pieces = content.match(/\S+\s*/g) || [content];
+    const dropAt = text.includes('[mock:drop]') ? Math.floor(pieces.length / 2) : -1;
+    const send = (obj) => res.write(`data: ${JSON.stringify(obj)}\n\n`);
+
+    await sleep(LATENCY_MS * 3);
+    for (let i = 0; i < pieces.length && !closed; i++) {
+      if (i === dropAt) return res.destroy();
+      const chunk = {
+        id,
+        model: body.model || 'sonar',
+        created,
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, finish_reason: null, delta: { role: 'assistant', content: pieces[i] } }],
+      };
+      // Sonar sends sources early so clients can show them while the answer streams.
+      if (i === 0) {
+        chunk.citations = extras.citations;
+        chunk.search_results = extras.search_results;
+        if (extras.reasoning_steps) chunk.reasoning_steps = extras.reasoning_steps;
+      }
+      send(chunk);
+      await sleep(LATENCY_MS);
+    }
+    if (closed) return;
+
+    send({
+      id,
+      model: body.model || 'sonar',
+      created,
+      object: 'chat.completion.chunk',
+      choices: [{ index: 0, finish_reason: 'stop', delta: { content: '' } }],
+      ...extras,
+    });
+    res.write('data: [DONE]\n\n');
+    res.end();
+  });
+
+  // POST /mock/async/chat/completions  (body: { request: {...} })
+  router.post('/async/chat/completions', (req, res) => {
+    const request = req.body?.request;
+    const invalid = validate(request);
+    if (invalid) return apiError(res, 400, `request: ${invalid}`);
+
+    const status = injectedError(lastUserText(request));
+    if (status) return apiError(res, status, `Injected mock error (${status}).`);
+
+    const job = {
+      id: crypto.randomUUID(),
+      model: request.model || 'sonar-deep-research',
+      created_at: Math.floor(Date.now() / 1000),
+      request,
+    };
+    jobs.set(job.id, job);
+    res.json(jobView(job));
+  });
+
+  // GET /mock/async/chat/completions
+  router.get('/async/chat/completions', (_req, res) => {
+    res.json({ requests: [...jobs.values()].map((j) => jobSummary(j)) });
+  });
+
+  // GET /mock/async/chat/completions/:id
+  router.get('/async/chat/completions/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return apiError(res, 404, 'Async request not found.');
+    res.json(jobView(job));
+  });
+
+  return router;
+}
+
+// Job status is derived from its age: CREATED -> IN_PROGRESS -> COMPLETED | FAILED.
+function jobStatus(job) {
+  const age = Date.now() - job.created_at * 1000;
+  if (age < 1000) return 'CREATED';
+  if (age < JOB_MS) return 'IN_PROGRESS';
+  return lastUserText(job.request).includes('[mock:fail]') ? 'FAILED' : 'COMPLETED';
+}
+
+function jobSummary(job) {
+  const status = jobStatus(job);
+  const out = { id: job.id, model: job.model, created_at: job.created_at, status };
+  if (status !== 'CREATED') out.started_at = job.created_at + 1;
+  if (status === 'COMPLETED') out.completed_at = job.created_at + Math.ceil(JOB_MS / 1000);
+  if (status === 'FAILED') out.failed_at = job.created_at + Math.ceil(JOB_MS / 1000);
+  return out;
+}
+
+function jobView(job) {
+  const out = jobSummary(job);
+  if (out.status === 'FAILED') {
+    out.error_message = 'Mock deep research job failed (requested with [mock:fail]).';
+  }
+  if (out.status === 'COMPLETED') {
+    if (!job.response) {
+      const body = { ...job.request, model: job.model };
+      const content = buildContent(body);
+      job.response = completion(body, content, buildExtras(body, content));
+    }
+    out.response = job.response;
+  }
+  return out;
+}
+
+module.exports = { createMockRouter };
@@ -0,0 +1,268 @@
+const { Readable } = require('stream');
+const { SERVER_API_KEY } = require('./auth');
+
+// Upstream providers behind /api/chat.
+// The client always sends a Perplexity-shaped /chat/completions body; each provider
+// adapts it and returns a fetch Response whose body is Perplexity/OpenAI-style SSE
+// (chat.completion.chunk objects, terminated by `data: [DONE]`) or a chat.completion JSON.
+//
+// Routing is by model prefix: "openai/<model>" and "ollama/<model>" go to those providers,
+// everything else goes to Perplexity.
+
+// PPLX_MOCK=1 points Perplexity calls at the built-in mock (lib/mock.js) served by this same process.
+const PPLX_MOCK = process.env.PPLX_MOCK === '1';
+const PPLX_BASE_URL = PPLX_MOCK
+  ? `http://127.0.0.1:${Number(process.env.PORT || 3000)}/mock`
+  : (process.env.PPLX_BASE_URL || 'https://api.perplexity.ai').replace(/\/+$/, '');
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || '').replace(/\/+$/, '');
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_MODELS = (process.env.OPENAI_MODELS || '').split(',').map((s) => s.trim()).filter(Boolean);
+const OLLAMA_BASE_URL = (process.env.OLLAMA_BASE_URL || '').replace(/\/+$/, '');
+
+const PPLX_MODELS = ['sonar', 'sonar-pro', 'sonar-reasoning-pro', 'sonar-deep-research'];
+
+// ---- Helpers ----
+function textOfParts(parts) {
+  return parts
+    .filter((p) => p && p.type === 'text')
+    .map((p) => String(p.text || ''))
+    .join('\n');
+}
+
+function sseResponse(gen) {
+  return new Response(Readable.toWeb(Readable.from(gen)), {
+    status: 200,
+    headers: { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' },
+  });
+}
+
+function jsonResponse(status, obj) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+async function* readLines(body) {
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+    for (const line of lines) if (line.trim()) yield line;
+  }
+  if (buffer.trim()) yield buffer;
+}
+
+// ---- Perplexity ----
+const perplexity = {
+  id: 'perplexity',
+  label: 'Perplexity',
+  requiresKey: true,
+  async listModels() {
+    return PPLX_MODELS;
+  },
+  chat(body, { apiKey, signal }) {
+    return fetch(`${PPLX_BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  },
+};
+
+// ---- OpenAI-compatible (OpenAI, OpenRouter, vLLM, LM Studio, ...) ----
+// Their SSE chunks already have the chat.completion.chunk shape, so the body streams through as-is.
+function toOpenAIMessages(messages) {
+  return (messages || []).map((m) => {
+    if (!Array.isArray(m.content)) return { role: m.role, content: String(m.content || '') };
+    const parts = m.content.map((p) => {
+      if (p?.type === 'file_url') return { type: 'text', text: '[Attached document omitted: not supported by this provider]' };
+      return p;
+    });
+    return { role: m.role, content: parts };
+  });
+}
+
+// OPENAI_API_KEY is the operator's, so a keyed endpoint is only offered in team mode, where
+// /api/chat needs a signed-in user; with bring-your-own-key anyone could spend it.
+const openai = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  requiresKey: Boolean(OPENAI_API_KEY),
+  enabled: () => Boolean(OPENAI_BASE_URL) && (!OPENAI_API_KEY || Boolean(SERVER_API_KEY)),
+  async listModels() {
+    if (OPENAI_MODELS.length) return OPENAI_MODELS;
+    const resp = await fetch(`${OPENAI_BASE_URL}/models`, {
+      headers: OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {},
+      signal: AbortSignal.timeout(3000),
+    });
+    if (!resp.ok) return [];
+    const data = await resp.json();
+    return (data.data || []).map((m) => m.id).filter(Boolean);
+  },
+  chat(body, { signal }) {
+    const out = {
+      model: body.model,
+      messages: toOpenAIMessages(body.messages),
+      stream: Boolean(body.stream),
+    };
+    if (body.max_tokens != null) out.max_tokens = body.max_tokens;
+    if (body.temperature != null) out.temperature = body.temperature;
+    if (body.top_p != null) out.top_p = body.top_p;
+    // Sonar's json_schema has no name; OpenAI requires one.
+    if (body.response_format?.type === 'json_schema') {
+      out.response_format = { type: 'json_schema', json_schema: { name: 'response', ...body.response_format.json_schema } };
+    }
+    if (out.stream) out.stream_options = { include_usage: true };
+
+    return fetch(`${OPENAI_BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        ...(OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {}),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(out),
+      signal,
+    });
+  },
+};
+
+// ---- Ollama (native /api/chat, NDJSON) ----
+function toOllamaMessages(messages) {
+  return (messages || []).map((m) => {
+    if (!Array.isArray(m.content)) return { role: m.role, content: String(m.content || '') };
+    const images = m.content
+      .filter((p) => p?.type === 'image_url')
+      .map((p) => String(p.image_url?.url || '').replace(/^data:[^,]*,/, ''))
+      .filter(Boolean);
+    const msg = { role: m.role, content: textOfParts(m.content) };
+    if (images.length) msg.images = images;
+    return msg;
+  });
+}
+
+function ollamaUsage(obj) {
+  const prompt = Number(obj.prompt_eval_count || 0);
+  const completion = Number(obj.eval_count || 0);
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+const ollama = {
+  id: 'ollama',
+  label: 'Ollama',
+  requiresKey: false,
+  enabled: () => Boolean(OLLAMA_BASE_URL),
+  async listModels() {
+    const resp = await fetch(`${OLLAMA_BASE_URL}/api/tags`, { signal: AbortSignal.timeout(1500) });
+    if (!resp.ok) return [];
+    const data = await resp.json();
+    return (data.models || []).map((m) => m.name).filter(Boolean);
+  },
+  async chat(body, { signal }) {
+    const out = {
+      model: body.model,
+      messages: toOllamaMessages(body.messages),
+      stream: Boolean(body.stream),
+    };
+    if (body.max_tokens != null) out.options = { num_predict: body.max_tokens };
+    if (body.response_format?.json_schema?.schema) out.format = body.response_format.json_schema.schema;
+
+    const upstream = await fetch(`${OLLAMA_BASE_URL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(out),
+      signal,
+    });
+    if (!upstream.ok) return upstream;
+
+    const id = `ollama-${Date.now().toString(36)}`;
+    const created = Math.floor(Date.now() / 1000);
+    const model = `ollama/${body.model}`;
+
+    if (!out.stream) {
+      const data = await upstream.json();
+      return jsonResponse(200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: data.message?.content || '' }, finish_reason: 'stop' }],
+        usage: ollamaUsage(data),
+      });
+    }
+
+    // NDJSON lines -> chat.completion.chunk SSE events.
+    return sseResponse(
+      (async function* () {
+        for await (const line of readLines(upstream.body)) {
+          let obj;
+          try {
+            obj = JSON.parse(line);
+          } catch {
+            continue;
+          }
+          const chunk = {
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model,
+            choices: [{ index: 0, delta: { content: obj.message?.content || '' }, finish_reason: obj.done ? 'stop' : null }],
+          };
+          if (obj.done) chunk.usage = ollamaUsage(obj);
+          yield `data: ${JSON.stringify(chunk)}\n\n`;
+        }
+        yield 'data: [DONE]\n\n';
+      })()
+    );
+  },
+};
+
+// ---- Registry ----
+const PROVIDERS = { perplexity, openai, ollama };
+
+function resolveModel(model) {
+  const m = String(model || '');
+  const slash = m.indexOf('/');
+  if (slash > 0) {
+    const prefix = m.slice(0, slash);
+    const provider = Object.hasOwn(PROVIDERS, prefix) ? PROVIDERS[prefix] : null;
+    if (provider && provider !== perplexity && provider.enabled()) {
+      return { provider, model: m.slice(slash + 1) };
+    }
+  }
+  return { provider: perplexity, model: m };
+}
+
+// Model ids are returned with their routing prefix (e.g. "ollama/llama3.1").
+async function listProviders() {
+  const out = [];
+  for (const p of Object.values(PROVIDERS)) {
+    if (p.enabled && !p.enabled()) continue;
+    let models = [];
+    try {
+      models = await p.listModels();
+    } catch {
+      // Provider unreachable (e.g. Ollama not running): list it without models.
+    }
+    out.push({
+      id: p.id,
+      label: p.label,
+      requiresKey: p.requiresKey,
+      models: models.map((m) => (p === perplexity ? m : `${p.id}/${m}`)),
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  PPLX_MOCK,
+  PPLX_BASE_URL,
+  resolveModel,
+  listProviders,
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { dataPath, createJsonFile } = require('./store');
+
+// Read-only share links. A share is a snapshot of a thread taken when the link is created
+// (later edits to the thread don't show up); anyone with the slug can read it until it
+// expires or its owner revokes it.
+//
+// All shares live in one file so /s/:slug can look a slug up without knowing the owner.
+
+const MAX_SHARES_PER_USER = 200;
+const MAX_MESSAGES = 1000;
+const MAX_EXPIRY_DAYS = 365;
+
+// Only what the read-only page renders; usage, async job ids and attachments stay private.
+// (Related questions are dropped too: on a read-only page there is nowhere to ask them.)
+const META_KEYS = ['model', 'citations', 'search_results', 'images', 'videos', 'reasoning_steps', 'response_schema'];
+
+const file = createJsonFile(dataPath('shares.json'), { shares: {} });
+
+function isValidSlug(slug) {
+  return typeof slug === 'string' && /^[A-Za-z0-9_-]{8,32}$/.test(slug) && !(slug in Object.prototype);
+}
+
+function isExpired(share, now = Date.now()) {
+  return Boolean(share.expiresAt) && Date.parse(share.expiresAt) <= now;
+}
+
+function summary(share) {
+  const { snapshot, owner, ...rest } = share;
+  return { ...rest, messageCount: snapshot.messages.length };
+}
+
+// The share page lives on this origin, so only http(s) URLs may reach it as links.
+const URL_KEYS = new Set(['url', 'image_url', 'origin_url', 'thumbnail_url', 'thumbnail', 'video_url', 'src']);
+
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(String(url)).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Copy of a meta value without any non-http(s) URL fields (search results, images, videos,
+// reasoning steps...). Citations are a plain list whose positions matter for [n], so bad
+// entries become '' instead of being removed.
+function stripUnsafeUrls(value, key = '') {
+  if (Array.isArray(value)) {
+    return key === 'citations' || key === 'images'
+      ? value.map((v) => (typeof v === 'string' ? (isWebUrl(v) ? v : '') : stripUnsafeUrls(v)))
+      : value.map((v) => stripUnsafeUrls(v));
+  }
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (URL_KEYS.has(k) && typeof v === 'string' && !isWebUrl(v)) continue;
+    out[k] = stripUnsafeUrls(v, k);
+  }
+  return out;
+}
+
+function sanitizeMessage(m) {
+  const content = Array.isArray(m.content)
+    ? m.content.filter((p) => p?.type === 'text').map((p) => String(p.text || '')).join('\n')
+    : String(m.content || '');
+  const meta = {};
+  for (const key of META_KEYS) {
+    if (m.meta?.[key] !== undefined) meta[key] = key === 'response_schema' ? m.meta[key] : stripUnsafeUrls(m.meta[key], key);
+  }
+  return { role: m.role === 'user' ? 'user' : 'assistant', content, meta };
+}
+
+function sanitizeSnapshot(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.messages)) return null;
+  const messages = input.messages
+    .filter((m) => m && (m.role === 'user' || m.role === 'assistant'))
+    .slice(0, MAX_MESSAGES)
+    .map(sanitizeMessage);
+  if (!messages.length) return null;
+  return { title: String(input.title || 'Chat').slice(0, 200), messages };
+}
+
+// Drops expired shares; called from inside update() so the file stays small.
+function purgeExpired(data) {
+  const now = Date.now();
+  for (const [slug, share] of Object.entries(data.shares)) {
+    if (isExpired(share, now)) delete data.shares[slug];
+  }
+}
+
+// ---- Store ----
+async function createShare(owner, input) {
+  const snapshot = sanitizeSnapshot(input);
+  if (!snapshot) throw Object.assign(new Error('Invalid share body: needs a non-empty messages array.'), { status: 400 });
+
+  const days = Number(input.expiresInDays || 0);
+  if (!Number.isFinite(days) || days < 0 || days > MAX_EXPIRY_DAYS) {
+    throw Object.assign(new Error(`expiresInDays must be between 0 and ${MAX_EXPIRY_DAYS}.`), { status: 400 });
+  }
+
+  const now = new Date();
+  const share = {
+    slug: crypto.randomBytes(12).toString('base64url'),
+    owner,
+    threadId: input.threadId ? String(input.threadId).slice(0, 64) : null,
+    title: snapshot.title,
+    createdAt: now.toISOString(),
+    expiresAt: days ? new Date(now.getTime() + days * 86400000).toISOString() : null,
+    snapshot,
+  };
+
+  return file.update((data) => {
+    purgeExpired(data);
+    const count = Object.values(data.shares).filter((s) => s.owner === owner).length;
+    if (count >= MAX_SHARES_PER_USER) {
+      throw Object.assign(new Error(`Share limit reached (${MAX_SHARES_PER_USER}). Revoke some links first.`), { status: 400 });
+    }
+    data.shares[share.slug] = share;
+    return summary(share);
+  });
+}
+
+async function listShares(owner) {
+  const data = await file.read();
+  return Object.values(data.shares)
+    .filter((s) => s.owner === owner && !isExpired(s))
+    .map(summary)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Public lookup: returns the snapshot, or null if the slug is unknown, revoked or expired.
+async function getShare(slug) {
+  if (!isValidSlug(slug)) return null;
+  const data = await file.read();
+  const share = Object.hasOwn(data.shares, slug) ? data.shares[slug] : null;
+  if (!share || isExpired(share)) return null;
+  return {
+    slug: share.slug,
+    title: share.title,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    messages: share.snapshot.messages,
+  };
+}
+
+async function revokeShare(owner, slug) {
+  return file.update((data) => {
+    const share = Object.hasOwn(data.shares, slug) ? data.shares[slug] : null;
+    if (!share || share.owner !== owner) return false;
+    delete data.shares[slug];
+    return true;
+  });
+}
+
+module.exports = {
+  isValidSlug,
+  createShare,
+  listShares,
+  getShare,
+  revokeShare,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Everything the server persists lives under DATA_DIR.
+// On Railway, mount a volume here or the data is lost on redeploy.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+// Small JSON file with serialized, atomic writes (tmp file + rename).
+// Good enough for a single-instance deployment; swap for a real DB if you scale out.
+// The cache is dropped when the file's mtime changes, so edits made by another process
+// (`npm run users`) take effect without a restart. A file that exists but can't be read or
+// parsed is an error, never an empty store: the next write would replace what is in it.
+function createJsonFile(filePath, fallback) {
+  let cache = null;
+  let mtime = null;
+  let queue = Promise.resolve();
+
+  async function fileMtime() {
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    return stat ? stat.mtimeMs : null;
+  }
+
+  async function read() {
+    const current = await fileMtime();
+    if (cache && current === mtime) return cache;
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Store read error (${filePath}):`, err.message);
+        throw new Error(`Could not read ${path.basename(filePath)}: ${err.message}`);
+      }
+      data = typeof fallback === 'function' ? fallback() : structuredClone(fallback);
+    }
+    cache = data;
+    mtime = current;
+    return cache;
+  }
+
+  async function write(data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, filePath);
+    cache = data;
+    mtime = await fileMtime();
+  }
+
+  // Read-modify-write under a queue so concurrent requests don't clobber each other.
+  // `fn` edits a copy, which only becomes the cache once it is on disk.
+  function update(fn) {
+    const next = queue.then(async () => {
+      const data = structuredClone(await read());
+      const result = await fn(data);
+      await write(data);
+      return result;
+    });
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return { read, write, update };
+}
+
+// Per-user files are keyed by an opaque id; hash it so it is always a safe filename.
+function userFileName(userId) {
+  return crypto.createHash('sha256').update(String(userId)).digest('hex').slice(0, 32) + '.json';
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  createJsonFile,
+  userFileName,
+};
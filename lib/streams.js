@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+
+// Buffered /api/chat streams. Each upstream SSE event is stored under the stream's id with
+// an increasing event id, so a client whose connection drops (or whose page reloads) can
+// reconnect with Last-Event-ID and replay what it missed. Upstream keeps being read while
+// nobody is attached; only an explicit cancel aborts it.
+//
+// Streams are kept in memory: they bridge a dropped connection, not a server restart.
+// A finished stream stays available for STREAM_TTL_MS.
+
+const STREAM_TTL_MS = Number(process.env.STREAM_TTL_MS || 5 * 60 * 1000);
+
+const streams = new Map();
+
+function get(id, owner) {
+  const s = streams.get(String(id || ''));
+  return s && s.owner === owner ? s : null;
+}
+
+function push(s, data) {
+  const evt = { id: s.events.length + 1, data };
+  s.events.push(evt);
+  s.emitter.emit('event', evt);
+}
+
+function finish(s, error) {
+  if (s.done) return;
+  // Every finished stream ends in [DONE], so clients can tell "complete" from "cut off".
+  // An upstream that stopped early gets an error event first.
+  if (s.events.at(-1)?.data !== '[DONE]') {
+    if (error) push(s, JSON.stringify({ error: { message: error } }));
+    push(s, '[DONE]');
+  }
+  s.done = true;
+  s.emitter.emit('end');
+  setTimeout(() => streams.delete(s.id), STREAM_TTL_MS).unref?.();
+}
+
+async function read(s, body, onUsage) {
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let usage = null;
+
+  const handle = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter((l) => l.startsWith('data:'))
+      .map((l) => l.slice(5).trim())
+      .join('\n');
+    if (!data) return;
+    if (data.includes('"usage"')) {
+      try {
+        usage = JSON.parse(data).usage || usage;
+      } catch {
+        // ignore
+      }
+    }
+    push(s, data);
+  };
+
+  try {
+    for await (const chunk of Readable.fromWeb(body)) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop() || '';
+      blocks.forEach(handle);
+    }
+    handle(buffer + decoder.decode());
+    finish(s, s.events.at(-1)?.data === '[DONE]' ? null : 'Upstream stream ended early.');
+  } catch (err) {
+    finish(s, s.cancelled ? 'Cancelled.' : `Upstream stream error: ${err.message}`);
+  }
+
+  if (usage && onUsage) {
+    Promise.resolve(onUsage(usage)).catch((err) => console.error('Usage record error:', err?.message || err));
+  }
+}
+
+// Starts buffering `upstream` (an SSE Response). `controller` aborts the upstream fetch on cancel.
+function start(owner, upstream, { controller, onUsage } = {}) {
+  const s = {
+    id: crypto.randomBytes(12).toString('hex'),
+    owner,
+    events: [],
+    done: false,
+    cancelled: false,
+    controller,
+    emitter: new EventEmitter(),
+  };
+  s.emitter.setMaxListeners(0);
+  streams.set(s.id, s);
+  read(s, upstream.body, onUsage);
+  return s;
+}
+
+// Writes the events after `lastEventId` to `res`, then follows the stream until it ends.
+function attach(s, res, lastEventId = 0) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    'X-Stream-Id': s.id,
+  });
+  res.flushHeaders();
+
+  const write = (evt) => res.write(`id: ${evt.id}\ndata: ${evt.data}\n\n`);
+  const onEnd = () => {
+    cleanup();
+    res.end();
+  };
+  const cleanup = () => {
+    s.emitter.off('event', write);
+    s.emitter.off('end', onEnd);
+  };
+
+  for (const evt of s.events) if (evt.id > lastEventId) write(evt);
+  if (s.done) return res.end();
+
+  s.emitter.on('event', write);
+  s.emitter.on('end', onEnd);
+  res.on('close', cleanup);
+}
+
+function cancel(s) {
+  if (s.done) return;
+  s.cancelled = true;
+  s.controller?.abort();
+}
+
+module.exports = {
+  start,
+  get,
+  attach,
+  cancel,
+};
@@ -0,0 +1,116 @@
+const { dataPath, createJsonFile, userFileName } = require('./store');
+
+// One JSON file per user: { threads: { [id]: thread }, collections: { items, updatedAt } }
+const files = new Map();
+
+function userFile(userId) {
+  let f = files.get(userId);
+  if (!f) {
+    f = createJsonFile(dataPath('threads', userFileName(userId)), { threads: {} });
+    files.set(userId, f);
+  }
+  return f;
+}
+
+const THREAD_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidThreadId(id) {
+  const s = String(id || '');
+  return THREAD_ID_RE.test(s) && !(s in Object.prototype); // '__proto__' etc. would hit the prototype
+}
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Timestamps are compared as strings (last write wins), so only ISO 8601 strings will do.
+function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE_RE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Normalize the identity fields and drop client-only state (`ephemeral`); everything else the
+// client serializes is stored as-is. Attachments/base64 are already stripped client-side.
+function sanitizeThread(id, input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.messages)) return null;
+  if (input.updatedAt != null && !isIsoDate(input.updatedAt)) return null;
+  const { ephemeral, ...rest } = input;
+  return {
+    ...rest,
+    id,
+    title: String(input.title || 'Chat').slice(0, 200),
+    createdAt: isIsoDate(input.createdAt) ? input.createdAt : new Date().toISOString(),
+    updatedAt: input.updatedAt || new Date().toISOString(),
+  };
+}
+
+async function listThreads(userId) {
+  const data = await userFile(userId).read();
+  return Object.values(data.threads).sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+async function getThread(userId, id) {
+  const data = await userFile(userId).read();
+  return Object.hasOwn(data.threads, id) ? data.threads[id] : null;
+}
+
+// Last-write-wins on updatedAt. Returns { conflict: storedThread } when the server copy is newer.
+async function putThread(userId, id, input) {
+  const thread = sanitizeThread(id, input);
+  if (!thread) throw Object.assign(new Error('Invalid thread body.'), { status: 400 });
+
+  return userFile(userId).update((data) => {
+    const existing = Object.hasOwn(data.threads, id) ? data.threads[id] : null;
+    if (existing && String(existing.updatedAt) > String(thread.updatedAt)) {
+      return { conflict: existing };
+    }
+    data.threads[id] = thread;
+    return { thread };
+  });
+}
+
+// ---- Collections (sidebar folders) ----
+// Stored as one list so renames and reordering are a single write; same last-write-wins rule.
+function sanitizeCollections(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.items)) return null;
+  if (input.updatedAt != null && !isIsoDate(input.updatedAt)) return null;
+  const items = input.items
+    .filter((c) => c && isValidThreadId(c.id))
+    .slice(0, 200)
+    .map((c) => ({ id: c.id, name: String(c.name || 'Folder').slice(0, 100), collapsed: Boolean(c.collapsed) }));
+  return { items, updatedAt: input.updatedAt || new Date().toISOString() };
+}
+
+async function getCollections(userId) {
+  const data = await userFile(userId).read();
+  return data.collections || { items: [], updatedAt: null };
+}
+
+async function putCollections(userId, input) {
+  const collections = sanitizeCollections(input);
+  if (!collections) throw Object.assign(new Error('Invalid collections body.'), { status: 400 });
+
+  return userFile(userId).update((data) => {
+    const existing = data.collections;
+    if (existing && String(existing.updatedAt) > String(collections.updatedAt)) {
+      return { conflict: existing };
+    }
+    data.collections = collections;
+    return { collections };
+  });
+}
+
+async function deleteThread(userId, id) {
+  return userFile(userId).update((data) => {
+    const existed = Object.hasOwn(data.threads, id);
+    delete data.threads[id];
+    return existed;
+  });
+}
+
+module.exports = {
+  isValidThreadId,
+  listThreads,
+  getThread,
+  putThread,
+  deleteThread,
+  getCollections,
+  putCollections,
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Busboy = require('busboy');
+const { dataPath, userFileName } = require('./store');
+const extract = require('./extract');
+
+// Attachment uploads. Files are streamed to disk as they arrive (multipart/form-data), so a
+// large PDF never sits in memory or in a JSON body. Chat requests then reference them as
+// `upload:<id>` in image_url / file_url parts, and inline() swaps in the base64 right before
+// the request goes upstream. Documents can also be sent as extracted text (see getText()).
+//
+// Uploads are temporary: they are removed UPLOAD_TTL_MS after the upload. The browser keeps
+// its own copy (IndexedDB) and uploads again when the server answers `upload_missing`.
+// Each owner (user, key hash or IP) may keep at most UPLOAD_QUOTA_BYTES at a time.
+
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 50 * 1024 * 1024);
+const UPLOAD_MAX_FILES = 10;
+const UPLOAD_TTL_MS = Number(process.env.UPLOAD_TTL_MS || 24 * 60 * 60 * 1000);
+const UPLOAD_QUOTA_BYTES = Number(process.env.UPLOAD_QUOTA_BYTES ?? 500 * 1024 * 1024); // 0 = unlimited
+const REF_PREFIX = 'upload:';
+
+// What Sonar accepts: images for image_url, documents for file_url.
+const TYPES = {
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/webp': 'image',
+  'image/gif': 'image',
+  'application/pdf': 'file',
+  'application/msword': 'file',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'file',
+  'text/plain': 'file',
+  'application/rtf': 'file',
+  'text/rtf': 'file',
+};
+
+// Browsers often send .rtf/.docx as application/octet-stream; fall back to the extension.
+const EXTENSIONS = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.rtf': 'application/rtf',
+};
+
+function ownerDir(owner) {
+  return dataPath('uploads', userFileName(owner).replace(/\.json$/, ''));
+}
+
+function isValidId(id) {
+  return typeof id === 'string' && /^[a-f0-9]{24}$/.test(id);
+}
+
+function resolveType(filename, mimeType) {
+  const mime = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (TYPES[mime]) return mime;
+  return EXTENSIONS[path.extname(String(filename || '')).toLowerCase()] || null;
+}
+
+function uploadError(message, status = 400, extra = {}) {
+  return Object.assign(new Error(message), { status, ...extra });
+}
+
+function missingError(ids) {
+  return uploadError('Some attachments are no longer on the server.', 409, { code: 'upload_missing', missing: ids });
+}
+
+// The data file can expire between the meta lookup and the read (see sweep()).
+async function readUpload(owner, id) {
+  try {
+    return await fs.promises.readFile(path.join(ownerDir(owner), id));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw missingError([id]);
+    throw err;
+  }
+}
+
+function formatMB(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+// Bytes of uploaded files currently stored for an owner (extraction caches not counted).
+async function storedBytes(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch {
+    return 0;
+  }
+  let total = 0;
+  for (const name of names) {
+    if (!isValidId(name)) continue;
+    const stat = await fs.promises.stat(path.join(dir, name)).catch(() => null);
+    total += stat?.size || 0;
+  }
+  return total;
+}
+
+// Quota checks run one at a time per owner, so parallel uploads can't all pass on the same count.
+const quotaLocks = new Map(); // owner -> tail of its queue
+
+function withQuotaLock(owner, fn) {
+  const run = (quotaLocks.get(owner) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  quotaLocks.set(owner, tail);
+  tail.then(() => {
+    if (quotaLocks.get(owner) === tail) quotaLocks.delete(owner);
+  });
+  return run;
+}
+
+// ---- Receiving ----
+// Streams every file part of `req` to disk. Resolves to one entry per file, either
+// { id, name, type, kind, size } or { name, error } (bad type, too large...).
+function receive(req, owner) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { fileSize: UPLOAD_MAX_BYTES, files: UPLOAD_MAX_FILES } });
+    } catch (err) {
+      return reject(uploadError('Expected a multipart/form-data body.'));
+    }
+
+    const dir = ownerDir(owner);
+    const pending = [];
+    const partial = new Set(); // .part files still being written
+
+    busboy.on('file', (_field, stream, info) => {
+      // Busboy can fail the stream (e.g. a truncated body) before the listeners below are on.
+      let failed = null;
+      stream.on('error', (err) => (failed = err));
+      const name = String(info.filename || 'file').slice(0, 200);
+      const type = resolveType(name, info.mimeType);
+      if (!type) {
+        stream.resume();
+        pending.push(Promise.resolve({ name, error: `Unsupported file type (${info.mimeType || 'unknown'}).` }));
+        return;
+      }
+
+      const id = crypto.randomBytes(12).toString('hex');
+      const file = path.join(dir, id);
+      partial.add(`${file}.part`);
+      pending.push(
+        (async () => {
+          await fs.promises.mkdir(dir, { recursive: true });
+          let size = 0;
+          let truncated = false;
+          stream.on('data', (chunk) => (size += chunk.length));
+          stream.on('limit', () => (truncated = true));
+          await new Promise((done, fail) => {
+            if (failed) return fail(failed);
+            const out = fs.createWriteStream(`${file}.part`);
+            stream.pipe(out);
+            out.on('finish', done);
+            out.on('error', fail);
+            stream.on('error', fail);
+          });
+
+          if (truncated) {
+            await fs.promises.rm(`${file}.part`, { force: true });
+            return { name, error: `File is larger than ${formatMB(UPLOAD_MAX_BYTES)}.` };
+          }
+          if (!size) {
+            await fs.promises.rm(`${file}.part`, { force: true });
+            return { name, error: 'File is empty.' };
+          }
+          // Moving the file into place inside the lock makes it count for the next check.
+          const fits = await withQuotaLock(owner, async () => {
+            if (UPLOAD_QUOTA_BYTES && (await storedBytes(dir)) + size > UPLOAD_QUOTA_BYTES) return false;
+            await fs.promises.rename(`${file}.part`, file);
+            return true;
+          });
+          if (!fits) {
+            await fs.promises.rm(`${file}.part`, { force: true });
+            return { name, error: `Upload storage is full (${formatMB(UPLOAD_QUOTA_BYTES)}); remove attachments or wait for old ones to expire.` };
+          }
+
+          const meta = { id, name, type, kind: TYPES[type], size, createdAt: new Date().toISOString() };
+          await fs.promises.writeFile(`${file}.json`, JSON.stringify(meta));
+          return meta;
+        })().finally(() => partial.delete(`${file}.part`)).catch((err) => {
+          stream.resume();
+          fs.promises.rm(`${file}.part`, { force: true }).catch(() => {});
+          console.error('Upload write error:', err?.message || err);
+          return { name, error: 'Could not store the file.' };
+        })
+      );
+    });
+
+    busboy.on('filesLimit', () => pending.push(Promise.resolve({ name: '', error: `At most ${UPLOAD_MAX_FILES} files per request.` })));
+    busboy.on('error', (err) => {
+      for (const part of partial) fs.promises.rm(part, { force: true }).catch(() => {});
+      reject(uploadError(`Malformed upload: ${err.message}`));
+    });
+    busboy.on('close', () => Promise.all(pending).then(resolve, reject));
+    req.pipe(busboy);
+  });
+}
+
+// ---- Lookup ----
+async function getMeta(owner, id) {
+  if (!isValidId(id)) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(ownerDir(owner), `${id}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function remove(owner, id) {
+  if (!isValidId(id)) return false;
+  const file = path.join(ownerDir(owner), id);
+  const existed = Boolean(await getMeta(owner, id));
+  // Meta first: without it the upload reads as missing rather than half there.
+  await fs.promises.rm(`${file}.json`, { force: true });
+  await fs.promises.rm(file, { force: true });
+  await fs.promises.rm(`${file}.text.json`, { force: true });
+  return existed;
+}
+
+// ---- Extracted text ----
+// The extraction (lib/extract.js) of a document upload, cached next to it as <id>.text.json.
+// Returns null if the upload is gone; throws (status 415/422) if there is no text to get.
+async function getText(owner, id) {
+  const meta = await getMeta(owner, id);
+  if (!meta) return null;
+  const file = path.join(ownerDir(owner), id);
+  try {
+    return JSON.parse(await fs.promises.readFile(`${file}.text.json`, 'utf8'));
+  } catch {}
+
+  if (meta.kind !== 'file') throw uploadError('Only documents have text to extract.', 415, { code: 'extract_failed' });
+  let buffer;
+  try {
+    buffer = await readUpload(owner, id);
+  } catch (err) {
+    if (err.code === 'upload_missing') return null;
+    throw err;
+  }
+  const doc = { name: meta.name, ...(await extract.extract(buffer, meta.type)) };
+  await fs.promises.writeFile(`${file}.text.json`, JSON.stringify(doc)).catch(() => {});
+  return doc;
+}
+
+// What the client needs to offer the send options: per-page token estimates, no text.
+function textSummary(doc) {
+  return {
+    unit: doc.unit,
+    tokens: doc.tokens,
+    pages: doc.pages.map(({ n, label, tokens }) => ({ n, label, tokens })),
+    chunks: extract.chunk(doc).length,
+    relevantTokens: Math.min(doc.tokens, extract.RELEVANT_TOKENS),
+  };
+}
+
+// Replaces `upload:<id>` references in a chat completion body's messages with inline base64
+// (a data: URI for images, bare base64 for documents, which is what Sonar expects).
+// `{ type: 'file_text', file_text: { url, mode, pages } }` parts become text parts holding the
+// extracted text instead (mode "relevant" ranks chunks against the message's own text).
+// Throws { status: 409, code: 'upload_missing', missing: [ids] } if any upload is gone.
+async function inline(owner, body) {
+  const parts = [];
+  for (const m of Array.isArray(body?.messages) ? body.messages : []) {
+    if (!Array.isArray(m?.content)) continue;
+    for (const p of m.content) {
+      const holder = p?.type === 'image_url' ? p.image_url : p?.type === 'file_url' ? p.file_url : p?.type === 'file_text' ? p.file_text : null;
+      if (typeof holder?.url === 'string' && holder.url.startsWith(REF_PREFIX)) parts.push({ message: m, part: p, holder, id: holder.url.slice(REF_PREFIX.length) });
+    }
+  }
+  if (!parts.length) return body;
+
+  const missing = [];
+  for (const { id } of parts) {
+    if (!missing.includes(id) && !(await getMeta(owner, id))) missing.push(id);
+  }
+  if (missing.length) throw missingError(missing);
+
+  for (const part of parts) {
+    if (part.part.type === 'file_text') {
+      const doc = await getText(owner, part.id);
+      if (!doc) throw missingError([part.id]);
+      const query = part.message.content.filter((p) => p?.type === 'text').map((p) => p.text).join('\n');
+      const { mode, pages } = part.holder;
+      part.message.content[part.message.content.indexOf(part.part)] = { type: 'text', text: extract.select(doc, { name: doc.name, mode, pages, query }) };
+      continue;
+    }
+    const meta = await getMeta(owner, part.id);
+    const b64 = (await readUpload(owner, part.id)).toString('base64');
+    part.holder.url = meta.kind === 'image' ? `data:${meta.type};base64,${b64}` : b64;
+  }
+  return body;
+}
+
+// ---- Expiry ----
+async function sweep() {
+  const now = Date.now();
+  let dirs = [];
+  try {
+    dirs = await fs.promises.readdir(dataPath('uploads'));
+  } catch {
+    return;
+  }
+  const isMeta = (name) => /^[a-f0-9]{24}\.json$/.test(name);
+  for (const d of dirs) {
+    const dir = dataPath('uploads', d);
+    // Metas first, each taking its data file along, so an upload never outlives its meta.
+    const names = (await fs.promises.readdir(dir).catch(() => [])).sort((a, b) => isMeta(b) - isMeta(a));
+    for (const name of names) {
+      const file = path.join(dir, name);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (!stat || now - stat.mtimeMs <= UPLOAD_TTL_MS) continue;
+      await fs.promises.rm(file, { force: true });
+      if (isMeta(name)) {
+        const base = file.slice(0, -'.json'.length);
+        await fs.promises.rm(base, { force: true });
+        await fs.promises.rm(`${base}.text.json`, { force: true });
+      }
+    }
+  }
+}
+
+function startSweeper() {
+  sweep().catch(() => {});
+  setInterval(() => sweep().catch((err) => console.error('Upload sweep error:', err?.message || err)), Math.min(UPLOAD_TTL_MS, 60 * 60 * 1000)).unref?.();
+}
+
+module.exports = {
+  UPLOAD_MAX_BYTES,
+  receive,
+  getMeta,
+  getText,
+  textSummary,
+  remove,
+  inline,
+  startSweeper,
+};
@@ -1,19 +1,25 @@
 /*
   Perplexity-like Chat (Sonar API) — client-side app
-  - Stores API key and UI settings in localStorage.
+  - Stores API key and UI settings in localStorage (or signs in, when the server holds the key).
+  - Syncs threads to the server (/api/threads); localStorage is the offline copy.
   - Streams responses via fetch() + manual SSE parsing.
   - Shows citations + search results in the UI.
 
   Notes:
-  - Large attachments (base64) are kept in memory for the current session.
-    Persisting them in localStorage is avoided to prevent quota issues.
+  - Attachments are uploaded to /api/uploads and kept in IndexedDB, never in localStorage
+    (quota); messages only hold references to them.
 */
 
 (() => {
   const LS = {
     apiKey: 'pplx_api_key',
     settings: 'pplx_settings',
-    threads: 'pplx_threads_v1'
+    threads: 'pplx_threads_v1',
+    sync: 'pplx_sync_v1',
+    usage: 'pplx_usage_v1',
+    spaces: 'pplx_spaces_v1',
+    collections: 'pplx_collections_v1',
+    templates: 'pplx_templates_v1'
   };
 
   const DEFAULT_SETTINGS = {
@@ -44,19 +50,44 @@
     },
     language_preference: null,
     system_prompt: '',
-    deep_research_async: true
+    deep_research_async: true,
+    // Retrieve passages from the server-side document library for each question.
+    use_library: false,
+    // JSON Schema for structured output (response_format); null for normal answers.
+    response_schema: null,
+    // Compare mode: 2–4 configurations answering the same prompt side by side.
+    compare: [
+      { model: 'sonar', search_mode: 'web' },
+      { model: 'sonar-pro', search_mode: 'web' }
+    ]
   };
 
-  /** @type {{apiKey: string, settings: any, threads: any[], activeThreadId: string|null, attachments: {images:any[], files:any[]}}} */
+  /** @type {{server: {byok: boolean, authRequired: boolean, user: any, uploadMaxBytes?: number}, apiKey: string, settings: any, spaces: any[], providers: any[], threads: any[], collections: {items: any[], updatedAt: string|null}, usage: any[], jobs: any[], activeThreadId: string|null, attachments: {images:any[], files:any[]}}} */
   const state = {
+    // From /api/config. byok = bring-your-own-key; otherwise the server holds the key and we sign in.
+    server: { byok: true, authRequired: false, user: null },
     apiKey: '',
     settings: structuredClone(DEFAULT_SETTINGS),
+    // Named presets of the search-shaping settings; threads point at one via `spaceId`.
+    spaces: [],
+    // Prompt templates (slash commands) and the values recently used for each variable.
+    templates: [],
+    templateValues: {},
+    providers: [],
     threads: [],
+    // Sidebar folders; threads point at one via `collectionId`. Synced via /api/collections.
+    collections: { items: [], updatedAt: null },
+    // Usage ledger: one record per answered request, kept even after its thread is deleted.
+    usage: [],
+    // Deep Research jobs the server is tracking (summaries from /api/jobs).
+    jobs: [],
     activeThreadId: null,
     attachments: { images: [], files: [] }
   };
 
   let abortController = null;
+  const jobWatchers = new Set();
+  const activeStreams = new Set(); // chat stream ids being followed (see followStream)
 
   // -------------------- Helpers --------------------
   const $ = (id) => document.getElementById(id);
@@ -65,6 +96,17 @@
     return Math.random().toString(16).slice(2) + Date.now().toString(16);
   }
 
+  // `url` if it is http(s), else ''. Source and media URLs come from the API or from shared
+  // snapshots, and are only ever turned into links through this.
+  function safeUrl(url) {
+    const str = String(url || '').trim();
+    try {
+      return ['http:', 'https:'].includes(new URL(str).protocol) ? str : '';
+    } catch {
+      return '';
+    }
+  }
+
   function nowISO() {
     return new Date().toISOString();
   }
@@ -102,6 +144,20 @@
     pill.textContent = text;
   }
 
+  // Error for a non-OK response. Rate limit / quota errors (429) carry a short message
+  // meant for the status pill.
+  async function responseError(resp, label) {
+    const text = await resp.text();
+    const data = safeJsonParse(text);
+    if (resp.status === 429 && data?.error) {
+      // Our limiter sends { error: '...', code }; upstream sends { error: { message, code } }.
+      const err = data.error;
+      const message = typeof err === 'string' ? err : err.message || `${label} (429)`;
+      return Object.assign(new Error(message), { status: 429, code: data.code });
+    }
+    return Object.assign(new Error(`${label} (${resp.status}): ${text}`), { status: resp.status });
+  }
+
   function toast(msg) {
     // Minimal toast: status pill.
     setStatus('idle', msg);
@@ -123,8 +179,14 @@
     const threadsRaw = localStorage.getItem(LS.threads);
     if (threadsRaw) {
       const parsed = safeJsonParse(threadsRaw);
-      if (Array.isArray(parsed)) state.threads = parsed;
+      if (Array.isArray(parsed)) state.threads = parsed.map(normalizeThread);
     }
+    state.threads.forEach(rememberSnapshot);
+    loadSpaces();
+    loadTemplates();
+    loadCollections();
+    loadSyncState();
+    loadUsage();
 
     if (!state.threads.length) {
       const t = createThread();
@@ -153,19 +215,31 @@
   }
 
   function saveThreads() {
-    // Persist only "safe" messages: strip any base64/attachment content arrays.
     const safeThreads = state.threads.map((t) => {
-      const safeMessages = (t.messages || []).map((m) => {
-        const content = m.content;
-        if (Array.isArray(content)) {
-          // Don't persist base64 blobs.
-          return { ...m, content: summarizeMultipartContent(content) };
-        }
-        return { ...m, content: String(content || '') };
-      });
-      return { ...t, messages: safeMessages };
+      const safe = serializeThread(t);
+      // Bump updatedAt only when something actually changed, so sync knows what to push.
+      if (rememberSnapshot(t)) safe.updatedAt = t.updatedAt = nowISO();
+      return safe;
     });
     localStorage.setItem(LS.threads, JSON.stringify(safeThreads));
+    scheduleSync();
+  }
+
+  function serializeThread(t) {
+    return { ...t, messages: serializeMessages(t.messages || []) };
+  }
+
+  // Persist only "safe" messages: strip any base64/attachment content arrays (in inactive branches too).
+  function serializeMessages(msgs) {
+    return msgs.map((m) => {
+      const content = m.content;
+      const out = Array.isArray(content)
+        // Don't persist base64 blobs.
+        ? { ...m, content: summarizeMultipartContent(content) }
+        : { ...m, content: String(content || '') };
+      if (Array.isArray(m.variants)) out.variants = m.variants.map((v) => (v ? serializeMessages(v) : null));
+      return out;
+    });
   }
 
   function summarizeMultipartContent(parts) {
@@ -180,18 +254,277 @@
     return `${head}\n\n[Attachments: ${extra.join(', ')}]`;
   }
 
+  // -------------------- Server sync --------------------
+  // Threads are mirrored to /api/threads so history isn't stuck in one browser.
+  // Failed pushes/deletes stay pending and are retried on the next save or when back online.
+  const sync = {
+    timer: null,
+    running: false,
+    pending: false, // a flush was requested while one was running
+    snapshots: new Map(), // thread id -> last serialized content, to detect edits
+    syncedAt: {}, // thread id -> updatedAt the server has
+    deleted: [], // ids deleted locally but not yet on the server
+    collectionsDirty: false,
+    collectionsBase: null, // the folder list as last saved on / read from the server
+    owner: null // team mode: the account the local threads belong to
+  };
+
+  function loadSyncState() {
+    const parsed = safeJsonParse(localStorage.getItem(LS.sync) || '');
+    sync.syncedAt = parsed?.syncedAt || {};
+    sync.deleted = Array.isArray(parsed?.deleted) ? parsed.deleted : [];
+    sync.collectionsBase = Array.isArray(parsed?.collectionsBase?.items) ? parsed.collectionsBase : null;
+    sync.owner = parsed?.owner || null;
+  }
+
+  function saveSyncState() {
+    localStorage.setItem(LS.sync, JSON.stringify({ syncedAt: sync.syncedAt, deleted: sync.deleted, collectionsBase: sync.collectionsBase, owner: sync.owner }));
+  }
+
+  // Returns true when the thread changed since the last snapshot.
+  function rememberSnapshot(t) {
+    const { updatedAt, ...comparable } = serializeThread(t);
+    const snapshot = JSON.stringify(comparable);
+    const prev = sync.snapshots.get(t.id);
+    sync.snapshots.set(t.id, snapshot);
+    return prev != null && prev !== snapshot;
+  }
+
+  function syncHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...authHeaders()
+    };
+  }
+
+  function scheduleSync(delay = 800) {
+    clearTimeout(sync.timer);
+    sync.timer = setTimeout(flushSync, delay);
+  }
+
+  async function flushSync() {
+    if (!hasCredentials() || !navigator.onLine) return;
+    if (sync.running) {
+      sync.pending = true;
+      return;
+    }
+    sync.running = true;
+    sync.pending = false;
+    try {
+      for (const id of [...sync.deleted]) {
+        const resp = await fetch(`/api/threads/${encodeURIComponent(id)}`, { method: 'DELETE', headers: syncHeaders() });
+        if (!resp.ok && resp.status !== 404) throw new Error(`delete failed (${resp.status})`);
+        sync.deleted = sync.deleted.filter((x) => x !== id);
+        delete sync.syncedAt[id];
+      }
+
+      for (const t of [...state.threads]) {
+        // Untouched "New chat" threads aren't worth storing.
+        if (!t.messages.length || sync.syncedAt[t.id] === t.updatedAt) continue;
+
+        const body = serializeThread(t);
+        const resp = await fetch(`/api/threads/${encodeURIComponent(t.id)}`, {
+          method: 'PUT',
+          headers: syncHeaders(),
+          body: JSON.stringify(body)
+        });
+
+        if (resp.status === 409) {
+          // Someone saved a newer copy elsewhere: last write wins.
+          const data = await resp.json();
+          if (data?.thread) {
+            replaceThread(data.thread);
+            sync.syncedAt[t.id] = data.thread.updatedAt;
+            localStorage.setItem(LS.threads, JSON.stringify(state.threads.map(serializeThread)));
+            render();
+          }
+          continue;
+        }
+        if (!resp.ok) throw new Error(`save failed (${resp.status})`);
+        sync.syncedAt[t.id] = body.updatedAt;
+      }
+
+      if (sync.collectionsDirty) await pushCollections();
+    } catch (err) {
+      console.warn('Thread sync deferred:', err?.message || err);
+    } finally {
+      sync.running = false;
+      saveSyncState();
+      if (sync.pending) scheduleSync();
+    }
+  }
+
+  async function pullThreads() {
+    if (!hasCredentials()) return;
+
+    let remote;
+    try {
+      const resp = await fetch('/api/threads', { headers: syncHeaders() });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      remote = (await resp.json()).threads || [];
+    } catch (err) {
+      console.warn('Using local threads only:', err?.message || err);
+      return;
+    }
+
+    const remoteIds = new Set(remote.map((t) => t.id));
+    for (const rt of remote) {
+      if (sync.deleted.includes(rt.id)) continue;
+      const local = state.threads.find((t) => t.id === rt.id);
+      if (!local || String(rt.updatedAt) > String(local.updatedAt || '')) replaceThread(rt);
+      if (!local || String(rt.updatedAt) >= String(local.updatedAt || '')) sync.syncedAt[rt.id] = rt.updatedAt;
+    }
+
+    // Synced before, unchanged since, and gone from the server: it was deleted elsewhere.
+    state.threads = state.threads.filter((t) => remoteIds.has(t.id) || sync.syncedAt[t.id] !== t.updatedAt);
+    for (const id of Object.keys(sync.syncedAt)) {
+      if (!remoteIds.has(id)) delete sync.syncedAt[id];
+    }
+
+    await pullCollections();
+
+    state.threads.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    if (!state.threads.length) state.threads.push(createThread());
+    if (!activeThread()) state.activeThreadId = state.threads[0].id;
+
+    saveSyncState();
+    saveThreads();
+    render();
+  }
+
+  // On a conflict the local edits are replayed on top of the server's copy and pushed again.
+  async function pushCollections() {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const body = JSON.stringify(state.collections);
+      const resp = await fetch('/api/collections', { method: 'PUT', headers: syncHeaders(), body });
+      if (resp.status === 409) {
+        const remote = (await resp.json())?.collections;
+        if (!remote) throw new Error('collections save conflict');
+        rebaseCollections(remote);
+        renderThreadList();
+        continue;
+      }
+      if (!resp.ok) throw new Error(`collections save failed (${resp.status})`);
+      sync.collectionsBase = JSON.parse(body);
+      // Edited again while the request was in flight: leave it dirty for the next flush.
+      sync.collectionsDirty = JSON.stringify(state.collections) !== body;
+      return;
+    }
+    throw new Error('collections kept changing on the server');
+  }
+
+  function rebaseCollections(remote) {
+    state.collections = mergeCollections(sync.collectionsBase, state.collections, remote);
+    sync.collectionsBase = structuredClone(remote); // folders are edited in place; keep the base apart
+    sync.collectionsDirty = true;
+    localStorage.setItem(LS.collections, JSON.stringify(state.collections));
+  }
+
+  // Three-way merge by folder id: what changed locally since `base` (new folders, deletions,
+  // changed fields) is applied to `remote`; everything else follows the server.
+  function mergeCollections(base, local, remote) {
+    const baseById = new Map((base?.items || []).map((c) => [c.id, c]));
+    const localById = new Map(local.items.map((c) => [c.id, c]));
+    const remoteItems = Array.isArray(remote.items) ? remote.items : [];
+    const items = [];
+    for (const r of remoteItems) {
+      const b = baseById.get(r.id);
+      const l = localById.get(r.id);
+      if (!l) {
+        if (!b) items.push(r); // new on the server; otherwise deleted here
+        continue;
+      }
+      const edits = b ? Object.fromEntries(Object.entries(l).filter(([k, v]) => v !== b[k])) : {};
+      items.push({ ...r, ...edits });
+    }
+    const remoteIds = new Set(remoteItems.map((c) => c.id));
+    for (const l of local.items) {
+      if (!remoteIds.has(l.id) && !baseById.has(l.id)) items.push(l); // created here
+    }
+
+    // Must sort after the server's copy or the next push conflicts again.
+    const now = nowISO();
+    const updatedAt = now > String(remote.updatedAt || '') ? now : new Date(Date.parse(remote.updatedAt) + 1).toISOString();
+    return { items, updatedAt };
+  }
+
+  async function pullCollections() {
+    try {
+      const resp = await fetch('/api/collections', { headers: syncHeaders() });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const remote = await resp.json();
+      const remoteAt = String(remote.updatedAt || '');
+      const localAt = String(state.collections.updatedAt || '');
+      const unsynced = localAt !== String(sync.collectionsBase?.updatedAt || '');
+      if (remoteAt > localAt && unsynced) {
+        // Both sides changed: keep the local edits on top of the server's copy.
+        rebaseCollections(remote);
+      } else if (remoteAt > localAt) {
+        adoptCollections(remote);
+      } else if (remoteAt < localAt) {
+        sync.collectionsDirty = true;
+      } else {
+        sync.collectionsBase = remote;
+      }
+    } catch (err) {
+      console.warn('Using local collections only:', err?.message || err);
+    }
+  }
+
+  function adoptCollections(remote) {
+    state.collections = { items: Array.isArray(remote.items) ? remote.items : [], updatedAt: remote.updatedAt || null };
+    sync.collectionsBase = structuredClone(state.collections);
+    localStorage.setItem(LS.collections, JSON.stringify(state.collections));
+  }
+
+  function replaceThread(remoteThread) {
+    const t = normalizeThread(remoteThread);
+    const idx = state.threads.findIndex((x) => x.id === t.id);
+    if (idx >= 0) {
+      state.threads[idx] = t;
+    } else {
+      state.threads.push(t);
+    }
+    rememberSnapshot(t);
+  }
+
   // -------------------- Threads --------------------
   function createThread() {
+    const now = nowISO();
     return {
       id: uid(),
       title: 'New chat',
-      createdAt: nowISO(),
+      createdAt: now,
+      updatedAt: now,
       messages: [],
-      // In-memory only: messageIndex -> {images:[], files:[]}
-      ephemeral: { attachmentsByIndex: {} }
+      // New chats stay in the space of the chat you were in.
+      spaceId: activeThread()?.spaceId || null,
+      overrides: {},
+      collectionId: null,
+      pinned: false,
+      archived: false,
+      tags: [],
+      // Sidebar position: higher sorts first (see threadOrder).
+      order: Date.now()
     };
   }
 
+  // Threads from older saves or from the server may lack local-only fields.
+  function normalizeThread(t) {
+    const out = { ...t };
+    out.messages = Array.isArray(t.messages) ? t.messages : [];
+    out.createdAt = t.createdAt || nowISO();
+    out.updatedAt = t.updatedAt || out.createdAt;
+    delete out.ephemeral; // in-memory attachment chips from older versions
+    out.spaceId = t.spaceId || null;
+    out.collectionId = t.collectionId || null;
+    out.pinned = Boolean(t.pinned);
+    out.archived = Boolean(t.archived);
+    out.tags = Array.isArray(t.tags) ? t.tags : [];
+    out.overrides = t.overrides && typeof t.overrides === 'object' ? t.overrides : {};
+    return out;
+  }
+
   function activeThread() {
     return state.threads.find((t) => t.id === state.activeThreadId) || null;
   }
@@ -205,6 +538,11 @@
     const idx = state.threads.findIndex((t) => t.id === id);
     if (idx < 0) return;
     state.threads.splice(idx, 1);
+    sync.snapshots.delete(id);
+    if (sync.syncedAt[id]) {
+      sync.deleted.push(id);
+      saveSyncState();
+    }
     if (!state.threads.length) {
       const t = createThread();
       state.threads.push(t);
@@ -214,199 +552,939 @@
     }
     saveThreads();
     render();
+    cleanupAttachments({ threadId: id });
   }
 
-  // -------------------- UI Rendering --------------------
-  function renderThreadList() {
-    const list = $('threadList');
+  // -------------------- Search --------------------
+  // Client-side full-text search over every thread: message text, citation URLs and
+  // search_results titles/snippets. Ranked with BM25; per-thread postings are cached
+  // until the thread changes.
+  const SEARCH_FIELDS = { title: 2, content: 1, source: 0.6, url: 0.4 };
+  const searchCache = new Map(); // threadId -> { key, docs }
+  let searchQuery = '';
+  let searchTimer = null;
+
+  function tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((w) => w.length > 1);
+  }
+
+  function messageText(m) {
+    const text = typeof m.content === 'string' ? m.content : summarizeMultipartContent(m.content || []);
+    return m.attachments?.length ? `${text}\n\n[Attachments: ${m.attachments.map((a) => a.name).join(', ')}]` : text;
+  }
+
+  // One doc per message. `fields` keeps the raw text for snippets; `tf` holds weighted term counts.
+  function threadDocs(thread) {
+    const key = `${thread.updatedAt}:${thread.messages.length}`;
+    const cached = searchCache.get(thread.id);
+    if (cached?.key === key) return cached.docs;
+
+    const docs = thread.messages.map((m, idx) => {
+      const fields = [{ kind: 'content', text: messageText(m) }];
+      if (idx === 0) fields.push({ kind: 'title', text: thread.title || '' });
+      for (const r of m.meta?.search_results || []) {
+        fields.push({ kind: 'source', text: [r.title, r.snippet].filter(Boolean).join(' — '), url: r.url });
+      }
+      for (const url of m.meta?.citations || []) fields.push({ kind: 'url', text: String(url), url });
+
+      const tf = new Map();
+      let len = 0;
+      for (const f of fields) {
+        for (const w of tokenize(f.text)) {
+          tf.set(w, (tf.get(w) || 0) + SEARCH_FIELDS[f.kind]);
+          len += 1;
+        }
+      }
+      return { thread, idx, fields, tf, len };
+    });
+
+    searchCache.set(thread.id, { key, docs });
+    return docs;
+  }
+
+  // Terms match word prefixes, so results show up while the last word is still being typed.
+  function termFrequency(doc, term) {
+    let n = 0;
+    for (const [w, c] of doc.tf) if (w.startsWith(term)) n += c;
+    return n;
+  }
+
+  function searchThreads(query, limit = 50) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return [];
+
+    const docs = state.threads.flatMap(threadDocs);
+    const avgLen = docs.reduce((a, d) => a + d.len, 0) / (docs.length || 1) || 1;
+    const k1 = 1.2;
+    const b = 0.75;
+
+    const freqs = docs.map((d) => terms.map((t) => termFrequency(d, t)));
+    const idf = terms.map((_, i) => {
+      const df = freqs.filter((f) => f[i] > 0).length;
+      return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    });
+
+    const phrase = query.trim().toLowerCase();
+    const results = [];
+    docs.forEach((d, di) => {
+      const f = freqs[di];
+      // Every term has to match somewhere in the message or its sources.
+      if (f.some((x) => x === 0)) return;
+      let score = 0;
+      f.forEach((tf, i) => {
+        score += idf[i] * ((tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * d.len) / avgLen)));
+      });
+      if (terms.length > 1 && d.fields.some((x) => x.text.toLowerCase().includes(phrase))) score *= 1.5;
+      results.push({ doc: d, score, terms });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || String(b.doc.thread.updatedAt).localeCompare(String(a.doc.thread.updatedAt)))
+      .slice(0, limit);
+  }
+
+  function escapeRegExp(s) {
+    return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Picks the field with the most hits and returns an escaped excerpt with <mark>ed terms.
+  function searchSnippet(doc, terms, radius = 70) {
+    const re = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    const hits = (f) => (f.text.match(re) || []).length;
+    const field = [...doc.fields].sort((a, b) => hits(b) - hits(a))[0];
+    const text = field.text.replace(/\s+/g, ' ');
+
+    re.lastIndex = 0;
+    const first = Math.max(0, text.search(re));
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + radius * 2);
+    const excerpt = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+
+    const html = excerpt
+      .split(re)
+      .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+    return { field, html };
+  }
+
+  function renderSearchResults() {
+    const active = Boolean(searchQuery.trim());
+    $('searchSection').style.display = active ? '' : 'none';
+    $('chatSection').style.display = active ? 'none' : '';
+    if (!active) return;
+
+    const results = searchThreads(searchQuery);
+    const list = $('searchResults');
     list.innerHTML = '';
+    $('searchSummary').textContent = results.length ? `Results (${results.length})` : 'No results';
+
+    for (const r of results) {
+      const { thread, idx } = r.doc;
+      const msg = thread.messages[idx];
+      const { field, html } = searchSnippet(r.doc, r.terms);
 
-    for (const t of state.threads) {
       const item = document.createElement('div');
-      item.className = 'threadItem' + (t.id === state.activeThreadId ? ' threadItem--active' : '');
-      item.addEventListener('click', () => setActiveThread(t.id));
+      item.className = 'threadItem searchResult';
+      item.addEventListener('click', () => jumpToMessage(thread.id, idx));
 
       const left = document.createElement('div');
       left.style.flex = '1';
+      left.style.minWidth = '0';
 
       const title = document.createElement('div');
       title.className = 'threadItem__title';
-      title.textContent = t.title || 'Chat';
+      title.textContent = thread.title || 'Chat';
+
+      const snippet = document.createElement('div');
+      snippet.className = 'searchResult__snippet';
+      snippet.innerHTML = html;
 
       const meta = document.createElement('div');
       meta.className = 'threadItem__meta';
-      meta.textContent = `${(t.messages || []).length} msg`;
+      const where = field.url ? `source • ${hostnameOf(field.url)}` : msg.role === 'user' ? 'you' : 'answer';
+      meta.textContent = `${where} • ${new Date(thread.updatedAt).toLocaleDateString()}`;
 
       left.appendChild(title);
+      left.appendChild(snippet);
       left.appendChild(meta);
-
-      const actions = document.createElement('div');
-      actions.className = 'threadItem__actions';
-
-      const del = document.createElement('button');
-      del.className = 'btn';
-      del.textContent = '🗑';
-      del.title = 'Delete chat';
-      del.addEventListener('click', (e) => {
-        e.stopPropagation();
-        if (confirm('Delete this chat?')) deleteThread(t.id);
-      });
-
-      actions.appendChild(del);
       item.appendChild(left);
-      item.appendChild(actions);
-
       list.appendChild(item);
     }
   }
 
-  function renderMessages() {
-    const thread = activeThread();
-    const container = $('messages');
-    container.innerHTML = '';
+  function hostnameOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return String(url);
+    }
+  }
 
-    if (!thread) return;
+  function jumpToMessage(threadId, idx) {
+    if (state.activeThreadId !== threadId) setActiveThread(threadId);
+    const el = document.getElementById(`msg-${threadId}-${idx}`);
+    if (!el) return;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.remove('message--flash');
+    void el.offsetWidth; // restart the animation
+    el.classList.add('message--flash');
+  }
 
-    $('threadTitle').textContent = thread.title || 'Chat';
+  function setSearchQuery(q) {
+    searchQuery = q;
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(renderSearchResults, 120);
+  }
 
-    const msgs = thread.messages || [];
-    msgs.forEach((m, idx) => {
-      const wrapper = document.createElement('div');
-      wrapper.className = 'message ' + (m.role === 'user' ? 'message--user' : 'message--assistant');
-      wrapper.id = `msg-${thread.id}-${idx}`;
+  // -------------------- Branches --------------------
+  // `thread.messages` is always the selected path, so everything else (payloads, search,
+  // sync) only ever sees one conversation. Where it forks, the first message of the active
+  // tail carries `variants` (every alternative tail, `null` marking its own slot) and
+  // `variant` (its index). Inactive tails are stored whole, so forks inside them move with them.
+  function variantInfo(m) {
+    return Array.isArray(m?.variants) && m.variants.length > 1 ? { count: m.variants.length, index: m.variant || 0 } : null;
+  }
 
-      const header = document.createElement('div');
-      header.className = 'message__header';
+  // Detaches messages[idx..] and returns the variants list with that tail filed in its slot.
+  function stashTail(thread, idx) {
+    const tail = thread.messages.splice(idx);
+    const head = tail[0];
+    const variants = head?.variants || [null];
+    const current = head?.variant || 0;
+    if (head) {
+      delete head.variants;
+      delete head.variant;
+    }
+    variants[current] = tail;
+    return variants;
+  }
 
-      const role = document.createElement('div');
-      role.className = 'message__role';
-      role.textContent = m.role === 'user' ? 'User' : 'Assistant';
+  // Starts a new branch at `idx` whose first message is `head`; the old tail becomes a sibling.
+  function forkAt(thread, idx, head) {
+    const variants = stashTail(thread, idx);
+    variants.push(null);
+    head.variants = variants;
+    head.variant = variants.length - 1;
+    thread.messages.push(head);
+  }
 
-      const tools = document.createElement('div');
-      tools.className = 'message__tools';
+  function switchVariant(thread, idx, to) {
+    if (abortController) return toast('Wait for the current answer to finish');
+    const variants = stashTail(thread, idx);
+    const tail = variants[to];
+    variants[to] = null;
+    tail[0].variants = variants;
+    tail[0].variant = to;
+    thread.messages.push(...tail);
+    saveThreads();
+    renderMessages();
+  }
 
-      if (m.role === 'assistant') {
-        const copy = document.createElement('button');
-        copy.className = 'btn';
-        copy.textContent = 'Copy';
-        copy.addEventListener('click', () => {
-          navigator.clipboard.writeText(String(m.content || '')).then(() => toast('Copied'));
-        });
-        tools.appendChild(copy);
-      }
+  function editMessage(thread, idx, text) {
+    if (abortController) return toast('Wait for the current answer to finish');
+    const old = thread.messages[idx];
+    if (!ensureCredentials(threadSettings(thread).model)) return;
 
-      header.appendChild(role);
-      header.appendChild(tools);
+    // Keep attached images/files; only the text changes.
+    const head = { role: 'user', content: text };
+    if (old.attachments?.length) head.attachments = old.attachments;
+    forkAt(thread, idx, head);
 
-      const content = document.createElement('div');
-      content.className = 'message__content';
+    const assistantMsg = newAssistantMessage(thread);
+    thread.messages.push(assistantMsg);
+    generateReply(thread, assistantMsg);
+  }
 
-      if (m.role === 'assistant') {
-        content.innerHTML = renderAssistantHTML(m.content || '', m.meta || {});
-      } else {
-        // User message: render plain text, preserve newlines.
-        const pre = document.createElement('pre');
-        pre.style.margin = '0';
-        pre.style.whiteSpace = 'pre-wrap';
-        pre.style.background = 'transparent';
-        pre.style.padding = '0';
-        pre.textContent = Array.isArray(m.content) ? summarizeMultipartContent(m.content) : String(m.content || '');
-        content.appendChild(pre);
+  function regenerateMessage(thread, idx, overrides) {
+    if (abortController) return toast('Wait for the current answer to finish');
+    if (!ensureCredentials(overrides.model)) return;
+    const assistantMsg = newAssistantMessage(thread, overrides);
+    forkAt(thread, idx, assistantMsg);
+    generateReply(thread, assistantMsg);
+  }
 
-        // Show ephemeral attachments if available.
-        const eph = thread.ephemeral?.attachmentsByIndex?.[idx];
-        if (eph && (eph.images?.length || eph.files?.length)) {
-          const metaWrap = document.createElement('div');
-          metaWrap.className = 'message__meta';
+  function renderVariantSwitcher(thread, idx, info) {
+    const wrap = document.createElement('span');
+    wrap.className = 'variantSwitcher';
+
+    const prev = document.createElement('button');
+    prev.className = 'btn';
+    prev.textContent = '‹';
+    prev.title = 'Previous version';
+    prev.disabled = info.index === 0;
+    prev.addEventListener('click', () => switchVariant(thread, idx, info.index - 1));
+
+    const label = document.createElement('span');
+    label.textContent = `${info.index + 1}/${info.count}`;
+
+    const next = document.createElement('button');
+    next.className = 'btn';
+    next.textContent = '›';
+    next.title = 'Next version';
+    next.disabled = info.index === info.count - 1;
+    next.addEventListener('click', () => switchVariant(thread, idx, info.index + 1));
+
+    wrap.appendChild(prev);
+    wrap.appendChild(label);
+    wrap.appendChild(next);
+    return wrap;
+  }
 
-          const block = document.createElement('div');
-          block.className = 'metaBlock';
+  // Inline editor replacing a user message's text.
+  function openMessageEditor(thread, idx, contentEl) {
+    const m = thread.messages[idx];
+    const current = Array.isArray(m.content)
+      ? m.content.find((p) => p?.type === 'text')?.text || ''
+      : String(m.content || '');
+
+    contentEl.innerHTML = '';
+    const ta = document.createElement('textarea');
+    ta.className = 'input messageEditor';
+    ta.value = current;
+    ta.rows = Math.min(12, Math.max(3, current.split('\n').length));
+
+    const bar = document.createElement('div');
+    bar.className = 'messageEditor__bar';
+
+    const save = document.createElement('button');
+    save.className = 'btn btn--primary';
+    save.textContent = 'Save & send';
+    save.addEventListener('click', () => {
+      if (!ta.value.trim() && !m.attachments?.length) return toast('Message is empty');
+      editMessage(thread, idx, ta.value);
+    });
 
-          const title = document.createElement('div');
-          title.className = 'metaBlock__title';
-          title.textContent = 'Attachments';
-          block.appendChild(title);
+    const cancel = document.createElement('button');
+    cancel.className = 'btn';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => renderMessages());
 
-          const chips = document.createElement('div');
-          chips.style.display = 'flex';
-          chips.style.gap = '6px';
-          chips.style.flexWrap = 'wrap';
+    ta.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) save.click();
+      if (e.key === 'Escape') cancel.click();
+    });
 
-          for (const img of eph.images || []) {
-            const c = document.createElement('span');
-            c.className = 'chip';
-            c.textContent = `🖼 ${img.name}`;
-            chips.appendChild(c);
-          }
-          for (const f of eph.files || []) {
-            const c = document.createElement('span');
-            c.className = 'chip';
-            c.textContent = `📄 ${f.name}`;
-            chips.appendChild(c);
-          }
-          block.appendChild(chips);
-          metaWrap.appendChild(block);
-          wrapper.appendChild(metaWrap);
-        }
-      }
+    bar.appendChild(save);
+    bar.appendChild(cancel);
+    contentEl.appendChild(ta);
+    contentEl.appendChild(bar);
+    ta.focus();
+  }
 
-      wrapper.appendChild(header);
-      wrapper.appendChild(content);
+  // Inline bar to re-run an answer, optionally with another model / search mode.
+  function openRegenerateBar(thread, idx, wrapper) {
+    const existing = wrapper.querySelector('.regenBar');
+    if (existing) return existing.remove();
+    const m = thread.messages[idx];
+
+    const bar = document.createElement('div');
+    bar.className = 'regenBar';
+
+    const model = document.createElement('select');
+    model.className = 'input';
+    model.innerHTML = $('modelSelect').innerHTML;
+    const s = threadSettings(thread);
+    model.value = m.meta?.model || s.model;
+    if (!model.value) model.value = s.model;
+
+    const mode = document.createElement('select');
+    mode.className = 'input';
+    mode.innerHTML = $('searchMode').innerHTML;
+    mode.value = m.meta?.search_mode || s.search_mode;
+
+    const go = document.createElement('button');
+    go.className = 'btn btn--primary';
+    go.textContent = 'Regenerate';
+    go.addEventListener('click', () =>
+      regenerateMessage(thread, idx, { model: model.value, search_mode: mode.value, search_recency_filter: m.meta?.search_recency_filter })
+    );
+
+    bar.appendChild(model);
+    bar.appendChild(mode);
+    bar.appendChild(go);
+    wrapper.querySelector('.message__header').after(bar);
+  }
 
-      // Meta blocks (sources, usage, etc.)
-      if (m.role === 'assistant' && m.meta) {
-        const meta = renderMetaBlocks(m.meta);
-        if (meta) wrapper.appendChild(meta);
-      }
+  // -------------------- Sidebar: collections, pins, tags --------------------
+  // Pinned chats come first, then one group per collection, then unfiled chats. Within a
+  // group chats sort by `order` (drag and drop rewrites it). Archived chats only show under
+  // the "Archived" filter.
+  let threadFilter = 'all'; // 'all' | 'pinned' | 'archived' | 'tag:<name>'
+  let draggedThreadId = null;
 
-      container.appendChild(wrapper);
+  function loadCollections() {
+    const parsed = safeJsonParse(localStorage.getItem(LS.collections) || '');
+    if (parsed && Array.isArray(parsed.items)) state.collections = parsed;
+  }
 
-      // Syntax highlight within this message.
-      wrapper.querySelectorAll('pre code').forEach((el) => {
-        try {
-          hljs.highlightElement(el);
-        } catch {
-          // ignore
-        }
-      });
+  function saveCollections() {
+    state.collections.updatedAt = nowISO();
+    localStorage.setItem(LS.collections, JSON.stringify(state.collections));
+    sync.collectionsDirty = true;
+    scheduleSync();
+  }
 
-      // Add per-code-block copy buttons
-      wrapper.querySelectorAll('pre').forEach((pre) => {
-        if (pre.querySelector('.copyBtn')) return;
-        const code = pre.querySelector('code');
-        if (!code) return;
-        pre.classList.add('codeBlock');
-        const btn = document.createElement('button');
-        btn.className = 'copyBtn';
-        btn.textContent = 'Copy code';
-        btn.addEventListener('click', () => {
-          navigator.clipboard.writeText(code.innerText).then(() => toast('Code copied'));
-        });
-        pre.appendChild(btn);
-      });
-    });
+  function threadOrder(t) {
+    return typeof t.order === 'number' ? t.order : Date.parse(t.createdAt) || 0;
+  }
 
-    // Scroll to bottom
-    container.scrollTop = container.scrollHeight;
+  function threadById(id) {
+    return state.threads.find((t) => t.id === id) || null;
   }
 
-  function renderAssistantHTML(content, meta) {
-    const md = String(content || '');
-    const rawHtml = marked.parse(md, { mangle: false, headerIds: false });
-    let safeHtml = DOMPurify.sanitize(rawHtml);
-
-    // Convert bare [1] [2] ... references into links to citations when possible.
-    const citations = Array.isArray(meta?.citations) ? meta.citations : [];
-    if (citations.length) {
-      safeHtml = safeHtml.replace(/\[(\d{1,3})\]/g, (m, nStr) => {
-        const n = Number(nStr);
-        if (!Number.isFinite(n) || n < 1 || n > citations.length) return m;
-        const url = citations[n - 1];
-        return `<a href="${escapeHtmlAttr(url)}" target="_blank" rel="noreferrer">[${n}]</a>`;
+  function collectionById(id) {
+    return state.collections.items.find((c) => c.id === id) || null;
+  }
+
+  function createCollection() {
+    const name = (prompt('Folder name:') || '').trim();
+    if (!name) return null;
+    const c = { id: uid(), name: name.slice(0, 100), collapsed: false };
+    state.collections.items.push(c);
+    saveCollections();
+    renderThreadList();
+    return c;
+  }
+
+  function renameCollection(c) {
+    const name = (prompt('Rename folder:', c.name) || '').trim();
+    if (!name) return;
+    c.name = name.slice(0, 100);
+    saveCollections();
+    renderThreadList();
+  }
+
+  function deleteCollection(c) {
+    if (!confirm(`Delete folder "${c.name}"? Its chats move to Unfiled.`)) return;
+    state.collections.items = state.collections.items.filter((x) => x !== c);
+    for (const t of state.threads) if (t.collectionId === c.id) t.collectionId = null;
+    saveCollections();
+    saveThreads();
+    renderThreadList();
+  }
+
+  function updateThreadMeta(t, patch) {
+    Object.assign(t, patch);
+    saveThreads();
+    render();
+  }
+
+  function renameThread(t) {
+    const title = (prompt('Rename chat:', t.title || '') || '').trim();
+    if (title) updateThreadMeta(t, { title: title.slice(0, 200) });
+  }
+
+  function editThreadTags(t) {
+    const input = prompt('Tags (comma-separated):', (t.tags || []).join(', '));
+    if (input == null) return;
+    const tags = [...new Set(parseList(input).map((x) => x.toLowerCase().slice(0, 40)))];
+    updateThreadMeta(t, { tags });
+  }
+
+  function allTags() {
+    return [...new Set(state.threads.flatMap((t) => t.tags || []))].sort();
+  }
+
+  function matchesFilter(t) {
+    if (threadFilter === 'archived') return t.archived;
+    if (t.archived) return false;
+    if (threadFilter === 'pinned') return t.pinned;
+    if (threadFilter.startsWith('tag:')) return (t.tags || []).includes(threadFilter.slice(4));
+    return true;
+  }
+
+  function renderThreadFilter() {
+    const sel = $('threadFilter');
+    const tags = allTags();
+    if (threadFilter.startsWith('tag:') && !tags.includes(threadFilter.slice(4))) threadFilter = 'all';
+    const archived = state.threads.filter((t) => t.archived).length;
+    sel.innerHTML = [
+      `<option value="all">All chats</option>`,
+      `<option value="pinned">Pinned</option>`,
+      `<option value="archived">Archived (${archived})</option>`,
+      tags.length
+        ? `<optgroup label="Tags">${tags.map((tag) => `<option value="tag:${escapeHtmlAttr(tag)}">#${escapeHtml(tag)}</option>`).join('')}</optgroup>`
+        : ''
+    ].join('');
+    sel.value = threadFilter;
+  }
+
+  // The groups the sidebar shows, each with its sorted threads.
+  function threadGroups() {
+    const visible = state.threads.filter(matchesFilter).sort((a, b) => threadOrder(b) - threadOrder(a));
+    if (threadFilter === 'archived') return [{ key: 'archived', threads: visible }];
+
+    const groups = [];
+    const pinned = visible.filter((t) => t.pinned);
+    if (pinned.length) groups.push({ key: 'pinned', label: '📌 Pinned', threads: pinned });
+    for (const c of state.collections.items) {
+      groups.push({ key: `c:${c.id}`, collection: c, label: `📁 ${c.name}`, threads: visible.filter((t) => !t.pinned && t.collectionId === c.id) });
+    }
+    const known = new Set(state.collections.items.map((c) => c.id));
+    const unfiled = visible.filter((t) => !t.pinned && !known.has(t.collectionId));
+    groups.push({ key: 'unfiled', label: state.collections.items.length ? 'Unfiled' : null, threads: unfiled });
+    return groups;
+  }
+
+  // Where a thread lands when dropped on a group (pinned / a collection / unfiled).
+  function groupPlacement(key) {
+    if (key === 'pinned') return { pinned: true };
+    if (key.startsWith('c:')) return { pinned: false, collectionId: key.slice(2) };
+    if (key === 'unfiled') return { pinned: false, collectionId: null };
+    return {};
+  }
+
+  // Moves a thread into `groupKey`, above `beforeId` (or to the end when null).
+  function moveThread(id, groupKey, beforeId) {
+    const t = threadById(id);
+    if (!t || id === beforeId) return;
+    Object.assign(t, groupPlacement(groupKey));
+
+    const group = threadGroups().find((g) => g.key === groupKey);
+    const list = (group?.threads || []).filter((x) => x.id !== id);
+    const i = beforeId ? list.findIndex((x) => x.id === beforeId) : list.length;
+    const above = list[i - 1];
+    const below = i >= 0 ? list[i] : undefined;
+    if (above && below) t.order = (threadOrder(above) + threadOrder(below)) / 2;
+    else if (above) t.order = threadOrder(above) - 1000;
+    else if (below) t.order = threadOrder(below) + 1000;
+    else t.order = Date.now();
+
+    saveThreads();
+    renderThreadList();
+  }
+
+  function renderThreadList() {
+    renderThreadFilter();
+    const list = $('threadList');
+    list.innerHTML = '';
+
+    for (const g of threadGroups()) {
+      const groupEl = document.createElement('div');
+      groupEl.className = 'threadGroup';
+
+      if (g.label) groupEl.appendChild(renderGroupHeader(g));
+
+      const collapsed = g.collection?.collapsed;
+      if (!collapsed) {
+        for (const t of g.threads) groupEl.appendChild(renderThreadItem(t, g.key));
+        if (!g.threads.length && g.collection) {
+          const empty = document.createElement('div');
+          empty.className = 'threadGroup__empty';
+          empty.textContent = 'Drop chats here';
+          groupEl.appendChild(empty);
+        }
+      }
+      // Empty groups stay visible as drop targets, except while filtering.
+      if (!g.threads.length && (!g.label || threadFilter !== 'all')) continue;
+      list.appendChild(groupEl);
+    }
+  }
+
+  function renderGroupHeader(g) {
+    const head = document.createElement('div');
+    head.className = 'threadGroup__head';
+
+    const label = document.createElement('span');
+    label.className = 'threadGroup__label';
+    label.textContent = `${g.collection?.collapsed ? '▸' : g.collection ? '▾' : ''} ${g.label} (${g.threads.length})`.trim();
+    head.appendChild(label);
+
+    if (g.collection) {
+      const c = g.collection;
+      label.style.cursor = 'pointer';
+      label.title = 'Collapse / expand';
+      label.addEventListener('click', () => {
+        c.collapsed = !c.collapsed;
+        saveCollections();
+        renderThreadList();
+      });
+
+      const actions = document.createElement('span');
+      actions.className = 'threadGroup__actions';
+      const rename = document.createElement('button');
+      rename.className = 'btn btn--small';
+      rename.textContent = '✎';
+      rename.title = 'Rename folder';
+      rename.addEventListener('click', () => renameCollection(c));
+      const del = document.createElement('button');
+      del.className = 'btn btn--small';
+      del.textContent = '✕';
+      del.title = 'Delete folder';
+      del.addEventListener('click', () => deleteCollection(c));
+      actions.appendChild(rename);
+      actions.appendChild(del);
+      head.appendChild(actions);
+    }
+
+    // Dropping on a header moves the chat into that group (at the end).
+    head.addEventListener('dragover', (e) => {
+      if (!draggedThreadId) return;
+      e.preventDefault();
+      head.classList.add('threadGroup__head--drop');
+    });
+    head.addEventListener('dragleave', () => head.classList.remove('threadGroup__head--drop'));
+    head.addEventListener('drop', (e) => {
+      e.preventDefault();
+      head.classList.remove('threadGroup__head--drop');
+      if (draggedThreadId) moveThread(draggedThreadId, g.key, null);
+    });
+    return head;
+  }
+
+  function renderThreadItem(t, groupKey) {
+    const item = document.createElement('div');
+    item.className = 'threadItem' + (t.id === state.activeThreadId ? ' threadItem--active' : '');
+    item.addEventListener('click', () => setActiveThread(t.id));
+
+    // Drag to reorder, or onto another group.
+    item.draggable = groupKey !== 'archived';
+    item.addEventListener('dragstart', (e) => {
+      draggedThreadId = t.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', t.id);
+      item.classList.add('threadItem--dragging');
+    });
+    item.addEventListener('dragend', () => {
+      draggedThreadId = null;
+      item.classList.remove('threadItem--dragging');
+    });
+    item.addEventListener('dragover', (e) => {
+      if (!draggedThreadId || draggedThreadId === t.id || groupKey === 'archived') return;
+      e.preventDefault();
+      const below = e.offsetY > item.offsetHeight / 2;
+      item.classList.toggle('threadItem--dropBefore', !below);
+      item.classList.toggle('threadItem--dropAfter', below);
+    });
+    item.addEventListener('dragleave', () => item.classList.remove('threadItem--dropBefore', 'threadItem--dropAfter'));
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const after = item.classList.contains('threadItem--dropAfter');
+      item.classList.remove('threadItem--dropBefore', 'threadItem--dropAfter');
+      if (!draggedThreadId) return;
+      const group = threadGroups().find((g) => g.key === groupKey);
+      const idx = group.threads.findIndex((x) => x.id === t.id);
+      const next = after ? group.threads.slice(idx + 1).find((x) => x.id !== draggedThreadId) : t;
+      moveThread(draggedThreadId, groupKey, next?.id || null);
+    });
+
+    const left = document.createElement('div');
+    left.style.flex = '1';
+    left.style.minWidth = '0';
+
+    const title = document.createElement('div');
+    title.className = 'threadItem__title';
+    title.textContent = t.title || 'Chat';
+    title.title = 'Double-click to rename';
+    title.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      renameThread(t);
+    });
+
+    const meta = document.createElement('div');
+    meta.className = 'threadItem__meta';
+    meta.textContent = `${(t.messages || []).length} msg`;
+
+    left.appendChild(title);
+    left.appendChild(meta);
+
+    if (t.tags?.length) {
+      const tags = document.createElement('div');
+      tags.className = 'threadItem__tags';
+      for (const tag of t.tags) {
+        const chip = document.createElement('span');
+        chip.className = 'tagChip';
+        chip.textContent = `#${tag}`;
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          threadFilter = `tag:${tag}`;
+          renderThreadList();
+        });
+        tags.appendChild(chip);
+      }
+      left.appendChild(tags);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'threadItem__actions';
+
+    const more = document.createElement('button');
+    more.className = 'btn';
+    more.textContent = '⋯';
+    more.title = 'Pin, rename, tag, move, archive, delete';
+    more.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openThreadMenu(t, more);
+    });
+
+    actions.appendChild(more);
+    item.appendChild(left);
+    item.appendChild(actions);
+    return item;
+  }
+
+  function closeThreadMenu() {
+    document.querySelector('.threadMenu')?.remove();
+  }
+
+  function openThreadMenu(t, anchor) {
+    closeThreadMenu();
+    const menu = document.createElement('div');
+    menu.className = 'threadMenu';
+    menu.addEventListener('click', (e) => e.stopPropagation());
+
+    const add = (label, fn) => {
+      const b = document.createElement('button');
+      b.className = 'threadMenu__item';
+      b.textContent = label;
+      b.addEventListener('click', () => {
+        closeThreadMenu();
+        fn();
+      });
+      menu.appendChild(b);
+    };
+
+    add(t.pinned ? 'Unpin' : 'Pin', () => updateThreadMeta(t, { pinned: !t.pinned }));
+    add('Rename…', () => renameThread(t));
+    add('Tags…', () => editThreadTags(t));
+
+    const move = document.createElement('select');
+    move.className = 'input threadMenu__select';
+    move.innerHTML = [
+      `<option value="" disabled selected>Move to folder…</option>`,
+      `<option value="none">Unfiled</option>`,
+      ...state.collections.items.map((c) => `<option value="${escapeHtmlAttr(c.id)}">${escapeHtml(c.name)}</option>`),
+      `<option value="new">+ New folder…</option>`
+    ].join('');
+    move.addEventListener('change', () => {
+      closeThreadMenu();
+      const c = move.value === 'new' ? createCollection() : null;
+      if (move.value === 'new' && !c) return;
+      updateThreadMeta(t, { collectionId: c ? c.id : move.value === 'none' ? null : move.value });
+    });
+    menu.appendChild(move);
+
+    add(t.archived ? 'Unarchive' : 'Archive', () => updateThreadMeta(t, { archived: !t.archived, pinned: false }));
+    add('Delete', () => {
+      if (confirm('Delete this chat?')) deleteThread(t.id);
+    });
+
+    document.body.appendChild(menu);
+    const r = anchor.getBoundingClientRect();
+    menu.style.top = `${Math.min(r.bottom + 4, window.innerHeight - menu.offsetHeight - 8)}px`;
+    menu.style.left = `${Math.max(8, r.right - menu.offsetWidth)}px`;
+  }
+
+  // -------------------- UI Rendering --------------------
+  function renderMessages() {
+    const thread = activeThread();
+    const container = $('messages');
+    container.innerHTML = '';
+
+    if (!thread) return;
+
+    $('threadTitle').textContent = thread.title || 'Chat';
+
+    const msgs = thread.messages || [];
+    msgs.forEach((m, idx) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'message ' + (m.role === 'user' ? 'message--user' : 'message--assistant');
+      wrapper.id = `msg-${thread.id}-${idx}`;
+
+      const header = document.createElement('div');
+      header.className = 'message__header';
+
+      const role = document.createElement('div');
+      role.className = 'message__role';
+      role.textContent = m.role === 'user' ? 'User' : 'Assistant';
+
+      const tools = document.createElement('div');
+      tools.className = 'message__tools';
+
+      const variants = variantInfo(m);
+      if (variants) tools.appendChild(renderVariantSwitcher(thread, idx, variants));
+
+      if (m.role === 'user') {
+        const edit = document.createElement('button');
+        edit.className = 'btn';
+        edit.textContent = '✎ Edit';
+        edit.title = 'Edit and re-run from here (the current version is kept)';
+        edit.addEventListener('click', () => openMessageEditor(thread, idx, content));
+        tools.appendChild(edit);
+      }
+
+      if (m.role === 'assistant') {
+        const regen = document.createElement('button');
+        regen.className = 'btn';
+        regen.textContent = '↻ Regenerate';
+        regen.title = 'Generate another version of this answer';
+        regen.addEventListener('click', () => openRegenerateBar(thread, idx, wrapper));
+        tools.appendChild(regen);
+
+        const copy = document.createElement('button');
+        copy.className = 'btn';
+        copy.textContent = 'Copy';
+        copy.addEventListener('click', () => {
+          navigator.clipboard.writeText(String(m.content || '')).then(() => toast('Copied'));
+        });
+        tools.appendChild(copy);
+      }
+
+      header.appendChild(role);
+      header.appendChild(tools);
+
+      const content = document.createElement('div');
+      content.className = 'message__content';
+
+      if (m.role === 'assistant') {
+        content.innerHTML = renderAssistantHTML(m.content || '', m.meta || {});
+        verifyCitations(content, m.meta || {});
+      } else {
+        // User message: render plain text, preserve newlines.
+        const pre = document.createElement('pre');
+        pre.style.margin = '0';
+        pre.style.whiteSpace = 'pre-wrap';
+        pre.style.background = 'transparent';
+        pre.style.padding = '0';
+        pre.textContent = Array.isArray(m.content) ? summarizeMultipartContent(m.content) : String(m.content || '');
+        content.appendChild(pre);
+
+        // Attachments: stored in IndexedDB, click to open.
+        if (m.attachments?.length) {
+          const metaWrap = document.createElement('div');
+          metaWrap.className = 'message__meta';
+
+          const block = document.createElement('div');
+          block.className = 'metaBlock';
+
+          const title = document.createElement('div');
+          title.className = 'metaBlock__title';
+          title.textContent = 'Attachments';
+          block.appendChild(title);
+
+          const chips = document.createElement('div');
+          chips.style.display = 'flex';
+          chips.style.gap = '6px';
+          chips.style.flexWrap = 'wrap';
+
+          for (const a of m.attachments) {
+            const c = document.createElement('span');
+            c.className = 'chip chip--link';
+            const mode = sendModeLabel(a);
+            c.textContent = `${a.kind === 'image' ? '🖼' : '📄'} ${a.name}${mode ? ` · ${mode}` : ''}`;
+            c.title = `${formatBytes(a.size)} • open`;
+            c.addEventListener('click', () => openAttachment(a));
+            chips.appendChild(c);
+          }
+          block.appendChild(chips);
+          metaWrap.appendChild(block);
+          content.appendChild(metaWrap);
+        }
+      }
+
+      wrapper.appendChild(header);
+      wrapper.appendChild(content);
+
+      // Meta blocks (sources, usage, etc.)
+      if (m.role === 'assistant' && m.meta) {
+        const meta = renderMetaBlocks(m.meta);
+        if (meta) wrapper.appendChild(meta);
+      }
+
+      container.appendChild(wrapper);
+      decorateCodeBlocks(wrapper);
+    });
+
+    renderComparePanel(container, thread);
+
+    // Scroll to bottom
+    container.scrollTop = container.scrollHeight;
+  }
+
+  // Syntax highlighting and per-code-block copy buttons.
+  function decorateCodeBlocks(wrapper) {
+    wrapper.querySelectorAll('pre code').forEach((el) => {
+      try {
+        hljs.highlightElement(el);
+      } catch {
+        // ignore
+      }
+    });
+
+    wrapper.querySelectorAll('pre').forEach((pre) => {
+      if (pre.querySelector('.copyBtn')) return;
+      const code = pre.querySelector('code');
+      if (!code) return;
+      pre.classList.add('codeBlock');
+      const btn = document.createElement('button');
+      btn.className = 'copyBtn';
+      btn.textContent = 'Copy code';
+      btn.addEventListener('click', () => {
+        navigator.clipboard.writeText(code.innerText).then(() => toast('Code copied'));
       });
+      pre.appendChild(btn);
+    });
+  }
+
+  function renderAssistantHTML(content, meta) {
+    const tpl = document.createElement('template');
+    if (meta?.response_schema) {
+      tpl.innerHTML = renderStructuredHTML(content, meta);
+    } else {
+      const rawHtml = marked.parse(String(content || ''), { mangle: false, headerIds: false });
+      tpl.innerHTML = DOMPurify.sanitize(rawHtml);
+    }
+    linkCitations(tpl.content, meta || {});
+    return tpl.innerHTML;
+  }
+
+  // Turns [1] [2] ... into links to meta.citations and [L1] [L2] ... into local source markers
+  // (outside code and existing links). Indices that point to no source become `.cite--dangling`.
+  function linkCitations(root, meta) {
+    const citations = Array.isArray(meta.citations) ? meta.citations : [];
+    const local = Array.isArray(meta.local_sources) ? meta.local_sources : [];
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (/\[L?\d{1,3}\]/.test(node.data) && !node.parentElement?.closest('pre, code, a')) nodes.push(node);
     }
 
-    return safeHtml;
+    for (const node of nodes) {
+      const frag = document.createDocumentFragment();
+      let last = 0;
+      for (const m of node.data.matchAll(/\[(L?)(\d{1,3})\]/g)) {
+        frag.append(node.data.slice(last, m.index));
+        last = m.index + m[0].length;
+
+        const n = Number(m[2]);
+        const isLocal = Boolean(m[1]);
+        const url = isLocal ? null : safeUrl(citations[n - 1]);
+        const src = isLocal ? local[n - 1] : null;
+        const el = document.createElement(url ? 'a' : 'span');
+        el.className = 'cite';
+        el.dataset.cite = `${m[1]}${n}`;
+        el.textContent = m[0];
+        if (url) {
+          el.href = url;
+          el.target = '_blank';
+          el.rel = 'noreferrer';
+        } else if (src) {
+          el.classList.add('cite--local');
+          el.title = `${src.name} — ${src.label}`;
+        } else {
+          el.classList.add('cite--dangling');
+          el.title = `No source ${m[0]} in this answer`;
+        }
+        frag.append(el);
+      }
+      frag.append(node.data.slice(last));
+      node.replaceWith(frag);
+    }
   }
 
   function escapeHtmlAttr(s) {
@@ -418,9 +1496,20 @@
       .replaceAll('>', '&gt;');
   }
 
+  // Image/video entries come in a few shapes depending on model and API version.
+  function imageInfo(img) {
+    if (typeof img === 'string') return { url: img, caption: '' };
+    return { url: img.url || img.image_url || img.src || '', caption: img.title || img.caption || img.source || '' };
+  }
+
+  function videoInfo(v) {
+    return { url: v.url || v.video_url || '', thumb: v.thumbnail_url || v.thumbnail || '', caption: v.title || v.source || '' };
+  }
+
   function renderMetaBlocks(meta) {
     const hasAny =
       (meta.citations && meta.citations.length) ||
+      (meta.local_sources && meta.local_sources.length) ||
       (meta.search_results && meta.search_results.length) ||
       (meta.usage && Object.keys(meta.usage).length) ||
       (meta.reasoning_steps && meta.reasoning_steps.length) ||
@@ -446,9 +1535,33 @@
       meta.citations.forEach((url, i) => {
         const div = document.createElement('div');
         div.className = 'sourceItem';
+        const label = `[${i + 1}] ${escapeHtml(url)}`;
+        div.innerHTML = `
+          <div class="sourceItem__title">${safeUrl(url) ? `<a href="${escapeHtmlAttr(safeUrl(url))}" target="_blank" rel="noreferrer">${label}</a>` : label}</div>
+        `;
+        sources.appendChild(div);
+      });
+      wrap.appendChild(block);
+    }
+
+    // Local sources (document library)
+    if (meta.local_sources && meta.local_sources.length) {
+      const block = document.createElement('div');
+      block.className = 'metaBlock';
+      block.innerHTML = `
+        <div class="metaBlock__title">Local sources</div>
+        <div class="sources"></div>
+      `;
+      const sources = block.querySelector('.sources');
+      meta.local_sources.forEach((src) => {
+        const div = document.createElement('div');
+        div.className = 'sourceItem sourceItem--local';
         div.innerHTML = `
-          <div class="sourceItem__title"><a href="${escapeHtmlAttr(url)}" target="_blank" rel="noreferrer">[${i + 1}] ${escapeHtml(url)}</a></div>
+          <div class="sourceItem__title">[L${src.n}] 📄 ${escapeHtml(src.name)}</div>
+          <div class="sourceItem__snippet">${escapeHtml(src.text.length > 300 ? `${src.text.slice(0, 300)}…` : src.text)}</div>
+          <div class="sourceItem__meta">${escapeHtml(src.label)} • local document</div>
         `;
+        div.title = src.text;
         sources.appendChild(div);
       });
       wrap.appendChild(block);
@@ -465,13 +1578,13 @@
       const sources = block.querySelector('.sources');
       meta.search_results.forEach((r) => {
         const title = r.title || r.url || 'Result';
-        const url = r.url || '';
+        const url = safeUrl(r.url);
         const date = r.date || r.last_updated || '';
         const snippet = r.snippet || '';
         const div = document.createElement('div');
         div.className = 'sourceItem';
         div.innerHTML = `
-          <div class="sourceItem__title"><a href="${escapeHtmlAttr(url)}" target="_blank" rel="noreferrer">${escapeHtml(title)}</a></div>
+          <div class="sourceItem__title">${url ? `<a href="${escapeHtmlAttr(url)}" target="_blank" rel="noreferrer">${escapeHtml(title)}</a>` : escapeHtml(title)}</div>
           ${snippet ? `<div class="sourceItem__snippet">${escapeHtml(snippet)}</div>` : ''}
           ${date ? `<div class="sourceItem__meta">${escapeHtml(date)}</div>` : ''}
         `;
@@ -513,8 +1626,9 @@
       `;
       const grid = block.querySelector('.mediaGrid');
       meta.images.forEach((img) => {
-        const url = typeof img === 'string' ? img : (img.url || img.image_url || img.src || '');
-        const caption = typeof img === 'string' ? '' : (img.title || img.caption || img.source || '');
+        const info = imageInfo(img);
+        const url = safeUrl(info.url);
+        const caption = info.caption;
         if (!url) return;
         const card = document.createElement('div');
         card.className = 'mediaCard';
@@ -539,9 +1653,10 @@
       `;
       const grid = block.querySelector('.mediaGrid');
       meta.videos.forEach((v) => {
-        const url = v.url || v.video_url || '';
-        const thumb = v.thumbnail_url || v.thumbnail || '';
-        const caption = v.title || v.source || '';
+        const info = videoInfo(v);
+        const url = safeUrl(info.url);
+        const thumb = safeUrl(info.thumb);
+        const caption = info.caption;
         if (!url) return;
         const card = document.createElement('div');
         card.className = 'mediaCard';
@@ -571,6 +1686,7 @@
         btn.textContent = q;
         btn.addEventListener('click', () => {
           $('prompt').value = q;
+          updateTokenEstimate();
           $('prompt').focus();
         });
         rq.appendChild(btn);
@@ -585,6 +1701,8 @@
       const u = meta.usage;
       const cost = u.cost || {};
       const lines = [
+        meta.model ? `Model: ${meta.model}${meta.search_mode ? ` (${meta.search_mode})` : ''}` : null,
+        meta.search_recency_filter ? `Recency: past ${meta.search_recency_filter}` : null,
         u.prompt_tokens != null ? `Prompt tokens: ${u.prompt_tokens}` : null,
         u.completion_tokens != null ? `Completion tokens: ${u.completion_tokens}` : null,
         u.total_tokens != null ? `Total tokens: ${u.total_tokens}` : null,
@@ -613,643 +1731,4454 @@
     return wrap;
   }
 
-  function escapeHtml(s) {
-    return String(s)
-      .replaceAll('&', '&amp;')
-      .replaceAll('<', '&lt;')
-      .replaceAll('>', '&gt;')
-      .replaceAll('"', '&quot;')
-      .replaceAll("'", '&#39;');
+  // -------------------- Citation check --------------------
+  // After an answer is rendered, every sentence that carries citations gets a support score:
+  // the share of its words that also appear in the cited source's title and snippet (the best
+  // of its sources). Sentences that look like claims but cite nothing are underlined, and a
+  // summary line goes under the answer. Hovering or clicking a citation opens #citePanel.
+  const CITE_STOPWORDS = new Set(
+    'the and for are but not you all any can had her was one our out has have his how its may new now see two way who did get let say she too use that with this from they will would there their what about which when make like than then them these into more some such only also been were being over other after most very just where could should while does between each many much both those here through during before under'.split(' ')
+  );
+  const citeDetails = new WeakMap(); // .cite element -> { meta, sentence?, score?, shared? }
+
+  // Content words of `text`, keyed by a crude stem (plural "s" dropped) -> the word as written.
+  function citeWords(text) {
+    const words = new Map();
+    for (const w of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      if (w.length < 3 || CITE_STOPWORDS.has(w)) continue;
+      const stem = w.length > 4 && w.endsWith('s') ? w.slice(0, -1) : w;
+      if (!words.has(stem)) words.set(stem, w);
+    }
+    return words;
   }
 
-  function renderAttachmentPreview() {
-    const p = $('attachmentPreview');
-    p.innerHTML = '';
-
-    const items = [
-      ...state.attachments.images.map((x) => ({ ...x, kind: 'image' })),
-      ...state.attachments.files.map((x) => ({ ...x, kind: 'file' }))
-    ];
-
-    for (const it of items) {
-      const chip = document.createElement('span');
-      chip.className = 'chip';
-      chip.textContent = `${it.kind === 'image' ? '🖼' : '📄'} ${it.name}`;
-      p.appendChild(chip);
+  // What a citation points at: { title, url, date, snippet } or null if dangling.
+  function citeSource(meta, key) {
+    const local = key.startsWith('L');
+    const n = Number(local ? key.slice(1) : key);
+    if (local) {
+      const src = (meta.local_sources || [])[n - 1];
+      return src ? { title: src.name, url: '', date: '', snippet: src.text, label: src.label, local: true } : null;
     }
+    const url = (meta.citations || [])[n - 1];
+    if (!url) return null;
+    const r = resultFor(meta, url);
+    return { title: r?.title || url, url, date: r?.date || r?.last_updated || '', snippet: r?.snippet || '' };
   }
 
-  function render() {
-    renderThreadList();
-    renderMessages();
-    renderAttachmentPreview();
+  function supportLevel(score) {
+    if (score == null) return 'unchecked';
+    return score >= 0.5 ? 'strong' : score >= 0.25 ? 'partial' : 'weak';
   }
 
-  // -------------------- Modals / Settings --------------------
-  function openApiKeyModal() {
-    $('apiKeyModal').style.display = 'grid';
-    $('apiKeyInput').value = state.apiKey || '';
-    $('apiKeyInput').focus();
+  function isClaim(sentence) {
+    const t = sentence.trim();
+    if (/[?:]$/.test(t)) return false;
+    return t.split(/\s+/).length >= 6 || /\d/.test(t);
   }
 
-  function closeApiKeyModal() {
-    $('apiKeyModal').style.display = 'none';
+  // The text of a block in reading order, without nested blocks, as text-node segments plus
+  // the offsets where .cite elements sit.
+  function blockText(block) {
+    let text = '';
+    const segments = [];
+    const cites = [];
+    const walk = (el) => {
+      for (const child of el.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          segments.push({ node: child, start: text.length, end: text.length + child.data.length });
+          text += child.data;
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+          if (child.classList.contains('cite')) cites.push({ el: child, at: text.length });
+          else if (!child.matches('ul, ol, p, pre, table, blockquote')) walk(child);
+        }
+      }
+    };
+    walk(block);
+    return { text, segments, cites };
   }
 
-  function saveApiKeyFromModal() {
-    state.apiKey = $('apiKeyInput').value.trim();
-    if (state.apiKey) localStorage.setItem(LS.apiKey, state.apiKey);
-    else localStorage.removeItem(LS.apiKey);
-    closeApiKeyModal();
-    toast(state.apiKey ? 'API key saved' : 'API key cleared');
+  // Sentence spans [start, end) of `text`, leading whitespace trimmed.
+  function sentenceSpans(text) {
+    const spans = [];
+    const re = /[^.!?]+(?:[.!?]+(?=\s|$)|$)|[.!?]+/g;
+    for (const m of text.matchAll(re)) {
+      const lead = m[0].length - m[0].trimStart().length;
+      if (m[0].trim()) spans.push({ start: m.index + lead, end: m.index + m[0].length });
+    }
+    return spans;
   }
 
-  function clearApiKey() {
-    state.apiKey = '';
-    localStorage.removeItem(LS.apiKey);
-    $('apiKeyInput').value = '';
-    toast('API key cleared');
+  function wrapText(segments, start, end, className, title) {
+    for (const seg of [...segments].reverse()) {
+      const a = Math.max(start, seg.start) - seg.start;
+      const b = Math.min(end, seg.end) - seg.start;
+      if (b <= a || !seg.node.data.slice(a, b).trim()) continue;
+      const mid = seg.node.splitText(a);
+      mid.splitText(b - a);
+      const span = document.createElement('span');
+      span.className = className;
+      span.title = title;
+      mid.replaceWith(span);
+      span.appendChild(mid);
+    }
   }
 
-  function openSettings() {
-    const s = state.settings;
+  // Scores the citations rendered in `root` and returns { cited, strong, partial, weak, uncited, dangling }.
+  function verifyCitations(root, meta) {
+    const stats = { cited: 0, strong: 0, partial: 0, weak: 0, uncited: 0, dangling: 0 };
+    const cites = root.querySelectorAll('.cite');
+    for (const el of cites) {
+      citeDetails.set(el, { meta });
+      if (el.classList.contains('cite--dangling')) stats.dangling++;
+    }
+    const hasSources = Boolean(meta.citations?.length || meta.local_sources?.length);
+
+    const blocks = [...root.querySelectorAll('p, li, td, th')].filter((b) => !b.closest('pre, .structured') && !(b.matches('li') && b.querySelector(':scope > p')));
+    for (const block of blocks) {
+      const { text, segments, cites: marks } = blockText(block);
+      const spans = sentenceSpans(text);
+      const owned = spans.map(() => []);
+      // A citation belongs to the sentence it follows ("…capital.[1] Next…" cites the first).
+      for (const mark of marks) {
+        let i = spans.findLastIndex((sp) => sp.start < mark.at);
+        if (i < 0) i = 0;
+        if (owned[i]) owned[i].push(mark.el);
+      }
 
-    $('modelSelect').value = s.model;
-    $('searchMode').value = s.search_mode;
-    $('streamToggle').value = String(Boolean(s.stream));
-    $('streamMode').value = s.stream_mode || 'full';
-    $('maxTokens').value = s.max_tokens ?? '';
-    $('reasoningEffort').value = s.reasoning_effort ?? '';
+      const uncited = [];
+      spans.forEach((sp, i) => {
+        const sentence = text.slice(sp.start, sp.end).trim();
+        if (!owned[i].length) {
+          if (hasSources && isClaim(sentence)) uncited.push(sp);
+          return;
+        }
 
-    $('returnImages').value = String(Boolean(s.return_images));
-    $('returnVideos').value = String(Boolean(s.media_response?.overrides?.return_videos));
-    $('returnRelated').value = String(Boolean(s.return_related_questions));
-    $('enableSearchClassifier').value = String(Boolean(s.enable_search_classifier));
-    $('disableSearch').value = String(Boolean(s.disable_search));
-    $('safeSearch').value = String(Boolean(s.safe_search));
+        const words = citeWords(sentence);
+        let best = null;
+        let shared = [];
+        for (const el of owned[i]) {
+          const src = citeSource(meta, el.dataset.cite);
+          if (!src?.snippet) continue;
+          const sourceWords = citeWords(`${src.title} ${src.snippet}`);
+          const common = [...words.keys()].filter((w) => sourceWords.has(w)).map((w) => words.get(w));
+          const score = words.size ? common.length / words.size : 0;
+          if (best == null || score > best) {
+            best = score;
+            shared = common;
+          }
+        }
 
-    $('searchContextSize').value = s.web_search_options?.search_context_size ?? '';
-    $('searchType').value = s.web_search_options?.search_type ?? '';
+        const level = supportLevel(best);
+        stats.cited++;
+        if (best != null) stats[level]++;
+        for (const el of owned[i]) {
+          if (el.classList.contains('cite--dangling')) continue;
+          el.classList.add(`cite--${level}`);
+          citeDetails.set(el, { meta, sentence, score: best, shared });
+        }
+      });
 
-    $('languagePreference').value = s.language_preference ?? '';
-    $('systemPrompt').value = s.system_prompt ?? '';
+      stats.uncited += uncited.length;
+      for (const sp of uncited.reverse()) wrapText(segments, sp.start, sp.end, 'claim--uncited', 'No citation for this claim');
+    }
 
-    $('searchDomainFilter').value = (s.search_domain_filter || []).join('\n');
-    $('searchLanguageFilter').value = (s.search_language_filter || []).join(', ');
-    $('searchRecency').value = s.search_recency_filter ?? '';
+    if (stats.cited || stats.uncited || stats.dangling) {
+      const line = document.createElement('div');
+      line.className = 'citeCheck';
+      const levels = ['strong', 'partial', 'weak'].filter((l) => stats[l]).map((l) => `${stats[l]} ${l}`);
+      line.textContent = [
+        `Citation check: ${stats.cited} cited sentence(s)${levels.length ? ` (${levels.join(', ')})` : ''}`,
+        stats.uncited ? `${stats.uncited} uncited claim(s)` : null,
+        stats.dangling ? `${stats.dangling} citation(s) with no source` : null
+      ].filter(Boolean).join(' • ');
+      line.title = 'Support = share of the sentence’s words found in the cited source’s title and snippet';
+      root.appendChild(line);
+    }
+    return stats;
+  }
 
-    $('imageDomainFilter').value = (s.image_domain_filter || []).join('\n');
-    $('imageFormatFilter').value = (s.image_format_filter || []).join('\n');
+  let citeHoverTimer = null;
 
-    $('deepResearchAsync').value = String(Boolean(s.deep_research_async));
+  function openCitePanel(el) {
+    const details = citeDetails.get(el);
+    if (!details) return;
+    const key = el.dataset.cite;
+    const src = citeSource(details.meta, key);
+    const body = $('citePanelBody');
 
-    $('settingsDrawer').style.display = 'grid';
+    document.querySelectorAll('.cite--active').forEach((x) => x.classList.remove('cite--active'));
+    el.classList.add('cite--active');
+    $('citePanelTitle').textContent = `[${key}]`;
+
+    if (!src) {
+      const count = key.startsWith('L') ? (details.meta.local_sources || []).length : (details.meta.citations || []).length;
+      body.innerHTML = `
+        <div class="citePanel__warn">This citation points to no source.</div>
+        <div class="sourceItem__meta">The answer has ${count} ${key.startsWith('L') ? 'local source(s)' : 'citation(s)'}; the model made up or miscounted this index.</div>
+      `;
+    } else {
+      let host = '';
+      try { host = src.url ? new URL(src.url).hostname : ''; } catch {}
+      const pct = details.score == null ? null : Math.round(details.score * 100);
+      const level = supportLevel(details.score);
+      body.innerHTML = `
+        <div class="sourceItem__title">${escapeHtml(src.title)}</div>
+        <div class="sourceItem__meta">${escapeHtml([src.local ? `local document • ${src.label}` : host, src.date].filter(Boolean).join(' • '))}</div>
+        ${src.snippet ? `<div class="sourceItem__snippet">${escapeHtml(src.snippet)}</div>` : `<div class="sourceItem__meta">No snippet for this source, so its support can't be checked.</div>`}
+        ${details.sentence ? `
+          <div class="citePanel__section">
+            <div class="metaBlock__title">Cited for</div>
+            <div class="citePanel__sentence">${escapeHtml(details.sentence)}</div>
+            ${pct == null ? '' : `<div class="citePanel__score citePanel__score--${level}">Support: ${pct}% (${level})</div>`}
+            ${details.shared?.length ? `<div class="sourceItem__meta">Words in common: ${escapeHtml(details.shared.join(', '))}</div>` : ''}
+          </div>` : ''}
+        ${safeUrl(src.url) ? `<a class="btn" href="${escapeHtmlAttr(safeUrl(src.url))}" target="_blank" rel="noreferrer">Open source ↗</a>` : ''}
+      `;
+    }
+    $('citePanel').style.display = 'flex';
   }
 
-  function closeSettings() {
-    $('settingsDrawer').style.display = 'none';
+  function closeCitePanel() {
+    $('citePanel').style.display = 'none';
+    document.querySelectorAll('.cite--active').forEach((x) => x.classList.remove('cite--active'));
   }
 
-  function readSettingsFromUI() {
-    const s = structuredClone(DEFAULT_SETTINGS);
+  // Delegated on #messages so it covers re-rendered and streaming answers (and compare columns).
+  function wireCitePanel(container) {
+    container.addEventListener('mouseover', (e) => {
+      const el = e.target.closest('.cite');
+      clearTimeout(citeHoverTimer);
+      if (el) citeHoverTimer = setTimeout(() => openCitePanel(el), 300);
+    });
+    container.addEventListener('click', (e) => {
+      const el = e.target.closest('.cite');
+      // Ctrl/Cmd-click still opens the source directly.
+      if (!el || e.ctrlKey || e.metaKey || e.shiftKey) return;
+      e.preventDefault();
+      clearTimeout(citeHoverTimer);
+      openCitePanel(el);
+    });
+    $('closeCitePanelBtn').addEventListener('click', closeCitePanel);
+  }
 
-    s.model = $('modelSelect').value;
-    s.search_mode = $('searchMode').value;
+  function escapeHtml(s) {
+    return String(s)
+      .replaceAll('&', '&amp;')
+      .replaceAll('<', '&lt;')
+      .replaceAll('>', '&gt;')
+      .replaceAll('"', '&quot;')
+      .replaceAll("'", '&#39;');
+  }
 
-    s.stream = $('streamToggle').value === 'true';
-    s.stream_mode = $('streamMode').value;
+  function renderAttachmentPreview() {
+    const p = $('attachmentPreview');
+    p.innerHTML = '';
 
-    const maxTokens = $('maxTokens').value.trim();
-    s.max_tokens = maxTokens ? clamp(Number(maxTokens), 1, 128000) : null;
+    const items = [...state.attachments.images, ...state.attachments.files];
 
-    const re = $('reasoningEffort').value;
-    s.reasoning_effort = re || null;
+    for (const it of items) {
+      const chip = document.createElement('span');
+      chip.className = `chip uploadChip uploadChip--${it.status || 'done'}`;
+      chip.dataset.attachment = it.id;
+
+      const label = document.createElement('span');
+      label.textContent = `${it.kind === 'image' ? '🖼' : '📄'} ${it.name}`;
+      label.title = formatBytes(it.size);
+      chip.appendChild(label);
+
+      if (it.status === 'uploading') {
+        const bar = document.createElement('span');
+        bar.className = 'uploadChip__bar';
+        bar.innerHTML = `<span style="width:${Math.round((it.progress || 0) * 100)}%"></span>`;
+        chip.appendChild(bar);
+      }
+      if (it.kind === 'file') renderSendControls(chip, it);
+      if (it.status === 'error') {
+        const err = document.createElement('span');
+        err.className = 'uploadChip__error';
+        err.textContent = it.error || 'Upload failed';
+        chip.appendChild(err);
+
+        const retry = document.createElement('button');
+        retry.className = 'uploadChip__btn';
+        retry.textContent = '↻';
+        retry.title = 'Retry upload';
+        retry.addEventListener('click', () => uploadAttachment(it));
+        chip.appendChild(retry);
+      }
 
-    s.return_images = $('returnImages').value === 'true';
-    s.media_response.overrides.return_videos = $('returnVideos').value === 'true';
+      const remove = document.createElement('button');
+      remove.className = 'uploadChip__btn';
+      remove.textContent = '✕';
+      remove.title = it.status === 'uploading' ? 'Cancel upload' : 'Remove';
+      remove.addEventListener('click', () => removePendingAttachment(it));
+      chip.appendChild(remove);
 
-    s.return_related_questions = $('returnRelated').value === 'true';
-    s.enable_search_classifier = $('enableSearchClassifier').value === 'true';
-    s.disable_search = $('disableSearch').value === 'true';
-    s.safe_search = $('safeSearch').value === 'true';
+      p.appendChild(chip);
+    }
+    updateTokenEstimate();
+  }
 
-    const scs = $('searchContextSize').value;
-    s.web_search_options.search_context_size = scs || null;
+  // Progress events are frequent; only move the bar instead of re-rendering every chip.
+  function updateAttachmentProgress(a) {
+    const bar = document.querySelector(`[data-attachment="${a.id}"] .uploadChip__bar > span`);
+    if (bar) bar.style.width = `${Math.round((a.progress || 0) * 100)}%`;
+  }
 
-    const st = $('searchType').value;
-    s.web_search_options.search_type = st || null;
+  function render() {
+    renderThreadList();
+    renderSpacePicker();
+    renderSearchResults();
+    renderMessages();
+    renderAttachmentPreview();
+  }
 
-    const lp = $('languagePreference').value.trim();
-    s.language_preference = lp || null;
+  // -------------------- Structured output --------------------
+  // With a JSON Schema in the settings (per chat, space or default), buildPayload() asks for
+  // `response_format: json_schema` and the answer keeps the schema as meta.response_schema.
+  // renderAssistantHTML() then parses and checks the JSON against it on every render (no
+  // stored result to go stale) and shows a sortable table, or cards, with CSV/JSON download.
+  const STRUCTURED_MAX_ERRORS = 50;
+
+  const STRUCTURED_PRESETS = [
+    {
+      id: 'comparison',
+      name: 'Comparison table',
+      schema: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                summary: { type: 'string' },
+                strengths: { type: 'string' },
+                weaknesses: { type: 'string' },
+                price: { type: ['string', 'null'] },
+                url: { type: 'string' }
+              },
+              required: ['name', 'summary']
+            }
+          }
+        },
+        required: ['items']
+      }
+    },
+    {
+      id: 'filings',
+      name: 'SEC filings',
+      schema: {
+        type: 'object',
+        properties: {
+          filings: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                company: { type: 'string' },
+                form: { type: 'string' },
+                filed: { type: 'string', format: 'date' },
+                period: { type: 'string' },
+                summary: { type: 'string' },
+                url: { type: 'string' }
+              },
+              required: ['company', 'form', 'filed']
+            }
+          }
+        },
+        required: ['filings']
+      }
+    },
+    {
+      id: 'papers',
+      name: 'Papers',
+      schema: {
+        type: 'object',
+        properties: {
+          papers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                authors: { type: 'array', items: { type: 'string' } },
+                year: { type: 'integer' },
+                venue: { type: 'string' },
+                finding: { type: 'string' },
+                url: { type: 'string' }
+              },
+              required: ['title', 'year']
+            }
+          }
+        },
+        required: ['papers']
+      }
+    }
+  ];
 
-    s.system_prompt = $('systemPrompt').value;
+  // Schema text from the settings / schema dialog -> { schema } (null when empty) or { error }.
+  function parseResponseSchema(text) {
+    if (!String(text || '').trim()) return { schema: null };
+    let schema;
+    try {
+      schema = JSON.parse(text);
+    } catch (err) {
+      return { error: `Not valid JSON: ${err.message}` };
+    }
+    if (!isRecord(schema)) return { error: 'The schema must be a JSON object.' };
+    if (!['type', 'properties', 'items', 'anyOf', 'oneOf', 'allOf', '$ref', 'enum'].some((k) => k in schema)) {
+      return { error: 'The schema needs at least a "type" (e.g. "object").' };
+    }
+    return { schema };
+  }
 
-    s.search_domain_filter = parseList($('searchDomainFilter').value);
-    s.search_language_filter = parseList($('searchLanguageFilter').value);
+  function jsonType(v) {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+    return typeof v;
+  }
 
-    const rec = $('searchRecency').value;
-    s.search_recency_filter = rec || null;
+  function isRecord(v) {
+    return Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+  }
 
-    s.image_domain_filter = parseList($('imageDomainFilter').value);
-    s.image_format_filter = parseList($('imageFormatFilter').value);
+  // Checks `value` against the parts of JSON Schema that response formats use: type, enum,
+  // const, properties / required / additionalProperties, items, min/max bounds, pattern,
+  // format date/uri, anyOf / oneOf / allOf and local $refs. Returns [{ path, message }].
+  function validateJson(value, schema, root = schema, path = '$', errors = []) {
+    if (!isRecord(schema) || errors.length >= STRUCTURED_MAX_ERRORS) return errors;
+    const fail = (message, at = path) => {
+      if (errors.length < STRUCTURED_MAX_ERRORS) errors.push({ path: at, message });
+    };
 
-    s.deep_research_async = $('deepResearchAsync').value === 'true';
+    if (schema.$ref) {
+      const target = String(schema.$ref)
+        .replace(/^#\/?/, '')
+        .split('/')
+        .filter(Boolean)
+        .reduce((o, k) => o?.[k.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+      if (!target) fail(`unknown $ref ${schema.$ref}`);
+      return target ? validateJson(value, target, root, path, errors) : errors;
+    }
+    for (const sub of schema.allOf || []) validateJson(value, sub, root, path, errors);
+    for (const key of ['anyOf', 'oneOf']) {
+      if (!Array.isArray(schema[key])) continue;
+      const matches = schema[key].filter((sub) => !validateJson(value, sub, root, path, []).length).length;
+      if (!matches) fail(`matches none of the ${key} alternatives`);
+      else if (key === 'oneOf' && matches > 1) fail(`matches ${matches} oneOf alternatives, expected one`);
+    }
 
-    return s;
-  }
+    const type = jsonType(value);
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        fail(`expected ${types.join(' or ')}, got ${type}`);
+        return errors;
+      }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((v) => JSON.stringify(v) === JSON.stringify(value))) {
+      fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) fail(`must be ${JSON.stringify(schema.const)}`);
 
-  // -------------------- Attachments --------------------
-  async function fileToBase64(file, { dataUri }) {
-    const buf = await file.arrayBuffer();
-    const b64 = btoa(String.fromCharCode(...new Uint8Array(buf)));
-    if (dataUri) {
-      return `data:${file.type};base64,${b64}`;
+    if (type === 'string') {
+      if (schema.minLength != null && value.length < schema.minLength) fail(`shorter than ${schema.minLength} characters`);
+      if (schema.maxLength != null && value.length > schema.maxLength) fail(`longer than ${schema.maxLength} characters`);
+      if (schema.pattern) {
+        try {
+          if (!new RegExp(schema.pattern, 'u').test(value)) fail(`does not match ${schema.pattern}`);
+        } catch {}
+      }
+      if (schema.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) fail('not a date (YYYY-MM-DD)');
+      if (schema.format === 'uri' && !/^[a-z][a-z\d+.-]*:\S+$/i.test(value)) fail('not a URI');
+    } else if (type === 'integer' || type === 'number') {
+      if (schema.minimum != null && value < schema.minimum) fail(`less than ${schema.minimum}`);
+      if (schema.maximum != null && value > schema.maximum) fail(`greater than ${schema.maximum}`);
+      if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail(`not greater than ${schema.exclusiveMinimum}`);
+      if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail(`not less than ${schema.exclusiveMaximum}`);
+    } else if (type === 'array') {
+      if (schema.minItems != null && value.length < schema.minItems) fail(`fewer than ${schema.minItems} items`);
+      if (schema.maxItems != null && value.length > schema.maxItems) fail(`more than ${schema.maxItems} items`);
+      if (isRecord(schema.items)) value.forEach((v, i) => validateJson(v, schema.items, root, `${path}[${i}]`, errors));
+    } else if (type === 'object') {
+      for (const k of schema.required || []) if (!(k in value)) fail(`missing required property "${k}"`);
+      const props = isRecord(schema.properties) ? schema.properties : {};
+      for (const [k, v] of Object.entries(value)) {
+        const at = /^[A-Za-z_$][\w$]*$/.test(k) ? `${path}.${k}` : `${path}[${JSON.stringify(k)}]`;
+        if (props[k]) validateJson(v, props[k], root, at, errors);
+        else if (schema.additionalProperties === false) fail('not allowed by the schema', at);
+        else if (isRecord(schema.additionalProperties)) validateJson(v, schema.additionalProperties, root, at, errors);
+      }
     }
-    return b64;
+    return errors;
   }
 
-  async function onImagePicked(files) {
-    const arr = Array.from(files || []);
-    if (!arr.length) return;
-
-    for (const f of arr) {
-      // Keep it in memory; do not persist.
-      const dataUrl = await fileToBase64(f, { dataUri: true });
-      state.attachments.images.push({ name: f.name, type: f.type, dataUrl });
+  // The JSON part of an answer: reasoning models put <think>…</think> first, and some models
+  // wrap the JSON in a ```json fence despite the response format.
+  function structuredJsonText(content) {
+    let text = String(content || '');
+    if (/^\s*<think>/.test(text)) {
+      const end = text.indexOf('</think>');
+      text = end < 0 ? '' : text.slice(end + '</think>'.length);
     }
-    renderAttachmentPreview();
+    const fence = text.match(/^\s*```(?:json)?[ \t]*\n([\s\S]*?)(?:\n```\s*)?$/);
+    return (fence ? fence[1] : text).trim();
   }
 
-  async function onFilePicked(files) {
-    const arr = Array.from(files || []);
-    if (!arr.length) return;
-
-    for (const f of arr) {
-      // Docs: Perplexity expects base64 *without* a data: prefix.
-      const base64 = await fileToBase64(f, { dataUri: false });
-      state.attachments.files.push({ name: f.name, type: f.type, base64 });
+  // True while `text` could still turn into valid JSON (empty, or a string/object/array is open).
+  function jsonIncomplete(text) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (const ch of text) {
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') inString = true;
+      else if (ch === '{' || ch === '[') depth++;
+      else if (ch === '}' || ch === ']') depth--;
     }
-    renderAttachmentPreview();
+    return !text || inString || depth > 0;
   }
 
-  function clearAttachments() {
-    state.attachments.images = [];
-    state.attachments.files = [];
-    $('imageInput').value = '';
-    $('fileInput').value = '';
-    renderAttachmentPreview();
+  // { data, errors } once the answer is complete JSON, { pending, text } while it streams (or
+  // if it was cut off), { parseError, text } if it isn't JSON.
+  function parseStructured(content, schema) {
+    const text = structuredJsonText(content);
+    try {
+      const data = JSON.parse(text);
+      return { data, errors: validateJson(data, schema) };
+    } catch (err) {
+      return jsonIncomplete(text) ? { pending: true, text } : { parseError: err.message, text };
+    }
   }
 
-  // -------------------- Request building --------------------
-  function buildPayload(thread) {
-    const s = state.settings;
-
-    // Clone messages, but for any user messages that were "summarized" due to persistence, keep as text.
-    // Note: In-memory messages can still include multipart arrays.
-    const msgs = (thread.messages || []).map((m) => {
-      if (m.role === 'system') return m;
-      if (Array.isArray(m.content)) return { role: m.role, content: m.content };
-      return { role: m.role, content: String(m.content || '') };
-    });
-
-    const messages = [];
-    // System prompt must come first, before any other messages
-    if (s.system_prompt && s.system_prompt.trim()) {
-      messages.push({ role: 'system', content: s.system_prompt.trim() });
+  // What to show as a table: a top-level array of objects, or the first array of objects in a
+  // top-level object (whose other fields are listed above the table). null if there is none.
+  function structuredTable(data, schema) {
+    const isRows = (v) => Array.isArray(v) && v.length > 0 && v.every(isRecord);
+    let key = null;
+    let rows = null;
+    let itemSchema = schema?.items;
+    if (isRows(data)) {
+      rows = data;
+    } else if (isRecord(data)) {
+      key = Object.keys(data).find((k) => isRows(data[k])) ?? null;
+      if (key != null) {
+        rows = data[key];
+        itemSchema = schema?.properties?.[key]?.items;
+      }
     }
-    // Add all thread messages, filtering out any system messages from the thread
-    messages.push(...msgs.filter(m => m.role !== 'system'));
+    if (!rows) return null;
 
-    const payload = {
-      model: s.model,
-      messages,
-      search_mode: s.search_mode,
-      stream: Boolean(s.stream),
-      stream_mode: s.stream_mode || 'full',
-      safe_search: Boolean(s.safe_search)
+    // Schema order first, then anything else the rows have.
+    const columns = Object.keys(itemSchema?.properties || {});
+    for (const r of rows) for (const k of Object.keys(r)) if (!columns.includes(k)) columns.push(k);
+    return {
+      key,
+      rows,
+      columns: columns.filter((c) => rows.some((r) => c in r)),
+      fields: key != null ? Object.entries(data).filter(([k]) => k !== key) : []
     };
+  }
 
-    if (s.max_tokens != null) payload.max_tokens = s.max_tokens;
-    if (s.reasoning_effort) payload.reasoning_effort = s.reasoning_effort;
-    if (s.language_preference) payload.language_preference = s.language_preference;
+  // "filed_date" / "filedDate" -> "Filed date"
+  function structuredLabel(key) {
+    const words = String(key).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
 
-    // Search controls
-    if (s.return_images) payload.return_images = true;
-    if (s.return_related_questions) payload.return_related_questions = true;
-    if (s.enable_search_classifier) payload.enable_search_classifier = true;
-    if (s.disable_search) payload.disable_search = true;
+  function structuredValueHTML(v) {
+    if (v == null || v === '') return '<span class="structured__empty">—</span>';
+    if (typeof v === 'boolean') return v ? '✓' : '✗';
+    if (typeof v === 'number') return escapeHtml(v.toLocaleString());
+    if (typeof v === 'string') {
+      return /^https?:\/\/\S+$/.test(v)
+        ? `<a href="${escapeHtmlAttr(v)}" target="_blank" rel="noreferrer">${escapeHtml(v)}</a>`
+        : escapeHtml(v);
+    }
+    if (Array.isArray(v) && v.every((x) => x == null || typeof x !== 'object')) return escapeHtml(v.join(', '));
+    return `<code>${escapeHtml(JSON.stringify(v))}</code>`;
+  }
 
-    if (s.search_domain_filter?.length) payload.search_domain_filter = s.search_domain_filter;
-    if (s.search_language_filter?.length) payload.search_language_filter = s.search_language_filter;
-    if (s.search_recency_filter) payload.search_recency_filter = s.search_recency_filter;
+  // Plain value for sorting and CSV.
+  function structuredPlain(v) {
+    if (v == null) return '';
+    if (Array.isArray(v) && v.every((x) => x == null || typeof x !== 'object')) return v.join('; ');
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+  }
 
-    if (s.image_domain_filter?.length) payload.image_domain_filter = s.image_domain_filter;
-    if (s.image_format_filter?.length) payload.image_format_filter = s.image_format_filter;
+  function structuredFieldsHTML(entries) {
+    if (!entries.length) return '';
+    return `<dl class="structured__fields">${entries
+      .map(([k, v]) => `<dt>${escapeHtml(structuredLabel(k))}</dt><dd>${structuredValueHTML(v)}</dd>`)
+      .join('')}</dl>`;
+  }
 
-    // Web search options (context size, pro/fast/auto)
-    const wso = {};
-    if (s.web_search_options?.search_context_size) wso.search_context_size = s.web_search_options.search_context_size;
-    if (s.web_search_options?.search_type) wso.search_type = s.web_search_options.search_type;
-    if (Object.keys(wso).length) payload.web_search_options = wso;
+  function renderStructuredHTML(content, meta) {
+    const result = parseStructured(content, meta.response_schema);
 
-    // Media response overrides (videos)
-    if (s.media_response?.overrides?.return_videos) {
-      payload.media_response = { overrides: { return_videos: true } };
+    if (result.pending || result.parseError) {
+      const note = result.pending
+        ? `<span class="chip">{ } Receiving structured output…</span>`
+        : `<span class="chip structured__status--error">Not valid JSON: ${escapeHtml(result.parseError)}</span>`;
+      return `<div class="structured"><div class="structured__bar">${note}</div>${result.text ? `<pre><code>${escapeHtml(result.text)}</code></pre>` : ''}</div>`;
     }
 
-    return payload;
-  }
+    const { data, errors } = result;
+    const table = structuredTable(data, meta.response_schema);
 
-  function buildUserMessage(text) {
-    const hasAttachments = state.attachments.images.length || state.attachments.files.length;
-    if (!hasAttachments) return { role: 'user', content: text };
+    // Rows with errors ($.rows[2].price -> row 2) are marked in the table and cards.
+    const badRows = new Map();
+    if (table) {
+      const prefix = table.key != null ? `$.${table.key}` : '$';
+      for (const e of errors) {
+        const m = e.path.startsWith(`${prefix}[`) ? e.path.slice(prefix.length).match(/^\[(\d+)\]/) : null;
+        if (m) badRows.set(Number(m[1]), [...(badRows.get(Number(m[1])) || []), `${e.path}: ${e.message}`]);
+      }
+    }
+    const rowAttrs = (i, cls = '') => {
+      const bad = badRows.get(i);
+      const classes = [cls, bad ? 'structured__row--invalid' : ''].filter(Boolean).join(' ');
+      return `data-row="${i}"${classes ? ` class="${classes}"` : ''}${bad ? ` title="${escapeHtmlAttr(bad.join('\n'))}"` : ''}`;
+    };
 
-    const parts = [];
-    if (text && text.trim()) {
-      parts.push({ type: 'text', text });
+    const status = errors.length
+      ? `<span class="chip structured__status--error">${errors.length}${errors.length >= STRUCTURED_MAX_ERRORS ? '+' : ''} schema error(s)</span>`
+      : `<span class="chip structured__status--ok">✓ Matches the schema</span>`;
+    const views = table
+      ? `<span class="structured__views"><button class="btn btn--small btn--active" data-structured-view="table">Table</button><button class="btn btn--small" data-structured-view="cards">Cards</button></span>`
+      : '';
+    const downloads = `${table ? `<button class="btn btn--small" data-structured-download="csv">⬇ CSV</button>` : ''}<button class="btn btn--small" data-structured-download="json">⬇ JSON</button>`;
+    const errorList = errors.length
+      ? `<ul class="structured__errors">${errors.map((e) => `<li><code>${escapeHtml(e.path)}</code> ${escapeHtml(e.message)}</li>`).join('')}</ul>`
+      : '';
+
+    let body;
+    if (table) {
+      const head = table.columns.map((c) => `<th data-col="${escapeHtmlAttr(c)}" title="Sort">${escapeHtml(structuredLabel(c))}</th>`).join('');
+      const rows = table.rows
+        .map((r, i) => {
+          const cells = table.columns.map((c) => {
+            const v = r[c];
+            return `<td data-sort="${escapeHtmlAttr(structuredPlain(v).toLowerCase())}"${typeof v === 'number' ? ' data-num="1"' : ''}>${structuredValueHTML(v)}</td>`;
+          });
+          return `<tr ${rowAttrs(i)}>${cells.join('')}</tr>`;
+        })
+        .join('');
+      const cards = table.rows
+        .map((r, i) => `<div ${rowAttrs(i, 'structuredCard')}>${structuredFieldsHTML(table.columns.filter((c) => c in r).map((c) => [c, r[c]]))}</div>`)
+        .join('');
+      body = `${structuredFieldsHTML(table.fields)}
+        <div class="structured__pane structured__table" data-structured-pane="table"><table data-key="${escapeHtmlAttr(table.key ?? '')}"><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table></div>
+        <div class="structured__pane structured__cards" data-structured-pane="cards" hidden>${cards}</div>`;
+    } else if (isRecord(data)) {
+      body = `<div class="structured__cards"><div class="structuredCard">${structuredFieldsHTML(Object.entries(data))}</div></div>`;
     } else {
-      parts.push({ type: 'text', text: 'Please analyze the attached files/images.' });
+      body = `<pre><code>${escapeHtml(JSON.stringify(data, null, 2))}</code></pre>`;
     }
 
-    for (const img of state.attachments.images) {
-      parts.push({ type: 'image_url', image_url: { url: img.dataUrl } });
-    }
+    return `<div class="structured" data-json="${escapeHtmlAttr(JSON.stringify(data))}">
+      <div class="structured__bar">${status}${views}${downloads}</div>
+      ${errorList}${body}
+    </div>`;
+  }
 
-    for (const f of state.attachments.files) {
-      parts.push({ type: 'file_url', file_url: { url: f.base64 } });
-    }
+  // Sorting, Table/Cards and downloads, for every structured answer in `container`.
+  function wireStructured(container) {
+    container.addEventListener('click', (e) => {
+      const root = e.target.closest('.structured');
+      if (!root) return;
+      const th = e.target.closest('th[data-col]');
+      const view = e.target.closest('[data-structured-view]');
+      const download = e.target.closest('[data-structured-download]');
+      if (th) sortStructured(root, th);
+      else if (view) showStructuredView(root, view.dataset.structuredView);
+      else if (download) downloadStructured(root, download.dataset.structuredDownload);
+    });
+  }
 
-    return { role: 'user', content: parts };
+  // Click a header: ascending, then descending. Empty cells stay last; cards follow the table.
+  function sortStructured(root, th) {
+    const dir = th.dataset.dir === 'asc' ? 'desc' : 'asc';
+    root.querySelectorAll('th[data-col]').forEach((h) => delete h.dataset.dir);
+    th.dataset.dir = dir;
+
+    const col = th.cellIndex;
+    const tbody = root.querySelector('tbody');
+    const rows = [...tbody.rows].sort((a, b) => {
+      const x = a.cells[col];
+      const y = b.cells[col];
+      if (!x.dataset.sort || !y.dataset.sort) return !x.dataset.sort - !y.dataset.sort;
+      const cmp = x.dataset.num && y.dataset.num
+        ? Number(x.dataset.sort) - Number(y.dataset.sort)
+        : x.dataset.sort.localeCompare(y.dataset.sort, undefined, { numeric: true });
+      return dir === 'asc' ? cmp : -cmp;
+    });
+    tbody.append(...rows);
+
+    const cards = root.querySelector('.structured__cards');
+    for (const r of rows) {
+      const card = cards?.querySelector(`:scope > [data-row="${r.dataset.row}"]`);
+      if (card) cards.append(card);
+    }
   }
 
-  // -------------------- Streaming (SSE) --------------------
-  async function consumeSSE(resp, onChunk) {
-    const reader = resp.body.getReader();
-    const decoder = new TextDecoder('utf-8');
-    let buffer = '';
+  function showStructuredView(root, view) {
+    root.querySelectorAll('[data-structured-view]').forEach((b) => b.classList.toggle('btn--active', b.dataset.structuredView === view));
+    root.querySelectorAll('[data-structured-pane]').forEach((p) => (p.hidden = p.dataset.structuredPane !== view));
+  }
 
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
+  // CSV has the table's columns in its current order; JSON is the answer as received.
+  function downloadStructured(root, format) {
+    const data = safeJsonParse(root.dataset.json || 'null');
+    const name = `structured-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'json') return downloadFile(`${name}.json`, JSON.stringify(data, null, 2), 'application/json');
+
+    const table = root.querySelector('table');
+    if (!table) return;
+    const columns = [...table.querySelectorAll('th[data-col]')].map((th) => th.dataset.col);
+    const rows = table.dataset.key ? data[table.dataset.key] : data;
+    const lines = [columns.map(csvCell).join(',')];
+    for (const tr of table.tBodies[0].rows) {
+      const r = rows[Number(tr.dataset.row)] || {};
+      lines.push(columns.map((c) => csvCell(structuredPlain(r[c]))).join(','));
+    }
+    downloadFile(`${name}.csv`, lines.join('\n'), 'text/csv;charset=utf-8');
+  }
 
-      buffer += decoder.decode(value, { stream: true });
+  // ---- Schema dialog (this chat) ----
+  function renderSchemaBtn() {
+    const schema = threadSettings(activeThread()).response_schema;
+    $('schemaBtn').classList.toggle('btn--active', Boolean(schema));
+    $('schemaBtn').title = schema ? 'Structured output is on for this chat' : 'Ask for JSON matching a schema, shown as a table';
+  }
 
-      // Split into SSE events. Each event separated by double newline.
-      const events = buffer.split(/\n\n/);
-      buffer = events.pop() || '';
+  function openSchemaModal() {
+    const schema = threadSettings(activeThread()).response_schema;
+    $('schemaPreset').innerHTML = `<option value="">Start from a preset…</option>${STRUCTURED_PRESETS.map(
+      (p) => `<option value="${escapeHtmlAttr(p.id)}">${escapeHtml(p.name)}</option>`
+    ).join('')}`;
+    $('schemaInput').value = schema ? JSON.stringify(schema, null, 2) : '';
+    updateSchemaStatus();
+    $('schemaModal').style.display = 'grid';
+  }
 
-      for (const evt of events) {
-        const lines = evt
-          .split(/\n/)
-          .map((l) => l.trim())
-          .filter(Boolean);
+  function closeSchemaModal() {
+    $('schemaModal').style.display = 'none';
+  }
 
-        for (const line of lines) {
-          if (!line.startsWith('data:')) continue;
-          const data = line.slice(5).trim();
-          if (!data) continue;
-          if (data === '[DONE]') return;
+  function updateSchemaStatus() {
+    const { schema, error } = parseResponseSchema($('schemaInput').value);
+    $('schemaStatus').textContent = error || (schema ? 'Valid JSON Schema.' : 'Empty: answers are normal text.');
+    $('schemaStatus').classList.toggle('modal__hint--error', Boolean(error));
+    return { schema, error };
+  }
 
-          const obj = safeJsonParse(data);
-          if (obj) onChunk(obj);
-        }
-      }
-    }
+  function applySchemaPreset(id) {
+    const preset = STRUCTURED_PRESETS.find((p) => p.id === id);
+    if (preset) $('schemaInput').value = JSON.stringify(preset.schema, null, 2);
+    $('schemaPreset').value = '';
+    updateSchemaStatus();
   }
 
-  // -------------------- Sending --------------------
-  async function sendPrompt() {
+  function setThreadSchema(schema) {
     const thread = activeThread();
     if (!thread) return;
+    thread.overrides = diffOverrides(thread, { ...threadSettings(thread), response_schema: schema });
+    saveThreads();
+    renderSpacePicker();
+  }
 
-    if (!state.apiKey) {
-      openApiKeyModal();
-      return;
+  function saveSchemaFromModal() {
+    const { schema, error } = updateSchemaStatus();
+    if (error) return;
+    setThreadSchema(schema);
+    closeSchemaModal();
+    toast(schema ? 'Structured output on for this chat' : 'Structured output off');
+  }
+
+  // -------------------- Models / providers --------------------
+  // The server routes by model prefix ("openai/…", "ollama/…"); plain Sonar ids go to Perplexity.
+  async function loadModels() {
+    try {
+      const resp = await fetch('/api/models');
+      if (!resp.ok) return;
+      state.providers = (await resp.json()).providers || [];
+    } catch {
+      return; // Keep the built-in Sonar options.
     }
+    renderModelOptions();
+  }
 
-    const promptEl = $('prompt');
-    const text = promptEl.value;
-    const hasText = Boolean(text && text.trim());
-    const hasAttachments = state.attachments.images.length || state.attachments.files.length;
+  function renderModelOptions() {
+    const select = $('modelSelect');
+    if (!state.providers.length) return;
+    select.innerHTML = '';
+    for (const p of state.providers) {
+      if (!p.models?.length) continue;
+      const group = document.createElement('optgroup');
+      group.label = p.label;
+      for (const m of p.models) {
+        const opt = document.createElement('option');
+        opt.value = m;
+        opt.textContent = m;
+        group.appendChild(opt);
+      }
+      select.appendChild(group);
+    }
+    renderCompareBar();
+  }
+
+  function providerForModel(model) {
+    const prefix = String(model || '').split('/')[0];
+    return state.providers.find((p) => p.id === prefix && p.id !== 'perplexity') || null;
+  }
+
+  function modelRequiresKey(model) {
+    const p = providerForModel(model);
+    return p ? Boolean(p.requiresKey) : true;
+  }
+
+  // -------------------- Server config / sign-in --------------------
+  async function loadServerConfig() {
+    try {
+      const resp = await fetch('/api/config');
+      if (resp.ok) state.server = { ...state.server, ...(await resp.json()) };
+    } catch {
+      // Offline: assume bring-your-own-key.
+    }
+
+    if (!state.server.byok) {
+      // The server holds the key; never keep one in this browser.
+      state.apiKey = '';
+      localStorage.removeItem(LS.apiKey);
+    }
+    renderAuthControls();
+  }
+
+  function hasCredentials() {
+    return state.server.byok ? Boolean(state.apiKey) : Boolean(state.server.user);
+  }
+
+  function authHeaders() {
+    return state.server.byok ? { 'x-pplx-key': state.apiKey } : {};
+  }
+
+  function renderAuthControls() {
+    $('apiKeyBtn').style.display = state.server.byok ? '' : 'none';
+    $('signOutBtn').style.display = state.server.user ? '' : 'none';
+    $('signOutBtn').title = state.server.user ? `Signed in as ${state.server.user.username}` : '';
+  }
+
+  function openLoginModal() {
+    $('loginModal').style.display = 'grid';
+    $('loginError').textContent = '';
+    $('loginUsername').focus();
+  }
+
+  function closeLoginModal() {
+    $('loginModal').style.display = 'none';
+  }
+
+  async function submitLogin() {
+    const username = $('loginUsername').value.trim();
+    const password = $('loginPassword').value;
+    if (!username || !password) return;
+
+    $('loginError').textContent = '';
+    try {
+      const resp = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        $('loginError').textContent = data.error || `Sign in failed (${resp.status})`;
+        return;
+      }
+      state.server.user = data.user;
+    } catch (err) {
+      $('loginError').textContent = String(err?.message || err);
+      return;
+    }
+    await claimLocalData(state.server.user.username);
+
+    $('loginPassword').value = '';
+    closeLoginModal();
+    renderAuthControls();
+    toast(`Signed in as ${state.server.user.username}`);
+    pullThreads().then(() => {
+      scheduleSync(0);
+      reattachJobs();
+      resumeStreams();
+    });
+  }
+
+  async function signOut() {
+    // Save what is still pending, then leave nothing of this account in the browser.
+    clearTimeout(sync.timer);
+    await flushSync();
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    state.server.user = null;
+    await clearLocalData();
+    renderAuthControls();
+    openLoginModal();
+  }
+
+  // Team mode: local threads belong to one account. Signing in as someone else (e.g. after
+  // a session expired without a sign-out) starts from a clean browser state.
+  async function claimLocalData(username) {
+    if (sync.owner && sync.owner !== username) await clearLocalData();
+    sync.owner = username;
+    saveSyncState();
+  }
+
+  // Threads, folders, sync state, usage ledger and stored attachments.
+  async function clearLocalData() {
+    clearTimeout(sync.timer);
+    for (const key of [LS.threads, LS.sync, LS.usage, LS.collections]) localStorage.removeItem(key);
+    Object.assign(sync, { syncedAt: {}, deleted: [], collectionsDirty: false, collectionsBase: null, owner: null, pending: false });
+    sync.snapshots.clear();
+
+    const t = createThread();
+    state.threads = [t];
+    state.activeThreadId = t.id;
+    state.collections = { items: [], updatedAt: null };
+    state.usage = [];
+    state.jobs = [];
+    state.attachments = { images: [], files: [] };
+    try {
+      await idbRequest((await attachmentStore('readwrite')).clear());
+    } catch (err) {
+      console.warn('Could not clear stored attachments:', err?.message || err);
+    }
+    attachmentBlobs.clear();
+    renderAttachmentPreview();
+    render();
+  }
+
+  // Prompts for whatever is missing. Returns false if the request can't be sent yet.
+  function ensureCredentials(model) {
+    if (!state.server.byok) {
+      if (state.server.user) return true;
+      openLoginModal();
+      return false;
+    }
+    if (!state.apiKey && modelRequiresKey(model)) {
+      openApiKeyModal();
+      return false;
+    }
+    return true;
+  }
+
+  // -------------------- Spaces --------------------
+  // A space is a named preset of the search-shaping settings. Resolution per thread is
+  // global settings < the thread's space < the thread's own overrides (thread.overrides).
+  const SPACE_KEYS = [
+    'model',
+    'search_mode',
+    'search_domain_filter',
+    'search_language_filter',
+    'search_recency_filter',
+    'system_prompt',
+    'web_search_options',
+    'use_library',
+    'response_schema'
+  ];
+
+  const DEFAULT_SPACES = [
+    {
+      id: 'quick-web',
+      name: 'Quick web lookup',
+      settings: { model: 'sonar', search_mode: 'web', web_search_options: { search_context_size: 'low', search_type: null } }
+    },
+    {
+      id: 'academic',
+      name: 'Academic research',
+      settings: {
+        model: 'sonar-pro',
+        search_mode: 'academic',
+        web_search_options: { search_context_size: 'high', search_type: null },
+        system_prompt: 'Prefer peer-reviewed sources and say when evidence is weak or contested.'
+      }
+    },
+    {
+      id: 'sec',
+      name: 'SEC filings',
+      settings: { model: 'sonar-pro', search_mode: 'sec', system_prompt: 'Quote the filing and period you rely on.' }
+    }
+  ];
+
+  function loadSpaces() {
+    const parsed = safeJsonParse(localStorage.getItem(LS.spaces) || '');
+    state.spaces = Array.isArray(parsed) ? parsed : structuredClone(DEFAULT_SPACES);
+  }
+
+  function saveSpaces() {
+    localStorage.setItem(LS.spaces, JSON.stringify(state.spaces));
+  }
+
+  function spaceById(id) {
+    return state.spaces.find((sp) => sp.id === id) || null;
+  }
+
+  function pickSpaceKeys(s) {
+    const out = {};
+    for (const k of SPACE_KEYS) if (s[k] !== undefined) out[k] = structuredClone(s[k]);
+    return out;
+  }
+
+  // What a thread inherits before its own overrides.
+  function spaceBaseSettings(thread) {
+    const space = spaceById(thread?.spaceId);
+    return space ? mergeSettings(state.settings, space.settings) : state.settings;
+  }
+
+  function threadSettings(thread) {
+    const base = spaceBaseSettings(thread);
+    return thread?.overrides && Object.keys(thread.overrides).length ? mergeSettings(base, thread.overrides) : base;
+  }
+
+  // Space fields in `s` that differ from what the thread inherits.
+  function diffOverrides(thread, s) {
+    const base = spaceBaseSettings(thread);
+    const out = {};
+    for (const [k, v] of Object.entries(pickSpaceKeys(s))) {
+      if (JSON.stringify(v) !== JSON.stringify(base[k])) out[k] = v;
+    }
+    return out;
+  }
+
+  function setThreadSpace(thread, spaceId) {
+    thread.spaceId = spaceId || null;
+    // Overrides were relative to the old space; starting clean avoids masking the new one.
+    thread.overrides = {};
+    saveThreads();
+    renderSpacePicker();
+  }
+
+  function spaceOptionsHTML(selected) {
+    const opts = [`<option value="">No space (defaults)</option>`];
+    for (const sp of state.spaces) {
+      opts.push(`<option value="${escapeHtmlAttr(sp.id)}"${sp.id === selected ? ' selected' : ''}>${escapeHtml(sp.name)}</option>`);
+    }
+    return opts.join('');
+  }
+
+  function renderSpacePicker() {
+    const thread = activeThread();
+    const picker = $('spacePicker');
+    picker.innerHTML = spaceOptionsHTML(thread?.spaceId || '');
+
+    const keys = Object.keys(thread?.overrides || {});
+    const chip = $('spaceModified');
+    chip.style.display = keys.length ? '' : 'none';
+    chip.title = keys.length ? `This chat overrides: ${keys.join(', ')}` : '';
+    renderSchemaBtn();
+  }
+
+  function createSpaceFromUI() {
+    const name = (prompt('Name for the new space:') || '').trim();
+    if (!name) return;
+    const space = { id: uid(), name, settings: pickSpaceKeys(readSettingsFromUI()) };
+    state.spaces.push(space);
+    saveSpaces();
+
+    const thread = activeThread();
+    if (thread) setThreadSpace(thread, space.id);
+    openSettings();
+    toast(`Space "${name}" created`);
+  }
+
+  function deleteSpace(id) {
+    const space = spaceById(id);
+    if (!space || !confirm(`Delete space "${space.name}"? Chats using it fall back to the defaults.`)) return;
+    state.spaces = state.spaces.filter((sp) => sp.id !== id);
+    saveSpaces();
+    render();
+    openSettings();
+  }
+
+  // Space fields go to the chosen scope; everything else is a global setting as before.
+  function saveSettingsFromUI(scope) {
+    const thread = activeThread();
+    const ui = readSettingsFromUI();
+    const preset = pickSpaceKeys(ui);
+    const space = spaceById(thread?.spaceId);
+
+    const globals = { ...ui, compare: state.settings.compare };
+    for (const k of SPACE_KEYS) globals[k] = state.settings[k];
+    state.settings = globals;
+
+    if (scope === 'space' && space) {
+      space.settings = preset;
+      saveSpaces();
+      if (thread) thread.overrides = {};
+    } else if (scope === 'defaults' || !thread) {
+      Object.assign(state.settings, preset);
+      if (thread) thread.overrides = diffOverrides(thread, ui);
+    } else {
+      thread.overrides = diffOverrides(thread, ui);
+    }
+
+    saveSettings();
+    saveThreads();
+    renderSpacePicker();
+  }
+
+  // -------------------- Modals / Settings --------------------
+  function openApiKeyModal() {
+    $('apiKeyModal').style.display = 'grid';
+    $('apiKeyInput').value = state.apiKey || '';
+    $('apiKeyInput').focus();
+  }
+
+  function closeApiKeyModal() {
+    $('apiKeyModal').style.display = 'none';
+  }
+
+  function saveApiKeyFromModal() {
+    state.apiKey = $('apiKeyInput').value.trim();
+    if (state.apiKey) localStorage.setItem(LS.apiKey, state.apiKey);
+    else localStorage.removeItem(LS.apiKey);
+    closeApiKeyModal();
+    toast(state.apiKey ? 'API key saved' : 'API key cleared');
+    if (state.apiKey) {
+      pullThreads().then(() => {
+        scheduleSync(0);
+        reattachJobs();
+        resumeStreams();
+      });
+    }
+  }
+
+  function clearApiKey() {
+    state.apiKey = '';
+    localStorage.removeItem(LS.apiKey);
+    $('apiKeyInput').value = '';
+    toast('API key cleared');
+  }
+
+  // Shows the active thread's effective settings (defaults + space + overrides).
+  function openSettings() {
+    const thread = activeThread();
+    const s = threadSettings(thread);
+
+    $('settingsSpace').innerHTML = spaceOptionsHTML(thread?.spaceId || '');
+    $('deleteSpaceBtn').disabled = !thread?.spaceId;
+    $('settingsScope').querySelector('option[value="space"]').disabled = !thread?.spaceId;
+    if (!thread?.spaceId && $('settingsScope').value === 'space') $('settingsScope').value = 'thread';
+
+    // A saved model may come from a provider that is currently offline (e.g. Ollama).
+    if (![...$('modelSelect').options].some((o) => o.value === s.model)) {
+      const opt = document.createElement('option');
+      opt.value = s.model;
+      opt.textContent = `${s.model} (unavailable)`;
+      $('modelSelect').appendChild(opt);
+    }
+    $('modelSelect').value = s.model;
+    $('searchMode').value = s.search_mode;
+    $('streamToggle').value = String(Boolean(s.stream));
+    $('streamMode').value = s.stream_mode || 'full';
+    $('maxTokens').value = s.max_tokens ?? '';
+    $('reasoningEffort').value = s.reasoning_effort ?? '';
+
+    $('returnImages').value = String(Boolean(s.return_images));
+    $('returnVideos').value = String(Boolean(s.media_response?.overrides?.return_videos));
+    $('returnRelated').value = String(Boolean(s.return_related_questions));
+    $('enableSearchClassifier').value = String(Boolean(s.enable_search_classifier));
+    $('disableSearch').value = String(Boolean(s.disable_search));
+    $('safeSearch').value = String(Boolean(s.safe_search));
+
+    $('searchContextSize').value = s.web_search_options?.search_context_size ?? '';
+    $('searchType').value = s.web_search_options?.search_type ?? '';
+
+    $('languagePreference').value = s.language_preference ?? '';
+    $('systemPrompt').value = s.system_prompt ?? '';
+
+    $('searchDomainFilter').value = (s.search_domain_filter || []).join('\n');
+    $('searchLanguageFilter').value = (s.search_language_filter || []).join(', ');
+    $('searchRecency').value = s.search_recency_filter ?? '';
+
+    $('imageDomainFilter').value = (s.image_domain_filter || []).join('\n');
+    $('imageFormatFilter').value = (s.image_format_filter || []).join('\n');
+
+    $('deepResearchAsync').value = String(Boolean(s.deep_research_async));
+    $('useLibrary').value = String(Boolean(s.use_library));
+    $('responseSchema').value = s.response_schema ? JSON.stringify(s.response_schema, null, 2) : '';
+
+    $('settingsDrawer').style.display = 'grid';
+  }
+
+  function closeSettings() {
+    $('settingsDrawer').style.display = 'none';
+  }
+
+  function readSettingsFromUI() {
+    const s = structuredClone(DEFAULT_SETTINGS);
+
+    s.model = $('modelSelect').value;
+    s.search_mode = $('searchMode').value;
+
+    s.stream = $('streamToggle').value === 'true';
+    s.stream_mode = $('streamMode').value;
+
+    const maxTokens = $('maxTokens').value.trim();
+    s.max_tokens = maxTokens ? clamp(Number(maxTokens), 1, 128000) : null;
+
+    const re = $('reasoningEffort').value;
+    s.reasoning_effort = re || null;
+
+    s.return_images = $('returnImages').value === 'true';
+    s.media_response.overrides.return_videos = $('returnVideos').value === 'true';
+
+    s.return_related_questions = $('returnRelated').value === 'true';
+    s.enable_search_classifier = $('enableSearchClassifier').value === 'true';
+    s.disable_search = $('disableSearch').value === 'true';
+    s.safe_search = $('safeSearch').value === 'true';
+
+    const scs = $('searchContextSize').value;
+    s.web_search_options.search_context_size = scs || null;
+
+    const st = $('searchType').value;
+    s.web_search_options.search_type = st || null;
+
+    const lp = $('languagePreference').value.trim();
+    s.language_preference = lp || null;
+
+    s.system_prompt = $('systemPrompt').value;
+
+    s.search_domain_filter = parseList($('searchDomainFilter').value);
+    s.search_language_filter = parseList($('searchLanguageFilter').value);
+
+    const rec = $('searchRecency').value;
+    s.search_recency_filter = rec || null;
+
+    s.image_domain_filter = parseList($('imageDomainFilter').value);
+    s.image_format_filter = parseList($('imageFormatFilter').value);
+
+    s.deep_research_async = $('deepResearchAsync').value === 'true';
+    s.use_library = $('useLibrary').value === 'true';
+    s.response_schema = parseResponseSchema($('responseSchema').value).schema || null;
+
+    return s;
+  }
+
+  // -------------------- Attachments --------------------
+  // Picked files are uploaded to /api/uploads right away (streamed to disk on the server) and
+  // kept as Blobs in IndexedDB (localStorage is far too small for them). User messages
+  // reference them: `attachments: [{ id, kind, name, type, size, uploadId }]`. buildPayload()
+  // sends `upload:<uploadId>` and the server inlines the base64 when it forwards upstream.
+  // Server uploads expire; the browser copy is uploaded again when needed, so follow-up
+  // questions still carry the files after a reload. Only the references are synced.
+  const ATTACHMENT_DB = 'pplx_attachments';
+  const ATTACHMENT_STORE = 'attachments';
+  let attachmentDb = null;
+  const attachmentBlobs = new Map(); // id -> Blob, this session (also covers IndexedDB being unavailable)
+
+  function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function openAttachmentDb() {
+    if (!attachmentDb) {
+      const req = indexedDB.open(ATTACHMENT_DB, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(ATTACHMENT_STORE, { keyPath: 'id' });
+        store.createIndex('threadId', 'threadId');
+      };
+      attachmentDb = idbRequest(req);
+      attachmentDb.catch(() => {
+        attachmentDb = null;
+      });
+    }
+    return attachmentDb;
+  }
+
+  async function attachmentStore(mode = 'readonly') {
+    const db = await openAttachmentDb();
+    return db.transaction(ATTACHMENT_STORE, mode).objectStore(ATTACHMENT_STORE);
+  }
+
+  async function putAttachment(record) {
+    return idbRequest((await attachmentStore('readwrite')).put(record));
+  }
+
+  async function listAttachments() {
+    return idbRequest((await attachmentStore()).getAll());
+  }
+
+  async function deleteAttachments(ids) {
+    if (!ids.length) return;
+    const store = await attachmentStore('readwrite');
+    await Promise.all(ids.map((id) => idbRequest(store.delete(id))));
+    for (const id of ids) attachmentBlobs.delete(id);
+  }
+
+  async function attachmentBlob(id) {
+    if (attachmentBlobs.has(id)) return attachmentBlobs.get(id);
+    try {
+      const rec = await idbRequest((await attachmentStore()).get(id));
+      if (rec?.blob) attachmentBlobs.set(id, rec.blob);
+      return rec?.blob || null;
+    } catch {
+      return null;
+    }
+  }
+
+  function attachmentRef(a) {
+    const ref = { id: a.id, kind: a.kind, name: a.name, type: a.type, size: a.size, uploadId: a.uploadId };
+    if (a.send && a.send.mode !== 'file') ref.send = { mode: a.send.mode, pages: a.send.pages };
+    return ref;
+  }
+
+  // POSTs one file as multipart (XHR: fetch can't report upload progress). Resolves to the
+  // server's { id, name, type, kind, size }; rejects with the server's per-file error.
+  function uploadBlob(blob, name, { onProgress, onStart } = {}) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', '/api/uploads');
+      for (const [k, v] of Object.entries(authHeaders())) xhr.setRequestHeader(k, v);
+      xhr.responseType = 'json';
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+      };
+      xhr.onload = () => {
+        const file = xhr.response?.files?.[0];
+        if (xhr.status < 300 && file?.id) return resolve(file);
+        reject(new Error(file?.error || xhr.response?.error || `Upload failed (${xhr.status})`));
+      };
+      xhr.onerror = () => reject(new Error('Network error'));
+      xhr.onabort = () => reject(Object.assign(new Error('Cancelled'), { name: 'AbortError' }));
+      const form = new FormData();
+      form.append('file', blob, name);
+      xhr.send(form);
+      onStart?.(xhr);
+    });
+  }
+
+  async function uploadAttachment(a) {
+    const max = state.server.uploadMaxBytes;
+    if (max && a.size > max) {
+      a.status = 'error';
+      a.error = `Larger than ${formatBytes(max)}`;
+      return renderAttachmentPreview();
+    }
+
+    a.status = 'uploading';
+    a.progress = 0;
+    a.error = '';
+    renderAttachmentPreview();
+    try {
+      const file = await uploadBlob(a.blob, a.name, {
+        onStart: (xhr) => (a.xhr = xhr),
+        onProgress: (p) => {
+          a.progress = p;
+          updateAttachmentProgress(a);
+        }
+      });
+      a.uploadId = file.id;
+      a.status = a.kind === 'file' ? 'extracting' : 'done';
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      a.status = 'error';
+      a.error = err.message;
+    } finally {
+      a.xhr = null;
+    }
+    renderAttachmentPreview();
+    if (a.status === 'extracting') loadDocumentText(a);
+  }
+
+  // -------------------- Document text --------------------
+  // Docs can go upstream as the original file or as text extracted on the server
+  // (GET /api/uploads/:id/text): all of it, some pages/sections, or the chunks that best
+  // match the question. `a.send = { mode: 'file'|'text'|'pages'|'relevant', pages }` is kept
+  // on the message's attachment ref, and attachmentParts() turns it into a `file_text` part.
+  const WHOLE_TEXT_TOKENS = 8000; // default to "relevant" above this
+
+  const SEND_MODES = {
+    file: 'Whole file',
+    text: 'Full text',
+    pages: 'Pages…',
+    relevant: 'Relevant parts'
+  };
+
+  function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  async function loadDocumentText(a) {
+    try {
+      const resp = await fetch(`/api/uploads/${encodeURIComponent(a.uploadId)}/text`, { headers: authHeaders() });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data.error || `Extraction failed (${resp.status})`);
+      a.text = data;
+      a.send = { mode: !data.tokens ? 'file' : data.tokens <= WHOLE_TEXT_TOKENS ? 'text' : 'relevant', pages: '' };
+    } catch (err) {
+      // Unsupported type, scanned PDF... the original file can still be sent.
+      a.textError = err.message;
+      a.send = { mode: 'file', pages: '' };
+    }
+    if (a.status === 'extracting') a.status = 'done';
+    renderAttachmentPreview();
+  }
+
+  // "1-3, 5" -> [1, 2, 3, 5] (same rules as the server).
+  function parsePageSpec(spec, max) {
+    const out = new Set();
+    for (const part of String(spec || '').split(',')) {
+      const m = part.trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+      if (!m) continue;
+      for (let n = Math.max(1, Number(m[1])); n <= Math.min(max, Number(m[2] || m[1])); n++) out.add(n);
+    }
+    return [...out];
+  }
+
+  // Estimated tokens a pending attachment adds to the request, or null when unknown.
+  function attachmentTokens(a) {
+    if (!a.text) return null;
+    const mode = a.send?.mode;
+    if (mode === 'pages') {
+      const wanted = new Set(parsePageSpec(a.send.pages, a.text.pages.length));
+      return a.text.pages.filter((p) => wanted.has(p.n)).reduce((sum, p) => sum + p.tokens, 0);
+    }
+    if (mode === 'relevant') return a.text.relevantTokens;
+    return a.text.tokens; // the whole file costs at least its text
+  }
+
+  function sendModeLabel(ref) {
+    const send = ref.send;
+    if (!send || send.mode === 'file') return '';
+    if (send.mode === 'pages') return `pages ${send.pages}`;
+    return send.mode === 'relevant' ? 'relevant parts' : 'text';
+  }
+
+  function renderSendControls(chip, a) {
+    if (a.status === 'extracting') {
+      const note = document.createElement('span');
+      note.className = 'uploadChip__note';
+      note.textContent = 'reading…';
+      chip.appendChild(note);
+      return;
+    }
+    if (!a.send) return;
+
+    const select = document.createElement('select');
+    select.className = 'input input--small';
+    select.title = a.textError || 'What to send';
+    for (const [mode, label] of Object.entries(SEND_MODES)) {
+      const opt = document.createElement('option');
+      opt.value = mode;
+      opt.textContent = mode === 'pages' && a.text?.unit === 'section' ? 'Sections…' : label;
+      opt.disabled = mode !== 'file' && !a.text?.tokens;
+      select.appendChild(opt);
+    }
+    select.value = a.send.mode;
+    select.addEventListener('change', () => {
+      a.send.mode = select.value;
+      renderAttachmentPreview();
+      if (a.send.mode === 'pages') document.querySelector(`[data-attachment="${a.id}"] .uploadChip__pages`)?.focus();
+    });
+    chip.appendChild(select);
+
+    if (a.send.mode === 'pages') {
+      const pages = document.createElement('input');
+      pages.className = 'input input--small uploadChip__pages';
+      pages.placeholder = `1-${a.text.pages.length}`;
+      pages.title = a.text.pages.map((p) => `${p.n}. ${p.label} (≈${p.tokens} tok)`).join('\n');
+      pages.value = a.send.pages;
+      pages.addEventListener('input', () => {
+        a.send.pages = pages.value;
+        updateTokenEstimate();
+        const est = chip.querySelector('.uploadChip__note');
+        if (est) est.textContent = formatTokens(attachmentTokens(a));
+      });
+      chip.appendChild(pages);
+    }
+
+    const tokens = attachmentTokens(a);
+    if (tokens != null) {
+      const est = document.createElement('span');
+      est.className = 'uploadChip__note';
+      est.textContent = formatTokens(tokens);
+      chip.appendChild(est);
+    }
+  }
+
+  function formatTokens(n) {
+    if (n == null) return '';
+    return `≈${n >= 1000 ? `${(n / 1000).toFixed(1)}k` : n} tok`;
+  }
+
+  // Shown next to Send: the prompt plus whatever the pending attachments add.
+  function updateTokenEstimate() {
+    const el = $('tokenEstimate');
+    const pending = [...state.attachments.images, ...state.attachments.files];
+    let total = estimateTokens(composedTemplate($('prompt').value)?.text ?? $('prompt').value);
+    let unknown = false;
+    for (const a of pending) {
+      const t = attachmentTokens(a);
+      if (t == null) unknown = true;
+      else total += t;
+    }
+    el.style.display = total || pending.length ? '' : 'none';
+    el.textContent = `${formatTokens(total)}${unknown ? ' + files' : ''}`;
+    el.title = 'Estimated input tokens for this message (not counting the chat history)';
+  }
+
+  function removePendingAttachment(a) {
+    a.xhr?.abort();
+    if (a.uploadId) fetch(`/api/uploads/${encodeURIComponent(a.uploadId)}`, { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+    state.attachments.images = state.attachments.images.filter((x) => x !== a);
+    state.attachments.files = state.attachments.files.filter((x) => x !== a);
+    renderAttachmentPreview();
+  }
+
+  // Makes sure a message attachment is on the server (uploading the browser copy if needed).
+  async function ensureUploaded(ref) {
+    if (ref.uploadId) return true;
+    const blob = await attachmentBlob(ref.id);
+    if (!blob) return false;
+    ref.uploadId = (await uploadBlob(blob, ref.name)).id;
+    return true;
+  }
+
+  // POSTs a chat payload built from `thread`. If the server no longer has some uploads
+  // (expired, or a different server) they are uploaded again and the request is retried once.
+  async function postPayload(url, thread, overrides, wrap, signal) {
+    for (let attempt = 0; ; attempt++) {
+      const payload = await buildPayload(thread, overrides);
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders()
+        },
+        body: JSON.stringify(wrap ? wrap(payload) : payload),
+        signal
+      });
+      if (resp.status === 409 && attempt === 0) {
+        const data = await resp.clone().json().catch(() => null);
+        if (data?.code === 'upload_missing') {
+          forgetUploads(thread, data.missing || []);
+          continue;
+        }
+      }
+      return { resp, payload };
+    }
+  }
+
+  function forgetUploads(thread, uploadIds) {
+    const gone = new Set(uploadIds);
+    for (const m of thread.messages) {
+      for (const a of m.attachments || []) if (gone.has(a.uploadId)) delete a.uploadId;
+    }
+  }
+
+  // Stores the composer's attachments for `thread` and returns the refs for the message.
+  async function storeAttachments(thread, pending) {
+    for (const a of pending) attachmentBlobs.set(a.id, a.blob);
+    try {
+      const createdAt = nowISO();
+      await Promise.all(pending.map((a) => putAttachment({ ...attachmentRef(a), threadId: thread.id, createdAt, blob: a.blob })));
+    } catch (err) {
+      console.error('Attachment store error:', err);
+      toast('Attachments could not be saved; they only last until reload');
+    }
+    return pending.map(attachmentRef);
+  }
+
+  // Every attachment id some message (in any branch of any thread) still points to.
+  function referencedAttachmentIds() {
+    const ids = new Set();
+    const walk = (msgs) => {
+      for (const m of msgs || []) {
+        for (const a of m.attachments || []) ids.add(a.id);
+        for (const v of m.variants || []) if (v) walk(v);
+      }
+    };
+    for (const t of state.threads) walk(t.messages);
+    return ids;
+  }
+
+  // Deletes stored attachments no message refers to (optionally only those of one thread).
+  async function cleanupAttachments({ threadId } = {}) {
+    try {
+      const used = referencedAttachmentIds();
+      const unused = (await listAttachments()).filter((r) => !used.has(r.id) && (!threadId || r.threadId === threadId));
+      await deleteAttachments(unused.map((r) => r.id));
+      return unused.length;
+    } catch (err) {
+      console.error('Attachment cleanup error:', err);
+      return 0;
+    }
+  }
+
+  async function openAttachment(ref) {
+    const blob = await attachmentBlob(ref.id);
+    if (!blob) return toast('This attachment is not stored in this browser');
+    const url = URL.createObjectURL(blob);
+    window.open(url, '_blank', 'noopener');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  // Message content for the API: the text plus a server reference for every attachment
+  // that is still available (the server swaps in the base64).
+  async function attachmentParts(m) {
+    const parts = [];
+    const missing = [];
+    for (const ref of m.attachments) {
+      const ok = await ensureUploaded(ref).catch((err) => {
+        console.error(`Upload of ${ref.name} failed:`, err);
+        return false;
+      });
+      if (!ok) missing.push(ref.name);
+      else if (ref.kind === 'image') parts.push({ type: 'image_url', image_url: { url: `upload:${ref.uploadId}` } });
+      else if (ref.send) parts.push({ type: 'file_text', file_text: { url: `upload:${ref.uploadId}`, ...ref.send } });
+      else parts.push({ type: 'file_url', file_url: { url: `upload:${ref.uploadId}` } });
+    }
+    let text = String(m.content || '').trim() ? String(m.content) : 'Please analyze the attached files/images.';
+    if (missing.length) text += `\n\n[Attachments not available anymore: ${missing.join(', ')}]`;
+    return [{ type: 'text', text }, ...parts];
+  }
+
+  function pickAttachments(files, kind) {
+    const list = kind === 'image' ? state.attachments.images : state.attachments.files;
+    for (const f of Array.from(files || [])) {
+      const a = { id: uid(), kind, name: f.name, type: f.type, size: f.size, blob: f, status: 'uploading', progress: 0 };
+      list.push(a);
+      uploadAttachment(a);
+    }
+    if (kind === 'image') $('imageInput').value = '';
+    else $('fileInput').value = '';
+  }
+
+  function onImagePicked(files) {
+    pickAttachments(files, 'image');
+  }
+
+  function onFilePicked(files) {
+    pickAttachments(files, 'file');
+  }
+
+  function clearAttachments() {
+    state.attachments.images = [];
+    state.attachments.files = [];
+    $('imageInput').value = '';
+    $('fileInput').value = '';
+    renderAttachmentPreview();
+  }
+
+  function formatBytes(n) {
+    if (!n) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+    return `${(n / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+  }
+
+  // ---- Storage view ----
+  async function openStorage() {
+    $('storageModal').style.display = 'grid';
+    await renderStorage();
+  }
+
+  function closeStorage() {
+    $('storageModal').style.display = 'none';
+  }
+
+  async function renderStorage() {
+    const list = $('storageList');
+    let records;
+    try {
+      records = await listAttachments();
+    } catch (err) {
+      $('storageSummary').textContent = `IndexedDB is not available: ${err?.message || err}`;
+      list.innerHTML = '';
+      return;
+    }
+
+    const used = referencedAttachmentIds();
+    const total = records.reduce((sum, r) => sum + (r.size || 0), 0);
+    const unused = records.filter((r) => !used.has(r.id));
+    const estimate = await navigator.storage?.estimate?.().catch(() => null);
+    $('storageSummary').textContent = [
+      `${records.length} attachment(s), ${formatBytes(total)}`,
+      unused.length ? `${unused.length} unused (${formatBytes(unused.reduce((s, r) => s + (r.size || 0), 0))})` : null,
+      estimate?.quota ? `browser storage: ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}` : null
+    ].filter(Boolean).join(' • ');
+
+    list.innerHTML = '';
+    if (!records.length) {
+      list.innerHTML = `<div class="threadItem__meta">Nothing stored.</div>`;
+      return;
+    }
+
+    records.sort((a, b) => (b.size || 0) - (a.size || 0));
+    for (const r of records) {
+      const item = document.createElement('div');
+      item.className = 'threadItem';
+      item.addEventListener('click', () => openAttachment(r));
+
+      const left = document.createElement('div');
+      left.style.flex = '1';
+      left.style.minWidth = '0';
+
+      const title = document.createElement('div');
+      title.className = 'threadItem__title';
+      title.textContent = `${r.kind === 'image' ? '🖼' : '📄'} ${r.name}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'threadItem__meta';
+      const thread = threadById(r.threadId);
+      meta.textContent = [
+        formatBytes(r.size),
+        thread ? thread.title : 'chat deleted',
+        used.has(r.id) ? null : 'unused',
+        r.createdAt ? new Date(r.createdAt).toLocaleDateString() : null
+      ].filter(Boolean).join(' • ');
+
+      left.appendChild(title);
+      left.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'threadItem__actions';
+      const del = document.createElement('button');
+      del.className = 'btn';
+      del.textContent = '✕';
+      del.title = used.has(r.id) ? 'Delete (messages keep the name but can no longer send the file)' : 'Delete';
+      del.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await deleteAttachments([r.id]);
+        renderStorage();
+      });
+      actions.appendChild(del);
+
+      item.appendChild(left);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+  }
+
+  async function deleteUnusedAttachments() {
+    const n = await cleanupAttachments();
+    toast(n ? `Deleted ${n} unused attachment(s)` : 'No unused attachments');
+    renderStorage();
+  }
+
+  async function deleteAllAttachments() {
+    if (!confirm('Delete all stored attachments? Messages keep the file names but can no longer send the files.')) return;
+    try {
+      await deleteAttachments((await listAttachments()).map((r) => r.id));
+    } catch (err) {
+      console.error(err);
+    }
+    renderStorage();
+  }
+
+  // -------------------- Document library --------------------
+  // Team documents uploaded to the server (/api/library), chunked and indexed there (BM25).
+  // With "Search my library" on, generateReply() first asks for the best passages for the
+  // question, keeps them on the answer as meta.local_sources and buildPayload() puts them in
+  // front of the question. They are cited as [L1], [L2]... next to the web's [1], [2]...
+  const LIBRARY_PASSAGES = 5;
+
+  async function openLibrary() {
+    $('libraryModal').style.display = 'grid';
+    await renderLibrary();
+  }
+
+  function closeLibrary() {
+    $('libraryModal').style.display = 'none';
+  }
+
+  async function renderLibrary() {
+    const list = $('libraryList');
+    let docs;
+    try {
+      const resp = await fetch('/api/library', { headers: authHeaders() });
+      if (!resp.ok) throw await responseError(resp, 'Could not load the library');
+      docs = (await resp.json()).docs || [];
+    } catch (err) {
+      $('librarySummary').textContent = String(err?.message || err);
+      list.innerHTML = '';
+      return;
+    }
+
+    const chunks = docs.reduce((sum, d) => sum + d.chunks, 0);
+    $('librarySummary').textContent = `${docs.length} document(s), ${chunks} passage(s)`;
+
+    list.innerHTML = '';
+    if (!docs.length) {
+      list.innerHTML = `<div class="threadItem__meta">No documents yet. Add .txt, .rtf, .docx or .pdf files.</div>`;
+      return;
+    }
+
+    for (const d of docs) {
+      const item = document.createElement('div');
+      item.className = 'threadItem';
+
+      const left = document.createElement('div');
+      left.style.flex = '1';
+      left.style.minWidth = '0';
+
+      const title = document.createElement('div');
+      title.className = 'threadItem__title';
+      title.textContent = `📄 ${d.name}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'threadItem__meta';
+      meta.textContent = [
+        formatBytes(d.size),
+        `${d.chunks} passage(s)`,
+        formatTokens(d.tokens),
+        d.createdAt ? new Date(d.createdAt).toLocaleDateString() : null
+      ].filter(Boolean).join(' • ');
+
+      left.appendChild(title);
+      left.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'threadItem__actions';
+      const del = document.createElement('button');
+      del.className = 'btn';
+      del.textContent = '✕';
+      del.title = 'Remove from the library';
+      del.addEventListener('click', () => deleteLibraryDoc(d));
+      actions.appendChild(del);
+
+      item.appendChild(left);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+  }
+
+  async function addLibraryFiles(files) {
+    const list = Array.from(files || []);
+    $('libraryInput').value = '';
+    if (!list.length) return;
+
+    const form = new FormData();
+    for (const f of list) form.append('file', f, f.name);
+    $('librarySummary').textContent = `Adding ${list.length} file(s)…`;
+    try {
+      const resp = await fetch('/api/library', { method: 'POST', headers: authHeaders(), body: form });
+      const data = await resp.json().catch(() => ({}));
+      if (!Array.isArray(data.docs)) throw new Error(data.error || `Upload failed (${resp.status})`);
+      const failed = data.docs.filter((d) => d.error);
+      const added = data.docs.length - failed.length;
+      toast([added ? `Added ${added} document(s)` : null, ...failed.map((d) => `${d.name}: ${d.error}`)].filter(Boolean).join(' • '));
+    } catch (err) {
+      toast(String(err?.message || err));
+    }
+    renderLibrary();
+  }
+
+  async function deleteLibraryDoc(doc) {
+    if (!confirm(`Remove "${doc.name}" from the library?`)) return;
+    const resp = await fetch(`/api/library/${encodeURIComponent(doc.id)}`, { method: 'DELETE', headers: authHeaders() });
+    if (!resp.ok && resp.status !== 404) toast('Could not remove the document');
+    renderLibrary();
+  }
+
+  // The best library passages for the question in the last user message ([] if none or on error:
+  // the answer then simply comes from the web alone).
+  async function retrieveLocalSources(messages, signal) {
+    const question = [...messages].reverse().find((m) => m.role === 'user');
+    const query = typeof question?.content === 'string' ? question.content.trim() : '';
+    if (!query) return [];
+    try {
+      const resp = await fetch('/api/library/search', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ query, limit: LIBRARY_PASSAGES }),
+        signal
+      });
+      if (!resp.ok) throw await responseError(resp, 'Library search failed');
+      const { passages } = await resp.json();
+      return (passages || []).map((p, i) => ({ n: i + 1, docId: p.docId, name: p.name, label: p.label, text: p.text }));
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err;
+      console.error(err);
+      toast('Library search failed; answering from the web only');
+      return [];
+    }
+  }
+
+  function localSourcesPrompt(sources) {
+    return [
+      "Passages from the user's own documents (local sources). Use them where they are relevant and cite them as [L1], [L2]…; keep [1], [2]… for web results.",
+      ...sources.map((src) => `[L${src.n}] ${src.name} — ${src.label}\n${src.text}`),
+      '---'
+    ].join('\n\n');
+  }
+
+  // Puts the passages in front of the question (a new array/string; msgs may share content arrays).
+  function withLocalSources(content, sources) {
+    const context = localSourcesPrompt(sources);
+    if (Array.isArray(content)) return [{ type: 'text', text: context }, ...content];
+    return `${context}\n\n${content}`;
+  }
+
+  // -------------------- Request building --------------------
+  // `overrides` (e.g. { model, search_mode } when regenerating) win over the saved settings.
+  // Async because stored attachments are read back from IndexedDB.
+  async function buildPayload(thread, overrides = {}) {
+    const s = mergeSettings(threadSettings(thread), overrides);
+
+    // Clone messages; user messages with attachments become multipart content again.
+    const msgs = await Promise.all((thread.messages || []).map(async (m) => {
+      if (m.role === 'system') return m;
+      if (Array.isArray(m.content)) return { role: m.role, content: m.content };
+      if (m.role === 'user' && m.attachments?.length) return { role: m.role, content: await attachmentParts(m) };
+      return { role: m.role, content: String(m.content || '') };
+    }));
+
+    const messages = [];
+    // System prompt must come first, before any other messages
+    if (s.system_prompt && s.system_prompt.trim()) {
+      messages.push({ role: 'system', content: s.system_prompt.trim() });
+    }
+    // Add all thread messages, filtering out any system messages from the thread
+    messages.push(...msgs.filter(m => m.role !== 'system'));
+
+    // Library passages retrieved for this answer go with the question they were retrieved for.
+    if (s.local_sources?.length) {
+      const question = messages.findLast((m) => m.role === 'user');
+      if (question) question.content = withLocalSources(question.content, s.local_sources);
+    }
+
+    const payload = {
+      model: s.model,
+      messages,
+      search_mode: s.search_mode,
+      stream: Boolean(s.stream),
+      stream_mode: s.stream_mode || 'full',
+      safe_search: Boolean(s.safe_search)
+    };
+
+    if (s.max_tokens != null) payload.max_tokens = s.max_tokens;
+    if (s.reasoning_effort) payload.reasoning_effort = s.reasoning_effort;
+    if (s.language_preference) payload.language_preference = s.language_preference;
+
+    // Search controls
+    if (s.return_images) payload.return_images = true;
+    if (s.return_related_questions) payload.return_related_questions = true;
+    if (s.enable_search_classifier) payload.enable_search_classifier = true;
+    if (s.disable_search) payload.disable_search = true;
+
+    if (s.search_domain_filter?.length) payload.search_domain_filter = s.search_domain_filter;
+    if (s.search_language_filter?.length) payload.search_language_filter = s.search_language_filter;
+    if (s.search_recency_filter) payload.search_recency_filter = s.search_recency_filter;
+
+    if (s.response_schema) payload.response_format = { type: 'json_schema', json_schema: { schema: s.response_schema } };
+
+    if (s.image_domain_filter?.length) payload.image_domain_filter = s.image_domain_filter;
+    if (s.image_format_filter?.length) payload.image_format_filter = s.image_format_filter;
+
+    // Web search options (context size, pro/fast/auto)
+    const wso = {};
+    if (s.web_search_options?.search_context_size) wso.search_context_size = s.web_search_options.search_context_size;
+    if (s.web_search_options?.search_type) wso.search_type = s.web_search_options.search_type;
+    if (Object.keys(wso).length) payload.web_search_options = wso;
+
+    // Media response overrides (videos)
+    if (s.media_response?.overrides?.return_videos) {
+      payload.media_response = { overrides: { return_videos: true } };
+    }
+
+    return payload;
+  }
+
+  // -------------------- Streaming (SSE) --------------------
+  // Calls onChunk(obj, eventId) per event. Resolves true on [DONE], false if the stream just ended.
+  async function consumeSSE(resp, onChunk) {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return false;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Split into SSE events. Each event separated by double newline.
+      const events = buffer.split(/\n\n/);
+      buffer = events.pop() || '';
+
+      for (const evt of events) {
+        const lines = evt
+          .split(/\n/)
+          .map((l) => l.trim())
+          .filter(Boolean);
+
+        const idLine = lines.find((l) => l.startsWith('id:'));
+        const eventId = idLine ? Number(idLine.slice(3).trim()) || null : null;
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (!data) continue;
+          if (data === '[DONE]') {
+            reader.cancel().catch(() => {});
+            return true;
+          }
+
+          const obj = safeJsonParse(data);
+          if (obj) onChunk(obj, eventId);
+        }
+      }
+    }
+  }
+
+  // Applies a buffered /api/chat stream to `msg`, calling onUpdate() after each chunk. If the
+  // connection drops before [DONE], it reconnects with Last-Event-ID and replays only what was
+  // missed. `resp` may be null to resume from scratch (e.g. after a reload).
+  async function followStream(msg, resp, signal, onUpdate) {
+    const id = msg.meta.stream_id;
+    let streamError = null;
+    let failures = 0;
+
+    if (id) activeStreams.add(id);
+    try {
+      while (true) {
+        if (!resp && id) {
+          resp = await fetch(`/api/chat/streams/${encodeURIComponent(id)}`, {
+            method: 'GET',
+            headers: { ...authHeaders(), 'Last-Event-ID': String(msg.meta.stream_event || 0) },
+            signal
+          }).catch((err) => {
+            if (err?.name === 'AbortError') throw err;
+            return null;
+          });
+          if (resp?.status === 404) throw new Error('Connection lost and the stream has expired; this answer is incomplete.');
+          if (resp && !resp.ok) throw await responseError(resp, 'Stream resume error');
+          if (resp && failures && signal) setStatus('streaming', 'Streaming…');
+        }
+
+        let finished = false;
+        if (resp) {
+          try {
+            finished = await consumeSSE(resp, (chunk, eventId) => {
+              console.log('Received chunk:', chunk);
+              failures = 0;
+              if (eventId) msg.meta.stream_event = eventId;
+              if (chunk.error) {
+                streamError = chunk.error.message || String(chunk.error);
+                return;
+              }
+              applyPerplexityChunk(msg, chunk);
+              // Keep the last assistant message updated.
+              onUpdate();
+            });
+          } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+          }
+        }
+        if (finished) break;
+
+        if (!id || ++failures > 5) throw new Error('Connection lost; this answer is incomplete.');
+        if (signal) setStatus('streaming', 'Reconnecting…');
+        resp = null;
+        await sleep(1000 * failures);
+      }
+
+      delete msg.meta.stream_id;
+      delete msg.meta.stream_event;
+      if (streamError) throw new Error(streamError);
+    } finally {
+      activeStreams.delete(id);
+    }
+  }
+
+  // Stop button: also stop the upstream request the server is still buffering.
+  function cancelStream(msg) {
+    const id = msg.meta?.stream_id;
+    if (!id) return;
+    delete msg.meta.stream_id;
+    delete msg.meta.stream_event;
+    fetch(`/api/chat/streams/${encodeURIComponent(id)}`, { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+  }
+
+  // On load: finish any answer that was still streaming when the page went away.
+  function resumeStreams() {
+    for (const thread of state.threads) {
+      for (const msg of thread.messages) {
+        // Already followed by a send, a compare run or an earlier resume.
+        if (!msg.meta?.stream_id || activeStreams.has(msg.meta.stream_id)) continue;
+        followStream(msg, null, null, () => refreshMessage(thread, msg))
+          .then(() => recordUsage(thread, msg))
+          .catch((err) => {
+            delete msg.meta.stream_id;
+            delete msg.meta.stream_event;
+            msg.content += `\n\n⚠️ ${String(err?.message || err)}`;
+            refreshMessage(thread, msg);
+          })
+          .finally(() => saveThreads());
+      }
+    }
+  }
+
+  // -------------------- Compare mode --------------------
+  // Sends one prompt to 2–4 configurations in parallel. The answers live in `compareRun`, not in
+  // the thread, until one is promoted; the others then stay reachable as sibling branches.
+  let compareMode = false;
+  let compareRun = null;
+
+  function renderCompareBar() {
+    const bar = $('compareBar');
+    $('compareBtn').classList.toggle('btn--active', compareMode);
+    bar.style.display = compareMode ? '' : 'none';
+    if (!compareMode) return;
+
+    const configs = state.settings.compare;
+    bar.innerHTML = '';
+    configs.forEach((cfg, i) => {
+      const row = document.createElement('div');
+      row.className = 'compareBar__config';
+
+      const model = document.createElement('select');
+      model.className = 'input';
+      model.innerHTML = $('modelSelect').innerHTML;
+      model.value = cfg.model;
+      model.addEventListener('change', () => {
+        cfg.model = model.value;
+        saveSettings();
+      });
+
+      const mode = document.createElement('select');
+      mode.className = 'input';
+      mode.innerHTML = $('searchMode').innerHTML;
+      mode.value = cfg.search_mode;
+      mode.addEventListener('change', () => {
+        cfg.search_mode = mode.value;
+        saveSettings();
+      });
+
+      row.appendChild(model);
+      row.appendChild(mode);
+
+      if (configs.length > 2) {
+        const del = document.createElement('button');
+        del.className = 'btn';
+        del.textContent = '✕';
+        del.title = 'Remove';
+        del.addEventListener('click', () => {
+          configs.splice(i, 1);
+          saveSettings();
+          renderCompareBar();
+        });
+        row.appendChild(del);
+      }
+      bar.appendChild(row);
+    });
+
+    if (configs.length < 4) {
+      const add = document.createElement('button');
+      add.className = 'btn';
+      add.textContent = '+ Add';
+      add.addEventListener('click', () => {
+        const s = threadSettings(activeThread());
+        configs.push({ model: s.model, search_mode: s.search_mode });
+        saveSettings();
+        renderCompareBar();
+      });
+      bar.appendChild(add);
+    }
+  }
+
+  function toggleCompareMode() {
+    compareMode = !compareMode;
+    renderCompareBar();
+    if (composerTemplate) renderTemplateBar();
+  }
+
+  // `thread` already ends with the new user message.
+  async function runCompare(thread, overrides = {}) {
+    const history = thread.messages.slice();
+    const controller = new AbortController();
+    abortController = controller;
+
+    compareRun = {
+      thread,
+      after: history.length,
+      columns: state.settings.compare.map((cfg) => ({
+        config: { ...overrides, ...cfg },
+        msg: newAssistantMessage(thread, { ...overrides, ...cfg }),
+        status: 'streaming',
+        startedAt: performance.now(),
+        firstAt: null,
+        doneAt: null,
+        el: null
+      }))
+    };
+    const run = compareRun;
+
+    saveThreads();
+    render();
+    setStatus('streaming', `Comparing ${run.columns.length} answers…`);
+    $('stopBtn').style.display = 'inline-flex';
+
+    try {
+      // One retrieval for all columns, so they answer from the same passages.
+      if (threadSettings(thread).use_library) {
+        const sources = await retrieveLocalSources(history, controller.signal);
+        for (const col of run.columns) col.msg.meta.local_sources = sources;
+      }
+      await Promise.all(run.columns.map((col) => runCompareColumn(thread, history, col, controller.signal)));
+      setStatus('idle', 'Pick an answer to keep');
+    } finally {
+      if (abortController === controller) {
+        $('stopBtn').style.display = 'none';
+        abortController = null;
+      }
+    }
+  }
+
+  async function runCompareColumn(thread, history, col, signal) {
+    const update = () => {
+      if (!col.firstAt && col.msg.content) col.firstAt = performance.now();
+      updateCompareColumn(col);
+    };
+
+    try {
+      const overrides = { ...col.config, ...replyOverrides(col.msg) };
+      const { resp, payload } = await postPayload('/api/chat', { ...thread, messages: history }, overrides, null, signal);
+
+      if (!resp.ok) {
+        throw await responseError(resp, `${providerForModel(payload.model)?.label || 'Perplexity'} API error`);
+      }
+
+      if (payload.stream) {
+        col.msg.meta.stream_id = resp.headers.get('x-stream-id') || undefined;
+        await followStream(col.msg, resp, signal, update);
+      } else {
+        applyPerplexityFinal(col.msg, await resp.json());
+        update();
+      }
+      col.status = 'done';
+      recordUsage(thread, col.msg);
+    } catch (err) {
+      if (err?.name === 'AbortError') {
+        cancelStream(col.msg);
+        col.status = 'stopped';
+      } else {
+        console.error(err);
+        col.status = 'error';
+        col.msg.content += `\n\n⚠️ ${String(err?.message || err)}`;
+      }
+    }
+    col.doneAt = performance.now();
+    updateCompareColumn(col);
+  }
+
+  function compareStats(col) {
+    const parts = [];
+    if (col.firstAt) parts.push(`first token ${((col.firstAt - col.startedAt) / 1000).toFixed(1)}s`);
+    if (col.doneAt) parts.push(`total ${((col.doneAt - col.startedAt) / 1000).toFixed(1)}s`);
+    const u = col.msg.meta.usage || {};
+    if (u.total_tokens) parts.push(`${u.total_tokens} tokens`);
+    if (u.cost?.total_cost != null) parts.push(formatCost(Number(u.cost.total_cost)));
+    if (col.status !== 'done') parts.push(col.status);
+    return parts.join(' • ');
+  }
+
+  function renderComparePanel(container, thread) {
+    const run = compareRun;
+    if (!run || run.thread !== thread) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'comparePanel';
+
+    const head = document.createElement('div');
+    head.className = 'comparePanel__head';
+    const title = document.createElement('div');
+    title.className = 'metaBlock__title';
+    title.textContent = `Compare (${run.columns.length})`;
+    const discard = document.createElement('button');
+    discard.className = 'btn';
+    discard.textContent = 'Discard';
+    discard.title = 'Drop these answers and the question';
+    discard.addEventListener('click', () => discardCompare());
+    head.appendChild(title);
+    head.appendChild(discard);
+    panel.appendChild(head);
+
+    const grid = document.createElement('div');
+    grid.className = 'comparePanel__grid';
+    grid.style.setProperty('--cols', run.columns.length);
+
+    run.columns.forEach((col, i) => {
+      const el = document.createElement('div');
+      el.className = 'compareCol';
+
+      const label = document.createElement('div');
+      label.className = 'compareCol__label';
+      label.textContent = `${col.config.model} • ${col.config.search_mode}`;
+
+      const stats = document.createElement('div');
+      stats.className = 'compareCol__stats';
+
+      const body = document.createElement('div');
+      body.className = 'message__content compareCol__body';
+
+      const use = document.createElement('button');
+      use.className = 'btn btn--primary compareCol__use';
+      use.textContent = 'Use this answer';
+      use.addEventListener('click', () => promoteCompare(i));
+
+      el.appendChild(label);
+      el.appendChild(stats);
+      el.appendChild(body);
+      el.appendChild(use);
+      grid.appendChild(el);
+
+      col.el = el;
+      updateCompareColumn(col);
+    });
+
+    panel.appendChild(grid);
+    container.appendChild(panel);
+  }
+
+  function updateCompareColumn(col) {
+    if (!col.el?.isConnected) return;
+    col.el.querySelector('.compareCol__stats').textContent = compareStats(col);
+    const body = col.el.querySelector('.compareCol__body');
+    body.innerHTML = renderAssistantHTML(col.msg.content || '', col.msg.meta);
+    verifyCitations(body, col.msg.meta);
+    col.el.querySelector('.message__meta')?.remove();
+    const meta = renderMetaBlocks(col.msg.meta);
+    if (meta) col.el.querySelector('.compareCol__use').before(meta);
+    col.el.querySelector('.compareCol__use').disabled = col.status === 'streaming' || !col.msg.content;
+  }
+
+  // The chosen answer goes into the thread; the rest become its sibling branches.
+  function promoteCompare(i) {
+    const run = compareRun;
+    const thread = run.thread;
+    if (thread.messages.length !== run.after) {
+      return toast('This chat has moved on since the comparison');
+    }
+
+    const chosen = run.columns[i];
+    const others = run.columns.filter((c) => c !== chosen && c.msg.content);
+    others.forEach((c, k) => (k === 0 ? thread.messages.push(c.msg) : forkAt(thread, run.after, c.msg)));
+    if (others.length) forkAt(thread, run.after, chosen.msg);
+    else thread.messages.push(chosen.msg);
+
+    compareRun = null;
+    saveThreads();
+    render();
+    setStatus('idle', 'Done');
+  }
+
+  // Stops any running columns and removes the unanswered question.
+  function discardCompare() {
+    const run = compareRun;
+    if (!run) return;
+    if (abortController && run.columns.some((c) => c.status === 'streaming')) abortController.abort();
+    if (run.thread.messages.length === run.after && run.thread.messages.at(-1)?.role === 'user') {
+      run.thread.messages.pop();
+      saveThreads();
+    }
+    compareRun = null;
+    render();
+  }
+
+  // -------------------- Prompt templates --------------------
+  // Reusable prompts run from the composer as slash commands ("/lit-review {{topic}}").
+  // `{{name}}` marks a variable; picking a template opens the template bar above the prompt
+  // with one input per variable (suggesting values used before), and whatever is typed in
+  // the prompt is added as extra instructions. A template's settings (model, search mode,
+  // recency) apply to the answer it produces only; they end up in the answer's meta like a
+  // regenerate override would.
+  const TEMPLATE_KEYS = ['model', 'search_mode', 'search_recency_filter'];
+  const TEMPLATE_RECENT_MAX = 8;
+  const TEMPLATE_VAR_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+  const DEFAULT_TEMPLATES = [
+    {
+      id: 'compare',
+      command: 'compare',
+      description: 'Side-by-side comparison of two things',
+      body: 'Compare {{a}} and {{b}}. Start with a table of the key differences, then explain when to choose each.',
+      settings: { model: 'sonar-pro' }
+    },
+    {
+      id: 'summarize-sec',
+      command: 'summarize-sec',
+      description: 'Latest 10-K / 10-Q of a company',
+      body: 'Summarize the most recent 10-K and 10-Q filings of {{ticker}}: revenue and margin trends, guidance, segment results and the main risk factors. Name the filing and period for each point.',
+      settings: { model: 'sonar-pro', search_mode: 'sec' }
+    },
+    {
+      id: 'lit-review',
+      command: 'lit-review',
+      description: 'Short literature review',
+      body: 'Write a short literature review on {{topic}}: the key papers (authors, year), their main findings, where studies disagree and the open questions.',
+      settings: { model: 'sonar-pro', search_mode: 'academic' }
+    },
+    {
+      id: 'news',
+      command: 'news',
+      description: 'What happened this week',
+      body: 'What are the latest developments on {{topic}}? List them newest first, with dates.',
+      settings: { search_recency_filter: 'week' }
+    }
+  ];
+
+  // The template picked for the next send: { template, values: { name: text } }.
+  let composerTemplate = null;
+  // Slash command menu under the prompt: { items, index } while open.
+  let slashMenu = null;
+  let editingTemplateId = null;
+
+  function loadTemplates() {
+    const parsed = safeJsonParse(localStorage.getItem(LS.templates) || '');
+    state.templates = Array.isArray(parsed?.items) ? parsed.items : structuredClone(DEFAULT_TEMPLATES);
+    state.templateValues = parsed?.recent && typeof parsed.recent === 'object' ? parsed.recent : {};
+  }
+
+  function saveTemplates() {
+    localStorage.setItem(LS.templates, JSON.stringify({ items: state.templates, recent: state.templateValues }));
+  }
+
+  function templateByCommand(command) {
+    const c = String(command || '').toLowerCase();
+    return state.templates.find((t) => t.command.toLowerCase() === c) || null;
+  }
+
+  // Variable names in order of first appearance.
+  function templateVars(body) {
+    return [...new Set([...String(body || '').matchAll(TEMPLATE_VAR_RE)].map((m) => m[1]))];
+  }
+
+  function fillTemplate(body, values) {
+    return String(body || '').replace(TEMPLATE_VAR_RE, (_, name) => String(values[name] ?? '').trim());
+  }
+
+  function templateUsage(t) {
+    return `/${t.command}${templateVars(t.body).map((v) => ` {{${v}}}`).join('')}`;
+  }
+
+  function templateSettingsLabel(settings = {}) {
+    return [
+      settings.model,
+      settings.search_mode,
+      settings.search_recency_filter ? `past ${settings.search_recency_filter}` : null
+    ].filter(Boolean).join(' • ');
+  }
+
+  function pickTemplateSettings(settings = {}) {
+    const out = {};
+    for (const k of TEMPLATE_KEYS) if (settings[k]) out[k] = settings[k];
+    return out;
+  }
+
+  // "/summarize-sec AAPL" -> { ticker: 'AAPL' }. Arguments are split on "|" if there is one,
+  // otherwise on spaces; the last variable takes the rest ("/lit-review CRISPR off-target").
+  function templateArgs(t, rest) {
+    const vars = templateVars(t.body);
+    const text = String(rest || '').trim();
+    const values = {};
+    if (!vars.length || !text) return values;
+    const parts = text.includes('|') ? text.split('|').map((s) => s.trim()) : text.split(/\s+/);
+    vars.forEach((name, i) => {
+      const value = i === vars.length - 1 ? parts.slice(i).join(text.includes('|') ? ' | ' : ' ') : parts[i];
+      if (value) values[name] = value;
+    });
+    return values;
+  }
+
+  function rememberTemplateValues(values) {
+    for (const [name, value] of Object.entries(values)) {
+      const v = String(value).trim();
+      if (!v) continue;
+      const list = (state.templateValues[name] || []).filter((x) => x !== v);
+      state.templateValues[name] = [v, ...list].slice(0, TEMPLATE_RECENT_MAX);
+    }
+    saveTemplates();
+  }
+
+  // ---- Slash command menu ----
+  function updateSlashMenu() {
+    const m = $('prompt').value.match(/^\/([\w-]*)$/);
+    if (!m || composerTemplate) return closeSlashMenu();
+
+    const q = m[1].toLowerCase();
+    const items = state.templates
+      .filter((t) => t.command.toLowerCase().startsWith(q))
+      .concat(state.templates.filter((t) => !t.command.toLowerCase().startsWith(q) && t.command.toLowerCase().includes(q)));
+    items.push({ manage: true });
+    slashMenu = { items, index: Math.min(slashMenu?.index || 0, items.length - 1) };
+    renderSlashMenu();
+  }
+
+  function closeSlashMenu() {
+    slashMenu = null;
+    $('slashMenu').style.display = 'none';
+  }
+
+  function renderSlashMenu() {
+    const menu = $('slashMenu');
+    menu.innerHTML = '';
+    slashMenu.items.forEach((t, i) => {
+      const row = document.createElement('div');
+      row.className = 'slashMenu__item' + (i === slashMenu.index ? ' slashMenu__item--active' : '');
+      row.innerHTML = t.manage
+        ? `<span class="slashMenu__command">Manage templates…</span>`
+        : `<span class="slashMenu__command">${escapeHtml(templateUsage(t))}</span>
+           <span class="slashMenu__desc">${escapeHtml(t.description || '')}</span>
+           ${templateSettingsLabel(t.settings) ? `<span class="chip">${escapeHtml(templateSettingsLabel(t.settings))}</span>` : ''}`;
+      // mousedown, so the prompt keeps focus
+      row.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        slashMenu.index = i;
+        pickSlashItem();
+      });
+      menu.appendChild(row);
+    });
+    menu.style.display = '';
+  }
+
+  // Keys for the open menu; returns true if the key was handled.
+  function slashMenuKey(e) {
+    if (!slashMenu) return false;
+    const n = slashMenu.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      slashMenu.index = (slashMenu.index + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+      renderSlashMenu();
+    } else if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+      pickSlashItem();
+    } else if (e.key === 'Escape') {
+      closeSlashMenu();
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  function pickSlashItem() {
+    const item = slashMenu?.items[slashMenu.index];
+    closeSlashMenu();
+    if (!item) return;
+    $('prompt').value = '';
+    if (item.manage) return openTemplates();
+    useTemplate(item, {});
+  }
+
+  // ---- Template bar ----
+  function useTemplate(t, values) {
+    composerTemplate = { template: t, values: { ...values } };
+    renderTemplateBar();
+    updateTokenEstimate();
+    const empty = [...$('templateBar').querySelectorAll('.templateBar__var')].find((input) => !input.value.trim());
+    (empty || $('prompt')).focus();
+  }
+
+  function clearTemplate() {
+    composerTemplate = null;
+    renderTemplateBar();
+    updateTokenEstimate();
+  }
+
+  function renderTemplateBar() {
+    const bar = $('templateBar');
+    const prompt = $('prompt');
+    bar.style.display = composerTemplate ? '' : 'none';
+    if (!prompt.dataset.placeholder) prompt.dataset.placeholder = prompt.placeholder;
+    prompt.placeholder = composerTemplate ? 'Optional: extra instructions, added after the template' : prompt.dataset.placeholder;
+    if (!composerTemplate) return;
+
+    const { template: t, values } = composerTemplate;
+    bar.innerHTML = '';
+
+    const name = document.createElement('span');
+    name.className = 'chip templateBar__command';
+    name.textContent = `/${t.command}`;
+    name.title = t.body;
+    bar.appendChild(name);
+
+    const vars = templateVars(t.body);
+    vars.forEach((v, i) => {
+      const input = document.createElement('input');
+      input.className = 'input input--small templateBar__var';
+      input.placeholder = v;
+      input.title = v;
+      input.value = values[v] || '';
+      input.setAttribute('list', `templateValues-${i}`);
+      const list = document.createElement('datalist');
+      list.id = `templateValues-${i}`;
+      for (const recent of state.templateValues[v] || []) {
+        const opt = document.createElement('option');
+        opt.value = recent;
+        list.appendChild(opt);
+      }
+      input.addEventListener('input', () => {
+        values[v] = input.value;
+        updateTokenEstimate();
+      });
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          clearTemplate();
+          $('prompt').focus();
+        } else if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          const next = bar.querySelectorAll('.templateBar__var')[i + 1];
+          if (next) next.focus();
+          else sendPrompt();
+        }
+      });
+      bar.appendChild(input);
+      bar.appendChild(list);
+    });
+
+    const settings = templateSettingsLabel(t.settings);
+    if (settings) {
+      const chip = document.createElement('span');
+      chip.className = 'chip';
+      chip.textContent = settings;
+      chip.title = compareMode ? 'Compare mode: only the recency applies; each column keeps its model' : 'Applies to this message only';
+      bar.appendChild(chip);
+    }
+
+    const close = document.createElement('button');
+    close.className = 'uploadChip__btn templateBar__close';
+    close.textContent = '✕';
+    close.title = 'Don’t use the template (Esc)';
+    close.addEventListener('click', () => {
+      clearTemplate();
+      prompt.focus();
+    });
+    bar.appendChild(close);
+  }
+
+  // The message text and per-send settings for the picked template, with `text` (the prompt
+  // box) as extra instructions. `missing` lists unfilled variables. null if no template.
+  function composedTemplate(text) {
+    if (!composerTemplate) return null;
+    const { template: t, values } = composerTemplate;
+    const missing = templateVars(t.body).filter((v) => !String(values[v] || '').trim());
+    const extra = String(text || '').trim();
+    return {
+      text: fillTemplate(t.body, values) + (extra ? `\n\n${extra}` : ''),
+      settings: pickTemplateSettings(t.settings),
+      values,
+      missing
+    };
+  }
+
+  // A typed "/command args" (menu dismissed or pasted) picks the template; returns true if so.
+  function templateFromCommandLine(text) {
+    const m = String(text || '').match(/^\/([\w-]+)(?:[ \t]+([\s\S]*))?$/);
+    const t = m && templateByCommand(m[1]);
+    if (!t) return false;
+    $('prompt').value = '';
+    useTemplate(t, templateArgs(t, m[2]));
+    return true;
+  }
+
+  // ---- Template manager ----
+  function openTemplates() {
+    $('templatesModal').style.display = 'grid';
+    $('templateModel').innerHTML = `<option value="">(chat setting)</option>${$('modelSelect').innerHTML}`;
+    $('templateSearchMode').innerHTML = `<option value="">(chat setting)</option>${$('searchMode').innerHTML}`;
+    $('templateRecency').innerHTML = $('searchRecency').innerHTML.replace('(none)', '(chat setting)');
+    editTemplate(null);
+    renderTemplates();
+  }
+
+  function closeTemplates() {
+    $('templatesModal').style.display = 'none';
+  }
+
+  function renderTemplates() {
+    const list = $('templatesList');
+    list.innerHTML = '';
+    if (!state.templates.length) {
+      list.innerHTML = `<div class="threadItem__meta">No templates yet.</div>`;
+      return;
+    }
+
+    for (const t of state.templates) {
+      const item = document.createElement('div');
+      item.className = 'threadItem' + (t.id === editingTemplateId ? ' threadItem--active' : '');
+
+      const left = document.createElement('div');
+      left.style.flex = '1';
+      left.style.minWidth = '0';
+      left.style.cursor = 'pointer';
+      left.addEventListener('click', () => editTemplate(t));
+
+      const title = document.createElement('div');
+      title.className = 'threadItem__title';
+      title.textContent = templateUsage(t);
+
+      const meta = document.createElement('div');
+      meta.className = 'threadItem__meta';
+      meta.textContent = [t.description, templateSettingsLabel(t.settings)].filter(Boolean).join(' • ');
+
+      left.appendChild(title);
+      left.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'threadItem__actions';
+      const del = document.createElement('button');
+      del.className = 'btn';
+      del.textContent = '✕';
+      del.title = 'Delete template';
+      del.addEventListener('click', () => deleteTemplate(t));
+      actions.appendChild(del);
+
+      item.appendChild(left);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+  }
+
+  function editTemplate(t) {
+    editingTemplateId = t?.id || null;
+    $('templateCommand').value = t?.command || '';
+    $('templateDescription').value = t?.description || '';
+    $('templateBody').value = t?.body || '';
+    $('templateModel').value = t?.settings?.model || '';
+    $('templateSearchMode').value = t?.settings?.search_mode || '';
+    $('templateRecency').value = t?.settings?.search_recency_filter || '';
+    $('saveTemplateBtn').textContent = t ? 'Save template' : 'Add template';
+    renderTemplates();
+  }
+
+  function saveTemplateForm() {
+    const command = $('templateCommand').value.trim().replace(/^\//, '');
+    const body = $('templateBody').value.trim();
+    if (!/^[\w-]+$/.test(command)) return toast('Command: letters, digits, - and _ only');
+    if (!body) return toast('The template needs a prompt');
+    const clash = templateByCommand(command);
+    if (clash && clash.id !== editingTemplateId) return toast(`/${command} already exists`);
+
+    const fields = {
+      command,
+      description: $('templateDescription').value.trim(),
+      body,
+      settings: pickTemplateSettings({
+        model: $('templateModel').value,
+        search_mode: $('templateSearchMode').value,
+        search_recency_filter: $('templateRecency').value
+      })
+    };
+    const existing = state.templates.find((t) => t.id === editingTemplateId);
+    if (existing) Object.assign(existing, fields);
+    else state.templates.push({ id: uid(), ...fields });
+    saveTemplates();
+    toast(`Saved /${command}`);
+    editTemplate(null);
+  }
+
+  function deleteTemplate(t) {
+    if (!confirm(`Delete the template /${t.command}?`)) return;
+    state.templates = state.templates.filter((x) => x.id !== t.id);
+    if (composerTemplate?.template.id === t.id) clearTemplate();
+    saveTemplates();
+    editTemplate(editingTemplateId === t.id ? null : state.templates.find((x) => x.id === editingTemplateId));
+  }
+
+  function resetTemplates() {
+    if (!confirm('Restore the built-in templates? Your own templates are kept; edited built-ins are reset.')) return;
+    const own = state.templates.filter((t) => !DEFAULT_TEMPLATES.some((d) => d.id === t.id || d.command === t.command));
+    state.templates = [...structuredClone(DEFAULT_TEMPLATES), ...own];
+    saveTemplates();
+    editTemplate(null);
+  }
+
+  // -------------------- Sending --------------------
+  async function sendPrompt() {
+    const thread = activeThread();
+    if (!thread) return;
+
+    const promptEl = $('prompt');
+    if (!composerTemplate && templateFromCommandLine(promptEl.value) && composedTemplate('').missing.length) return;
+    const template = composedTemplate(promptEl.value);
+    if (template?.missing.length) {
+      [...$('templateBar').querySelectorAll('.templateBar__var')].find((input) => !input.value.trim())?.focus();
+      return toast(`Fill in ${template.missing.map((v) => `{{${v}}}`).join(', ')}`);
+    }
+    const overrides = template?.settings || {};
+
+    const models = compareMode ? state.settings.compare.map((c) => c.model) : [overrides.model || threadSettings(thread).model];
+    if (!models.every((m) => ensureCredentials(m))) return;
+
+    const text = template ? template.text : promptEl.value;
+    const hasText = Boolean(text && text.trim());
+    const hasAttachments = state.attachments.images.length || state.attachments.files.length;
+
+    if (!hasText && !hasAttachments) return;
+
+    const pending = [...state.attachments.images, ...state.attachments.files];
+    if (pending.some((a) => a.status === 'uploading' || a.status === 'extracting')) return toast('Wait for uploads to finish');
+    if (pending.some((a) => a.status === 'error')) return toast('Remove or retry the failed attachments');
+    const noPages = pending.find((a) => a.send?.mode === 'pages' && !parsePageSpec(a.send.pages, a.text.pages.length).length);
+    if (noPages) return toast(`Choose which ${noPages.text.unit}s of ${noPages.name} to send`);
+
+    // Abort any in-flight
+    if (abortController) {
+      try { abortController.abort(); } catch {}
+    }
+    // An unpromoted comparison is dropped along with its question.
+    if (compareRun) discardCompare();
+
+    const userMsg = { role: 'user', content: text };
+    if (pending.length) userMsg.attachments = await storeAttachments(thread, pending);
+
+    thread.messages.push(userMsg);
+
+    // Update title if first message
+    if (thread.title === 'New chat' && hasText) {
+      thread.title = text.trim().slice(0, 42) + (text.trim().length > 42 ? '…' : '');
+    }
+
+    promptEl.value = '';
+    clearAttachments();
+    if (template) {
+      rememberTemplateValues(template.values);
+      clearTemplate();
+    }
+
+    if (compareMode) return runCompare(thread, overrides);
+
+    const assistantMsg = newAssistantMessage(thread, overrides);
+    thread.messages.push(assistantMsg);
+    await generateReply(thread, assistantMsg);
+  }
+
+  function newAssistantMessage(thread, overrides = {}) {
+    const s = threadSettings(thread);
+    const msg = {
+      role: 'assistant',
+      content: '',
+      meta: {
+        model: overrides.model || s.model,
+        search_mode: overrides.search_mode || s.search_mode,
+        citations: [],
+        search_results: [],
+        usage: {},
+        reasoning_steps: [],
+        images: [],
+        videos: [],
+        related_questions: []
+      }
+    };
+    // Only kept when it differs from the chat (a template's), like the model above would be.
+    if (overrides.search_recency_filter) msg.meta.search_recency_filter = overrides.search_recency_filter;
+    // The schema the answer was asked to follow, so it still renders as a table after the chat's changes.
+    if (s.response_schema) msg.meta.response_schema = s.response_schema;
+    return msg;
+  }
+
+  // The model/search mode/recency (and library passages) an answer was (or is being) generated with.
+  function replyOverrides(msg) {
+    const o = {};
+    if (msg?.meta?.model) o.model = msg.meta.model;
+    if (msg?.meta?.search_mode) o.search_mode = msg.meta.search_mode;
+    if (msg?.meta?.search_recency_filter) o.search_recency_filter = msg.meta.search_recency_filter;
+    if (msg?.meta?.local_sources?.length) o.local_sources = msg.meta.local_sources;
+    return o;
+  }
+
+  // Fills `assistantMsg` (already the last message of the thread) from everything before it.
+  async function generateReply(thread, assistantMsg) {
+    const assistantIndex = thread.messages.indexOf(assistantMsg);
+
+    saveThreads();
+    render();
+
+    setStatus('streaming', 'Streaming…');
+    $('stopBtn').style.display = 'inline-flex';
+
+    const controller = new AbortController();
+    abortController = controller;
+
+    try {
+      if (threadSettings(thread).use_library) {
+        setStatus('streaming', 'Searching library…');
+        assistantMsg.meta.local_sources = await retrieveLocalSources(thread.messages.slice(0, assistantIndex), controller.signal);
+        setStatus('streaming', 'Streaming…');
+      }
+
+      // Deep research async mode (best effort)
+      if (assistantMsg.meta.model === 'sonar-deep-research' && state.settings.deep_research_async) {
+        await runDeepResearchAsync(thread, assistantIndex, controller.signal);
+      } else {
+        await runChatCompletion(thread, assistantIndex, controller.signal);
+      }
+
+      recordUsage(thread, assistantMsg);
+      setStatus('idle', 'Done');
+    } catch (err) {
+      if (err?.name === 'AbortError') {
+        // A submitted Deep Research job keeps running on the server; keep watching it quietly.
+        if (assistantMsg.meta.async_id && !assistantMsg.meta.async_done) {
+          assistantMsg.meta.async = `Running in background • id: ${assistantMsg.meta.async_id}`;
+          updateMessageElement(thread, assistantIndex);
+          watchJob(thread, assistantMsg, assistantMsg.meta.async_id);
+          setStatus('idle', 'Research continues in background');
+        } else {
+          cancelStream(assistantMsg);
+          setStatus('idle', 'Stopped');
+        }
+      } else {
+        console.error(err);
+        setStatus('error', err?.status === 429 ? err.message : 'Error');
+        // Show error in assistant message.
+        assistantMsg.content += `\n\n⚠️ ${String(err?.message || err)}`;
+        renderMessages();
+      }
+    } finally {
+      // A newer send may have replaced the controller already.
+      if (abortController === controller) {
+        $('stopBtn').style.display = 'none';
+        abortController = null;
+      }
+      saveThreads();
+    }
+  }
+
+  async function runChatCompletion(thread, assistantIndex, signal) {
+    // Build payload but exclude the assistant message we're about to fill
+    const threadForPayload = {
+      ...thread,
+      messages: thread.messages.slice(0, assistantIndex)
+    };
+    const { resp, payload } = await postPayload('/api/chat', threadForPayload, replyOverrides(thread.messages[assistantIndex]), null, signal);
+
+    if (!resp.ok) {
+      if (resp.status === 401 && !state.server.byok) openLoginModal();
+      const err = await responseError(resp, `${providerForModel(payload.model)?.label || 'Perplexity'} API error`);
+      console.error('API Error Response:', err.message);
+      throw err;
+    }
+
+    const assistantMsg = thread.messages[assistantIndex];
+
+    if (payload.stream) {
+      console.log('Starting SSE stream...');
+      // Remember where this answer can be resumed from (see followStream).
+      const streamId = resp.headers.get('x-stream-id');
+      if (streamId) {
+        assistantMsg.meta.stream_id = streamId;
+        assistantMsg.meta.stream_event = 0;
+        saveThreads();
+      }
+      await followStream(assistantMsg, resp, signal, () => refreshMessage(thread, assistantMsg));
+      console.log('Stream complete');
+    } else {
+      const data = await resp.json();
+      console.log('Received response:', data);
+      applyPerplexityFinal(assistantMsg, data);
+      updateMessageElement(thread, assistantIndex);
+    }
+  }
+
+  async function runDeepResearchAsync(thread, assistantIndex, signal) {
+    // Submit - build payload but exclude the assistant message we're about to fill
+    const threadForPayload = {
+      ...thread,
+      messages: thread.messages.slice(0, assistantIndex)
+    };
+    // Async endpoint expects { request: <chat completion payload> }
+    const { resp: submitResp } = await postPayload(
+      '/api/async/submit',
+      threadForPayload,
+      replyOverrides(thread.messages[assistantIndex]),
+      (payload) => ({ request: payload, threadId: thread.id, title: thread.title }),
+      signal
+    );
+
+    if (!submitResp.ok) {
+      throw await responseError(submitResp, 'Async submit error');
+    }
+
+    const job = await submitResp.json();
+    const id = job.id;
+
+    const assistantMsg = thread.messages[assistantIndex];
+    // The job id is what lets a later page load find this message again.
+    assistantMsg.meta.async_id = id;
+    assistantMsg.meta.async = `Request created: ${id}. Waiting for updates…`;
+    assistantMsg.content = assistantMsg.content || '⏳ Deep research is running. This can take a while.';
+    saveThreads();
+    updateMessageElement(thread, assistantIndex);
+    refreshJobs();
+
+    await waitForJob(thread, assistantMsg, id, signal);
+  }
+
+  // -------------------- Background research jobs --------------------
+  // The server polls upstream (with backoff) and pushes each status change over SSE.
+  async function waitForJob(thread, msg, id, signal) {
+    let job = null;
+    let failures = 0;
+
+    while (!['COMPLETED', 'FAILED'].includes(job?.status)) {
+      if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+
+      try {
+        const resp = await fetch(`/api/async/events/${encodeURIComponent(id)}`, {
+          method: 'GET',
+          headers: authHeaders(),
+          signal
+        });
+
+        if (!resp.ok) {
+          throw await responseError(resp, 'Async events error');
+        }
+
+        await consumeSSE(resp, (data) => {
+          job = data;
+          failures = 0;
+          msg.meta.async = `Status: ${data.status || 'UNKNOWN'} • id: ${id}`;
+          // Keep UI fresh
+          refreshMessage(thread, msg);
+        });
+      } catch (err) {
+        // HTTP errors are final; dropped connections (e.g. a server restart) are retried.
+        if (err?.name === 'AbortError' || err?.status || ++failures > 5) throw err;
+      }
+
+      if (!['COMPLETED', 'FAILED'].includes(job?.status)) await sleep(3000);
+    }
+
+    msg.meta.async_done = true;
+    refreshJobs();
+
+    if (job.status === 'FAILED') {
+      throw new Error(job.error_message || 'Deep research request failed');
+    }
+
+    // job.response should match chat completion payload.
+    applyPerplexityFinal(msg, job.response || {});
+    msg.meta.async = `Completed • id: ${id}`;
+    refreshMessage(thread, msg);
+  }
+
+  function refreshMessage(thread, msg) {
+    if (thread.id !== state.activeThreadId) return;
+    const idx = thread.messages.indexOf(msg);
+    if (idx >= 0) updateMessageElement(thread, idx);
+  }
+
+  function findAsyncMessage(jobId) {
+    for (const thread of state.threads) {
+      const msg = thread.messages.find((m) => m.meta?.async_id === jobId);
+      if (msg) return { thread, msg };
+    }
+    return null;
+  }
+
+  // Follows a job without holding the composer (after Stop, or after a reload).
+  function watchJob(thread, msg, id) {
+    if (jobWatchers.has(id)) return;
+    jobWatchers.add(id);
+    waitForJob(thread, msg, id, null)
+      .then(() => {
+        recordUsage(thread, msg);
+        toast('Deep research finished');
+      })
+      .catch((err) => {
+        msg.content += `\n\n⚠️ ${String(err?.message || err)}`;
+        refreshMessage(thread, msg);
+      })
+      .finally(() => {
+        jobWatchers.delete(id);
+        saveThreads();
+      });
+  }
+
+  async function refreshJobs() {
+    if (!hasCredentials()) return;
+    try {
+      const resp = await fetch('/api/jobs', { headers: authHeaders() });
+      if (!resp.ok) return;
+      state.jobs = (await resp.json()).jobs || [];
+    } catch {
+      return;
+    }
+    renderJobList();
+  }
+
+  // On load: fill in results that finished while the page was closed and keep watching the rest.
+  async function reattachJobs() {
+    await refreshJobs();
+    for (const job of state.jobs) {
+      const found = findAsyncMessage(job.id);
+      if (!found || found.msg.meta.async_done) continue;
+      watchJob(found.thread, found.msg, job.id);
+    }
+  }
+
+  async function openJob(job) {
+    let found = findAsyncMessage(job.id);
+    if (!found && job.status === 'COMPLETED') {
+      // The thread is gone (deleted, or started in another browser): put the result in a new one.
+      const resp = await fetch(`/api/jobs/${encodeURIComponent(job.id)}`, { headers: authHeaders() });
+      if (!resp.ok) return toast('Could not load research result');
+      const data = await resp.json();
+      const t = createThread();
+      const title = job.title || 'Deep research';
+      const msg = {
+        role: 'assistant',
+        content: '',
+        meta: { model: job.model, async_id: job.id, async_done: true, async: `Completed • id: ${job.id}` }
+      };
+      applyPerplexityFinal(msg, data.response || {});
+      t.title = title;
+      t.messages.push({ role: 'user', content: title }, msg);
+      state.threads.unshift(t);
+      saveThreads();
+      found = { thread: t, msg };
+    }
+    if (!found) return toast('Research thread not found');
+
+    setActiveThread(found.thread.id);
+    const idx = found.thread.messages.indexOf(found.msg);
+    document.getElementById(`msg-${found.thread.id}-${idx}`)?.scrollIntoView({ block: 'start' });
+  }
+
+  async function dismissJob(job) {
+    await fetch(`/api/jobs/${encodeURIComponent(job.id)}`, { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+    state.jobs = state.jobs.filter((j) => j.id !== job.id);
+    renderJobList();
+  }
+
+  function renderJobList() {
+    const list = $('jobList');
+    list.innerHTML = '';
+    $('jobSection').style.display = state.jobs.length ? '' : 'none';
+
+    for (const job of state.jobs) {
+      const done = job.status === 'COMPLETED' || job.status === 'FAILED';
+
+      const item = document.createElement('div');
+      item.className = 'threadItem';
+      item.addEventListener('click', () => openJob(job));
+
+      const left = document.createElement('div');
+      left.style.flex = '1';
+
+      const title = document.createElement('div');
+      title.className = 'threadItem__title';
+      title.textContent = job.title || job.id;
+
+      const meta = document.createElement('div');
+      meta.className = 'threadItem__meta';
+      const icon = job.status === 'COMPLETED' ? '✅' : job.status === 'FAILED' ? '⚠️' : '⏳';
+      meta.textContent = `${icon} ${job.status} • ${new Date(job.createdAt).toLocaleString()}`;
+
+      left.appendChild(title);
+      left.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'threadItem__actions';
+
+      const del = document.createElement('button');
+      del.className = 'btn';
+      del.textContent = '✕';
+      del.title = done ? 'Dismiss' : 'Stop tracking';
+      del.addEventListener('click', (e) => {
+        e.stopPropagation();
+        dismissJob(job);
+      });
+
+      actions.appendChild(del);
+      item.appendChild(left);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+  }
+
+  function applyPerplexityChunk(msg, chunk) {
+    // Streaming: chunks are chat.completion.chunk objects.
+    // Content arrives in choices[0].delta.content.
+    const delta = chunk?.choices?.[0]?.delta;
+    if (delta?.content) {
+      msg.content = String(msg.content || '') + String(delta.content);
+    }
+
+    // Final chunks contain metadata.
+    if (chunk.citations) msg.meta.citations = chunk.citations;
+    if (chunk.search_results) msg.meta.search_results = chunk.search_results;
+    if (chunk.usage) msg.meta.usage = chunk.usage;
+    if (chunk.reasoning_steps) msg.meta.reasoning_steps = chunk.reasoning_steps;
+
+    // Media (best-effort)
+    if (chunk.images) msg.meta.images = chunk.images;
+    if (chunk.videos) msg.meta.videos = chunk.videos;
+
+    // Related questions (best-effort)
+    if (chunk.related_questions) msg.meta.related_questions = chunk.related_questions;
+
+    // Some implementations may stuff these inside message/delta.
+    if (delta?.reasoning_steps) msg.meta.reasoning_steps = delta.reasoning_steps;
+  }
+
+  function applyPerplexityFinal(msg, data) {
+    const content = data?.choices?.[0]?.message?.content;
+    if (content != null) msg.content = String(content);
+    if (data?.citations) msg.meta.citations = data.citations;
+    if (data?.search_results) msg.meta.search_results = data.search_results;
+    if (data?.usage) msg.meta.usage = data.usage;
+    if (data?.reasoning_steps) msg.meta.reasoning_steps = data.reasoning_steps;
+    if (data?.images) msg.meta.images = data.images;
+    if (data?.videos) msg.meta.videos = data.videos;
+    if (data?.related_questions) msg.meta.related_questions = data.related_questions;
+  }
+
+  function updateMessageElement(thread, idx) {
+    const el = document.getElementById(`msg-${thread.id}-${idx}`);
+    if (!el) {
+      // If not found, re-render all.
+      renderMessages();
+      return;
+    }
 
-    if (!hasText && !hasAttachments) return;
+    const msg = thread.messages[idx];
+    const contentEl = el.querySelector('.message__content');
+    if (msg.role === 'assistant') {
+      contentEl.innerHTML = renderAssistantHTML(msg.content || '', msg.meta || {});
+      verifyCitations(contentEl, msg.meta || {});
 
-    // Abort any in-flight
-    if (abortController) {
-      try { abortController.abort(); } catch {}
-    }
+      // Update meta section by re-rendering for this message.
+      // Remove existing meta blocks and re-add.
+      const existingMeta = el.querySelector('.message__meta');
+      if (existingMeta) existingMeta.remove();
+      const newMeta = renderMetaBlocks(msg.meta || {});
+      if (newMeta) el.appendChild(newMeta);
 
-    const userMsg = buildUserMessage(text);
-    const userIndex = thread.messages.length;
+      // Highlight code and add copy buttons.
+      el.querySelectorAll('pre code').forEach((code) => {
+        try { hljs.highlightElement(code); } catch {}
+      });
+      el.querySelectorAll('pre').forEach((pre) => {
+        if (pre.querySelector('.copyBtn')) return;
+        const code = pre.querySelector('code');
+        if (!code) return;
+        pre.classList.add('codeBlock');
+        const btn = document.createElement('button');
+        btn.className = 'copyBtn';
+        btn.textContent = 'Copy code';
+        btn.addEventListener('click', () => {
+          navigator.clipboard.writeText(code.innerText).then(() => toast('Code copied'));
+        });
+        pre.appendChild(btn);
+      });
 
-    // Store attachments in memory for display/context (not persisted)
-    if (Array.isArray(userMsg.content)) {
-      thread.ephemeral.attachmentsByIndex[userIndex] = {
-        images: [...state.attachments.images],
-        files: [...state.attachments.files]
-      };
+      // Scroll to bottom
+      const container = $('messages');
+      container.scrollTop = container.scrollHeight;
     }
+  }
 
-    thread.messages.push(userMsg);
+  // -------------------- Thread sources --------------------
+  // Every URL the answers of the active chat cited or searched, deduped and grouped by domain,
+  // with how often the answers cite it ([n] in the text) and how recent it is. A domain can be
+  // added to this chat's search_domain_filter (as a thread override) from here.
+  const DOMAIN_FILTER_MAX = 20; // Perplexity's limit for search_domain_filter
+
+  function aggregateSources(thread) {
+    const byUrl = new Map();
+    const touch = (url, r, idx) => {
+      if (!url) return null;
+      const s = byUrl.get(url) || { url, domain: hostnameOf(url), title: '', snippet: '', date: '', cites: 0, answers: new Set() };
+      s.title = s.title || r?.title || '';
+      s.snippet = s.snippet || r?.snippet || '';
+      const date = r?.date || r?.last_updated || '';
+      if (date && (!s.date || Date.parse(date) > Date.parse(s.date))) s.date = date;
+      s.answers.add(idx);
+      byUrl.set(url, s);
+      return s;
+    };
 
-    const assistantMsg = {
-      role: 'assistant',
-      content: '',
-      meta: {
-        citations: [],
-        search_results: [],
-        usage: {},
-        reasoning_steps: [],
-        images: [],
-        videos: [],
-        related_questions: []
+    thread.messages.forEach((m, idx) => {
+      if (m.role !== 'assistant' || !m.meta) return;
+      const citations = m.meta.citations || [];
+      for (const url of citations) touch(url, resultFor(m.meta, url), idx);
+      for (const r of m.meta.search_results || []) touch(r.url, r, idx);
+      for (const match of String(m.content || '').matchAll(/\[(\d{1,3})\]/g)) {
+        const s = byUrl.get(citations[Number(match[1]) - 1]);
+        if (s) s.cites++;
       }
-    };
-    const assistantIndex = thread.messages.length;
-    thread.messages.push(assistantMsg);
+    });
 
-    // Update title if first message
-    if (thread.title === 'New chat' && hasText) {
-      thread.title = text.trim().slice(0, 42) + (text.trim().length > 42 ? '…' : '');
+    const byDomain = new Map();
+    for (const s of byUrl.values()) {
+      const d = byDomain.get(s.domain) || { domain: s.domain, sources: [], cites: 0, answers: new Set(), date: '' };
+      d.sources.push(s);
+      d.cites += s.cites;
+      for (const a of s.answers) d.answers.add(a);
+      if (s.date && (!d.date || Date.parse(s.date) > Date.parse(d.date))) d.date = s.date;
+      byDomain.set(s.domain, d);
     }
+    return [...byDomain.values()];
+  }
 
-    promptEl.value = '';
-    clearAttachments();
+  // "2024-05-01 • 5 mo ago"
+  function recencyLabel(date) {
+    const ms = Date.parse(date);
+    if (!Number.isFinite(ms)) return date || '';
+    const days = Math.floor((Date.now() - ms) / 86400000);
+    const age = days < 1 ? 'today' : days < 31 ? `${days} d ago` : days < 365 ? `${Math.floor(days / 30)} mo ago` : `${Math.floor(days / 365)} y ago`;
+    return `${isoDate(dateParts(date))} • ${age}`;
+  }
 
+  function sortDomains(domains, by) {
+    const time = (d) => Date.parse(d.date) || 0;
+    if (by === 'recent') return domains.sort((a, b) => time(b) - time(a) || b.cites - a.cites);
+    if (by === 'domain') return domains.sort((a, b) => a.domain.localeCompare(b.domain));
+    return domains.sort((a, b) => b.cites - a.cites || b.sources.length - a.sources.length || a.domain.localeCompare(b.domain));
+  }
+
+  // 'include' | 'exclude' | null for `domain` in the chat's current filter.
+  function domainFilterState(filter, domain) {
+    if (filter.includes(domain)) return 'include';
+    if (filter.includes(`-${domain}`)) return 'exclude';
+    return null;
+  }
+
+  // Includes or excludes `domain` in this chat's search_domain_filter (again = remove it).
+  function toggleDomainFilter(thread, domain, mode) {
+    const s = threadSettings(thread);
+    const filter = s.search_domain_filter || [];
+    const current = domainFilterState(filter, domain);
+    let next = filter.filter((f) => f !== domain && f !== `-${domain}`);
+
+    if (current !== mode) {
+      // The API takes either an allowlist or a denylist, not both.
+      const other = next.filter((f) => (mode === 'include' ? f.startsWith('-') : !f.startsWith('-')));
+      if (other.length) {
+        const kind = mode === 'include' ? 'excluded' : 'included';
+        if (!confirm(`The domain filter can either include or exclude domains, not both. Remove the ${other.length} ${kind} domain(s)?`)) return;
+        next = next.filter((f) => !other.includes(f));
+      }
+      if (next.length >= DOMAIN_FILTER_MAX) return toast(`The domain filter holds at most ${DOMAIN_FILTER_MAX} domains`);
+      next.push(mode === 'include' ? domain : `-${domain}`);
+    }
+
+    thread.overrides = diffOverrides(thread, { ...s, search_domain_filter: next });
     saveThreads();
-    render();
+    renderSpacePicker();
+    renderSourcesView();
+    toast(current === mode ? `${domain} removed from the domain filter` : `${domain} ${mode === 'include' ? 'included' : 'excluded'} in this chat`);
+  }
 
-    setStatus('streaming', 'Streaming…');
-    $('stopBtn').style.display = 'inline-flex';
+  function openSourcesView() {
+    if (!activeThread()) return;
+    renderSourcesView();
+    $('sourcesDrawer').style.display = 'grid';
+  }
 
-    abortController = new AbortController();
+  function closeSourcesView() {
+    $('sourcesDrawer').style.display = 'none';
+  }
 
-    try {
-      // Deep research async mode (best effort)
-      if (state.settings.model === 'sonar-deep-research' && state.settings.deep_research_async) {
-        await runDeepResearchAsync(thread, assistantIndex, abortController.signal);
-      } else {
-        await runChatCompletion(thread, assistantIndex, abortController.signal);
+  function renderSourcesView() {
+    const thread = activeThread();
+    if (!thread) return;
+    const domains = sortDomains(aggregateSources(thread), $('sourcesSort').value);
+    const filter = threadSettings(thread).search_domain_filter || [];
+    const urls = domains.reduce((n, d) => n + d.sources.length, 0);
+    const cites = domains.reduce((n, d) => n + d.cites, 0);
+
+    $('sourcesSummary').textContent = [
+      `${urls} source(s) from ${domains.length} domain(s)`,
+      `${cites} citation(s) in the answers`,
+      filter.length ? `domain filter: ${filter.join(', ')}` : 'no domain filter'
+    ].join(' • ');
+
+    const list = $('sourcesList');
+    list.innerHTML = '';
+    if (!domains.length) {
+      list.innerHTML = `<div class="threadItem__meta">No sources in this chat yet.</div>`;
+      return;
+    }
+
+    for (const d of domains) {
+      const filtered = domainFilterState(filter, d.domain);
+      const group = document.createElement('div');
+      group.className = 'sourceDomain';
+      group.innerHTML = `
+        <div class="sourceDomain__head">
+          <div class="sourceDomain__name">
+            <div class="sourceItem__title">${escapeHtml(d.domain)}${filtered ? ` <span class="chip">${filtered === 'include' ? 'included' : 'excluded'}</span>` : ''}</div>
+            <div class="sourceItem__meta">${escapeHtml([
+              `${d.sources.length} URL(s)`,
+              `cited ${d.cites}×`,
+              `in ${d.answers.size} answer(s)`,
+              d.date ? `newest ${recencyLabel(d.date)}` : null
+            ].filter(Boolean).join(' • '))}</div>
+          </div>
+          <div class="sourceDomain__actions">
+            <button class="btn btn--small${filtered === 'include' ? ' btn--active' : ''}" data-mode="include" title="Only search this domain (again to remove)">+ Include</button>
+            <button class="btn btn--small${filtered === 'exclude' ? ' btn--active' : ''}" data-mode="exclude" title="Never search this domain (again to remove)">− Exclude</button>
+          </div>
+        </div>
+        <div class="sources"></div>
+      `;
+      group.querySelectorAll('[data-mode]').forEach((btn) => btn.addEventListener('click', () => toggleDomainFilter(thread, d.domain, btn.dataset.mode)));
+
+      const sources = group.querySelector('.sources');
+      for (const src of d.sources.sort((a, b) => b.cites - a.cites || (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))) {
+        const item = document.createElement('div');
+        item.className = 'sourceItem';
+        item.innerHTML = `
+          <div class="sourceItem__title">${safeUrl(src.url) ? `<a href="${escapeHtmlAttr(safeUrl(src.url))}" target="_blank" rel="noreferrer">${escapeHtml(src.title || src.url)}</a>` : escapeHtml(src.title || src.url)}</div>
+          ${src.snippet ? `<div class="sourceItem__snippet">${escapeHtml(src.snippet)}</div>` : ''}
+          <div class="sourceItem__meta">${escapeHtml([
+            src.cites ? `cited ${src.cites}×` : 'searched, not cited',
+            `in ${src.answers.size} answer(s)`,
+            src.date ? recencyLabel(src.date) : 'no date'
+          ].join(' • '))}</div>
+        `;
+        sources.appendChild(item);
       }
+      list.appendChild(group);
+    }
+  }
 
-      setStatus('idle', 'Done');
-    } catch (err) {
-      if (err?.name === 'AbortError') {
-        setStatus('idle', 'Stopped');
-      } else {
-        console.error(err);
-        setStatus('error', 'Error');
-        // Show error in assistant message.
-        assistantMsg.content += `\n\n⚠️ ${String(err?.message || err)}`;
-        renderMessages();
+  // -------------------- Usage dashboard --------------------
+  const USAGE_LIMIT = 5000;
+
+  function loadUsage() {
+    const parsed = safeJsonParse(localStorage.getItem(LS.usage) || '');
+    if (Array.isArray(parsed)) {
+      state.usage = parsed;
+      return;
+    }
+
+    // First run with the ledger: backfill from answers already in the threads.
+    state.usage = [];
+    for (const t of state.threads) {
+      for (const m of t.messages) {
+        if (m.role === 'assistant') recordUsage(t, m, { ts: t.createdAt, save: false });
       }
-    } finally {
-      $('stopBtn').style.display = 'none';
-      abortController = null;
-      saveThreads();
     }
+    saveUsage();
   }
 
-  async function runChatCompletion(thread, assistantIndex, signal) {
-    // Build payload but exclude the assistant message we're about to fill
-    const threadForPayload = {
-      ...thread,
-      messages: thread.messages.slice(0, assistantIndex)
-    };
-    const payload = buildPayload(threadForPayload);
-
-    const resp = await fetch('/api/chat', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-pplx-key': state.apiKey
-      },
-      body: JSON.stringify(payload),
-      signal
+  function saveUsage() {
+    if (state.usage.length > USAGE_LIMIT) state.usage = state.usage.slice(-USAGE_LIMIT);
+    localStorage.setItem(LS.usage, JSON.stringify(state.usage));
+  }
+
+  function recordUsage(thread, msg, { ts = nowISO(), save = true } = {}) {
+    const u = msg.meta?.usage;
+    if (!u || !Object.keys(u).length || msg.meta.usage_recorded) return;
+
+    const prompt = Number(u.prompt_tokens || 0);
+    const completion = Number(u.completion_tokens || 0);
+    state.usage.push({
+      ts,
+      threadId: thread.id,
+      threadTitle: thread.title || 'Chat',
+      model: msg.meta.model || 'unknown',
+      search_mode: msg.meta.search_mode || 'unknown',
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: Number(u.total_tokens ?? prompt + completion),
+      cost: Number(u.cost?.total_cost || 0)
     });
+    msg.meta.usage_recorded = true;
+    if (save) saveUsage();
+  }
 
-    if (!resp.ok) {
-      const text = await resp.text();
-      console.error('API Error Response:', text);
-      throw new Error(`Perplexity API error (${resp.status}): ${text}`);
+  function usageInRange() {
+    const days = Number($('usageRange').value || 0);
+    if (!days) return state.usage;
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    return state.usage.filter((r) => r.ts >= since);
+  }
+
+  function sumUsage(records, keyFn) {
+    const groups = new Map();
+    for (const r of records) {
+      const key = keyFn(r);
+      const g = groups.get(key) || { key, requests: 0, tokens: 0, cost: 0 };
+      g.requests += 1;
+      g.tokens += r.total_tokens;
+      g.cost += r.cost;
+      groups.set(key, g);
     }
+    return [...groups.values()];
+  }
 
-    const assistantMsg = thread.messages[assistantIndex];
+  function formatCost(n) {
+    return `$${n.toFixed(n && n < 0.01 ? 4 : 2)}`;
+  }
 
-    if (payload.stream) {
-      console.log('Starting SSE stream...');
-      await consumeSSE(resp, (chunk) => {
-        console.log('Received chunk:', chunk);
-        applyPerplexityChunk(assistantMsg, chunk);
-        // Keep the last assistant message updated.
-        updateMessageElement(thread, assistantIndex);
+  function renderUsageBars(title, groups, { sortByKey = false } = {}) {
+    const rows = sortByKey ? groups.sort((a, b) => a.key.localeCompare(b.key)) : groups.sort((a, b) => b.cost - a.cost || b.tokens - a.tokens);
+    const max = Math.max(...rows.map((g) => g.cost), 0);
+    const maxTokens = Math.max(...rows.map((g) => g.tokens), 1);
+
+    const block = document.createElement('div');
+    block.className = 'metaBlock';
+    block.innerHTML = `<div class="metaBlock__title">${escapeHtml(title)}</div>`;
+    if (!rows.length) {
+      block.insertAdjacentHTML('beforeend', '<div class="field__help">No usage recorded.</div>');
+      return block;
+    }
+    for (const g of rows) {
+      // Bars show cost when known, tokens otherwise (e.g. local models).
+      const pct = max > 0 ? (g.cost / max) * 100 : (g.tokens / maxTokens) * 100;
+      const row = document.createElement('div');
+      row.className = 'usageRow';
+      row.innerHTML = `
+        <div class="usageRow__label" title="${escapeHtmlAttr(g.key)}">${escapeHtml(g.key)}</div>
+        <div class="usageRow__bar"><span style="width:${pct.toFixed(1)}%"></span></div>
+        <div class="usageRow__value">${formatCost(g.cost)} • ${g.tokens.toLocaleString()} tok • ${g.requests} req</div>
+      `;
+      block.appendChild(row);
+    }
+    return block;
+  }
+
+  function renderUsageDashboard() {
+    const records = usageInRange();
+    const total = sumUsage(records, () => 'all')[0] || { requests: 0, tokens: 0, cost: 0 };
+
+    $('usageTotals').innerHTML = `
+      <div class="usageCard"><div class="usageCard__value">${formatCost(total.cost)}</div><div class="usageCard__label">Cost</div></div>
+      <div class="usageCard"><div class="usageCard__value">${total.tokens.toLocaleString()}</div><div class="usageCard__label">Tokens</div></div>
+      <div class="usageCard"><div class="usageCard__value">${total.requests}</div><div class="usageCard__label">Requests</div></div>
+    `;
+
+    const charts = $('usageCharts');
+    charts.innerHTML = '';
+    charts.appendChild(renderUsageBars('By model', sumUsage(records, (r) => r.model)));
+    charts.appendChild(renderUsageBars('By search mode', sumUsage(records, (r) => r.search_mode)));
+    charts.appendChild(renderUsageBars('By day', sumUsage(records, (r) => r.ts.slice(0, 10)), { sortByKey: true }));
+
+    const titles = new Map(state.threads.map((t) => [t.id, t.title]));
+    const byThread = sumUsage(records, (r) => r.threadId).map((g) => {
+      const rec = records.find((r) => r.threadId === g.key);
+      return { ...g, key: titles.get(g.key) || `${rec?.threadTitle || 'Chat'} (deleted)` };
+    });
+    charts.appendChild(renderUsageBars('By thread', byThread.sort((a, b) => b.cost - a.cost).slice(0, 15)));
+  }
+
+  function openUsage() {
+    renderUsageDashboard();
+    $('usageDrawer').style.display = 'grid';
+  }
+
+  function closeUsage() {
+    $('usageDrawer').style.display = 'none';
+  }
+
+  function csvCell(v) {
+    const str = String(v ?? '');
+    return /[",\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+  }
+
+  function exportUsageCsv() {
+    const cols = ['ts', 'threadId', 'threadTitle', 'model', 'search_mode', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'cost'];
+    const lines = [cols.join(',')];
+    for (const r of usageInRange()) lines.push(cols.map((c) => csvCell(r[c])).join(','));
+    downloadFile(`usage-${new Date().toISOString().slice(0, 10)}.csv`, lines.join('\n'), 'text/csv;charset=utf-8');
+  }
+
+  function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // -------------------- Export --------------------
+  // Markdown / HTML / print view cover the selected branch; JSON is the whole thread
+  // (branches included) and is what "Import" reads back. BibTeX and CSL-JSON list every
+  // source the chat cited or searched, deduplicated by URL.
+  const EXPORT_FORMAT = 'pplx-chat-export';
+
+  const EXPORT_CSS = `
+    body { font: 15px/1.55 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #111827; background: #fff; max-width: 860px; margin: 32px auto; padding: 0 20px; }
+    header { border-bottom: 2px solid #e5e7eb; margin-bottom: 24px; }
+    header h1 { margin: 0 0 4px 0; font-size: 24px; }
+    header p { margin: 0 0 12px 0; color: #6b7280; font-size: 13px; }
+    .msg { margin: 0 0 24px 0; page-break-inside: avoid; }
+    .msg__role { font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em; color: #6b7280; margin-bottom: 6px; }
+    .msg--user .msg__body { background: #eef2ff; border-radius: 8px; padding: 10px 14px; white-space: pre-wrap; }
+    .msg__body pre { background: #f3f4f6; padding: 10px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+    .msg__body code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 13px; }
+    .msg__body table { border-collapse: collapse; } .msg__body td, .msg__body th { border: 1px solid #d1d5db; padding: 4px 8px; }
+    .meta { margin-top: 10px; font-size: 13px; }
+    .meta h3 { font-size: 13px; margin: 12px 0 4px 0; color: #374151; }
+    .meta ol, .meta ul { margin: 0; padding-left: 22px; }
+    .meta li { margin-bottom: 4px; overflow-wrap: anywhere; }
+    .meta .snippet { color: #4b5563; } .meta .date, .meta .usage { color: #6b7280; }
+    .media { display: flex; flex-wrap: wrap; gap: 8px; } .media img { max-height: 120px; border-radius: 6px; }
+    a { color: #1d4ed8; }
+    @page { margin: 18mm; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      a { color: inherit; }
+      .meta a[href^="http"]::after { content: " <" attr(href) ">"; font-size: 11px; color: #6b7280; overflow-wrap: anywhere; }
+    }
+  `;
+
+  function exportFileName(t, ext) {
+    return `${(t.title || 'chat').replace(/[^a-z0-9\-_]+/gi, '_').slice(0, 48)}.${ext}`;
+  }
+
+  function usageLine(meta) {
+    const u = meta.usage || {};
+    const parts = [
+      meta.model ? `${meta.model}${meta.search_mode ? ` (${meta.search_mode})` : ''}` : null,
+      u.total_tokens != null ? `${u.total_tokens} tokens` : null,
+      u.cost?.total_cost != null ? `$${u.cost.total_cost}` : null
+    ].filter(Boolean);
+    return parts.join(' • ');
+  }
+
+  // Search result for a cited URL, when the answer came with one (for titles/dates).
+  function resultFor(meta, url) {
+    return (meta.search_results || []).find((r) => r.url === url) || null;
+  }
+
+  function exportMarkdown(t) {
+    const lines = [];
+    lines.push(`# ${t.title || 'Chat'}`);
+    lines.push('');
+    lines.push(`Exported: ${new Date().toISOString()}`);
+    lines.push('');
+
+    t.messages.forEach((m) => {
+      lines.push(`## ${m.role === 'user' ? 'User' : 'Assistant'}`);
+      lines.push('');
+      lines.push(messageText(m));
+      lines.push('');
+
+      const meta = m.role === 'assistant' ? m.meta : null;
+      if (!meta) return;
+
+      if (meta.citations?.length) {
+        lines.push('### Citations');
+        meta.citations.forEach((url, i) => {
+          const r = resultFor(meta, url);
+          lines.push(r?.title ? `${i + 1}. [${r.title}](${url})${r.date ? ` (${r.date})` : ''}` : `${i + 1}. <${url}>`);
+        });
+        lines.push('');
+      }
+      if (meta.search_results?.length) {
+        lines.push('### Search results');
+        meta.search_results.forEach((r) => {
+          const date = r.date || r.last_updated;
+          lines.push(`- [${r.title || r.url}](${r.url})${date ? ` — ${date}` : ''}`);
+          if (r.snippet) lines.push(`  > ${String(r.snippet).replace(/\s+/g, ' ')}`);
+        });
+        lines.push('');
+      }
+      if (meta.reasoning_steps?.length) {
+        lines.push('### Research steps');
+        meta.reasoning_steps.forEach((s) => lines.push(`- **${s.type || 'step'}**${s.thought ? `: ${String(s.thought).replace(/\s+/g, ' ')}` : ''}`));
+        lines.push('');
+      }
+      const images = (meta.images || []).map(imageInfo).filter((x) => x.url);
+      if (images.length) {
+        lines.push('### Images');
+        images.forEach((img) => lines.push(`- ![${img.caption}](${img.url})`));
+        lines.push('');
+      }
+      const videos = (meta.videos || []).map(videoInfo).filter((x) => x.url);
+      if (videos.length) {
+        lines.push('### Videos');
+        videos.forEach((v) => lines.push(`- [${v.caption || v.url}](${v.url})`));
+        lines.push('');
+      }
+      const usage = usageLine(meta);
+      if (usage) {
+        lines.push(`_${usage}_`);
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  function exportMetaHTML(meta) {
+    const out = [];
+    // The print view is a same-origin window, so non-http(s) URLs stay plain text.
+    const link = (url, text) => (safeUrl(url) ? `<a href="${escapeHtmlAttr(safeUrl(url))}">${escapeHtml(text || url)}</a>` : escapeHtml(text || url));
+
+    if (meta.citations?.length) {
+      const items = meta.citations.map((url) => {
+        const r = resultFor(meta, url);
+        return `<li>${link(url, r?.title)}${r?.date ? ` <span class="date">(${escapeHtml(r.date)})</span>` : ''}</li>`;
       });
-      console.log('Stream complete');
-    } else {
-      const data = await resp.json();
-      console.log('Received response:', data);
-      applyPerplexityFinal(assistantMsg, data);
-      updateMessageElement(thread, assistantIndex);
+      out.push(`<h3>Citations</h3><ol>${items.join('')}</ol>`);
+    }
+    const cited = new Set(meta.citations || []);
+    const uncited = (meta.search_results || []).filter((r) => !cited.has(r.url));
+    if (uncited.length) {
+      const items = uncited.map((r) => {
+        const date = r.date || r.last_updated;
+        return `<li>${link(r.url, r.title)}${date ? ` <span class="date">(${escapeHtml(date)})</span>` : ''}${r.snippet ? `<div class="snippet">${escapeHtml(r.snippet)}</div>` : ''}</li>`;
+      });
+      out.push(`<h3>Other search results</h3><ul>${items.join('')}</ul>`);
+    }
+    if (meta.reasoning_steps?.length) {
+      const items = meta.reasoning_steps.map((s) => `<li><strong>${escapeHtml(s.type || 'step')}</strong>${s.thought ? `: ${escapeHtml(s.thought)}` : ''}</li>`);
+      out.push(`<h3>Research steps</h3><ul>${items.join('')}</ul>`);
     }
+    const images = (meta.images || []).map(imageInfo).filter((x) => safeUrl(x.url));
+    if (images.length) {
+      out.push(`<h3>Images</h3><div class="media">${images.map((img) => `<a href="${escapeHtmlAttr(safeUrl(img.url))}"><img src="${escapeHtmlAttr(safeUrl(img.url))}" alt="${escapeHtmlAttr(img.caption)}" /></a>`).join('')}</div>`);
+    }
+    const videos = (meta.videos || []).map(videoInfo).filter((x) => x.url);
+    if (videos.length) {
+      out.push(`<h3>Videos</h3><ul>${videos.map((v) => `<li>${link(v.url, v.caption)}</li>`).join('')}</ul>`);
+    }
+    const usage = usageLine(meta);
+    if (usage) out.push(`<div class="usage">${escapeHtml(usage)}</div>`);
+
+    return out.length ? `<div class="meta">${out.join('')}</div>` : '';
+  }
+
+  // A standalone document: rendered markdown, sources under each answer, styles inlined.
+  function exportHTML(t) {
+    const body = t.messages
+      .map((m) => {
+        if (m.role === 'user') {
+          return `<section class="msg msg--user"><div class="msg__role">User</div><div class="msg__body">${escapeHtml(messageText(m))}</div></section>`;
+        }
+        const meta = m.meta || {};
+        return `<section class="msg msg--assistant"><div class="msg__role">Assistant</div><div class="msg__body">${renderAssistantHTML(m.content || '', meta)}</div>${exportMetaHTML(meta)}</section>`;
+      })
+      .join('\n');
+
+    const title = escapeHtml(t.title || 'Chat');
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${title}</title>
+<style>${EXPORT_CSS}</style>
+</head>
+<body>
+<header><h1>${title}</h1><p>Exported ${escapeHtml(new Date().toLocaleString())} • ${t.messages.length} messages</p></header>
+${body}
+</body>
+</html>`;
+  }
+
+  // Opens the HTML export in a new window and brings up the print dialog ("Save as PDF").
+  function openPrintView(t) {
+    const w = window.open('', '_blank');
+    if (!w) return toast('Allow pop-ups to open the print view');
+    w.document.open();
+    w.document.write(exportHTML(t));
+    w.document.close();
+    w.addEventListener('load', () => {
+      w.focus();
+      w.print();
+    });
+  }
+
+  function exportJSON(t) {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: 1, exportedAt: nowISO(), thread: serializeThread(t) }, null, 2);
+  }
+
+  // ---- Bibliography ----
+  // Every URL the chat cited or got as a search result, first-seen order, richest metadata wins.
+  function collectSources(t) {
+    const byUrl = new Map();
+    const add = (url, r, cited) => {
+      if (!url) return;
+      const s = byUrl.get(url) || { url, title: '', date: '', snippet: '', cited: false };
+      s.title = s.title || r?.title || '';
+      s.date = s.date || r?.date || r?.last_updated || '';
+      s.snippet = s.snippet || r?.snippet || '';
+      s.cited = s.cited || cited;
+      byUrl.set(url, s);
+    };
+    for (const m of t.messages) {
+      if (m.role !== 'assistant' || !m.meta) continue;
+      for (const url of m.meta.citations || []) add(url, resultFor(m.meta, url), true);
+      for (const r of m.meta.search_results || []) add(r.url, r, false);
+    }
+    return [...byUrl.values()];
+  }
+
+  // [year, month, day] (month/day optional) from "2024-05-01", "2024-05" or anything Date.parse reads.
+  function dateParts(text) {
+    const s = String(text || '').trim();
+    const iso = s.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+    if (iso) return [iso[1], iso[2], iso[3]].filter(Boolean).map(Number);
+    const ms = Date.parse(s);
+    if (!Number.isFinite(ms)) return null;
+    const d = new Date(ms);
+    return [d.getFullYear(), d.getMonth() + 1, d.getDate()];
+  }
+
+  function isoDate(parts) {
+    return parts.map((n, i) => (i ? String(n).padStart(2, '0') : String(n))).join('-');
+  }
+
+  function bibEscape(s) {
+    return String(s || '')
+      .replace(/\\/g, '\\textbackslash{}')
+      .replace(/([{}&%$#_])/g, '\\$1')
+      .replace(/~/g, '\\textasciitilde{}')
+      .replace(/\^/g, '\\textasciicircum{}');
+  }
+
+  // Braces, backslash, ~ and ^ are percent-encoded first (the same URL), so only the
+  // backslash escapes bibEscape adds for & % $ # _ remain, which \url and biblatex accept.
+  function bibUrl(url) {
+    return bibEscape(String(url || '').replace(/[{}\\~^\s]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')));
+  }
+
+  function exportBibTeX(t) {
+    const today = isoDate(dateParts(nowISO()));
+    const keys = new Set();
+    const entries = collectSources(t).map((s) => {
+      const site = hostnameOf(s.url);
+      const parts = dateParts(s.date);
+      const base = (site.split('.').slice(-2, -1)[0] || 'source').replace(/[^a-z0-9]/gi, '').toLowerCase() + (parts ? parts[0] : '');
+      let key = base;
+      for (let i = 0; keys.has(key); i++) key = base + String.fromCharCode(97 + (i % 26)) + (i >= 26 ? Math.floor(i / 26) : '');
+      keys.add(key);
+
+      const fields = [
+        ['title', `{${bibEscape(s.title || site || s.url)}}`],
+        ['url', bibUrl(s.url)],
+        parts ? ['date', isoDate(parts)] : null,
+        parts ? ['year', String(parts[0])] : null,
+        ['urldate', today],
+        site ? ['organization', bibEscape(site)] : null,
+        ['howpublished', `\\url{${bibUrl(s.url)}}`],
+        ['note', `Accessed ${today}`]
+      ].filter(Boolean);
+      return `@online{${key},\n${fields.map(([k, v]) => `  ${k} = {${v}}`).join(',\n')}\n}`;
+    });
+    return entries.join('\n\n') + '\n';
+  }
+
+  function exportCSL(t) {
+    const today = dateParts(nowISO());
+    const items = collectSources(t).map((s, i) => {
+      const parts = dateParts(s.date);
+      const item = {
+        id: `source-${i + 1}`,
+        type: 'webpage',
+        title: s.title || s.url,
+        URL: s.url,
+        'container-title': hostnameOf(s.url),
+        accessed: { 'date-parts': [today] }
+      };
+      if (parts) item.issued = { 'date-parts': [parts] };
+      if (s.snippet) item.abstract = s.snippet;
+      return item;
+    });
+    return JSON.stringify(items, null, 2);
+  }
+
+  function openExportModal() {
+    const t = activeThread();
+    if (!t || !t.messages.length) return toast('Nothing to export yet');
+    const sources = collectSources(t);
+    $('exportSummary').textContent = `${t.messages.length} messages • ${sources.length} sources (${sources.filter((s) => s.cited).length} cited)`;
+    $('exportModal').style.display = 'grid';
+  }
+
+  function closeExportModal() {
+    $('exportModal').style.display = 'none';
+  }
+
+  function exportActiveChat(format) {
+    const t = activeThread();
+    if (!t) return;
+
+    if (format === 'print') return openPrintView(t);
+    if (format === 'html') return downloadFile(exportFileName(t, 'html'), exportHTML(t), 'text/html;charset=utf-8');
+    if (format === 'json') return downloadFile(exportFileName(t, 'json'), exportJSON(t), 'application/json');
+    if ((format === 'bibtex' || format === 'csl') && !collectSources(t).length) return toast('No sources in this chat');
+    if (format === 'bibtex') return downloadFile(exportFileName(t, 'bib'), exportBibTeX(t), 'application/x-bibtex;charset=utf-8');
+    if (format === 'csl') return downloadFile(exportFileName(t, 'csl.json'), exportCSL(t), 'application/vnd.citationstyles.csl+json');
+    downloadFile(exportFileName(t, 'md'), exportMarkdown(t), 'text/markdown;charset=utf-8');
+  }
+
+  // -------------------- Import --------------------
+  // Reads back this app's JSON and Markdown exports, OpenAI-style chat JSON ({ messages },
+  // chat completion responses) and ChatGPT's conversations.json. Anything that has no place
+  // in a thread (system/tool messages, non-text parts, unknown sections) is listed in the report.
+  const IMPORT_META_KEYS = ['model', 'search_mode', 'citations', 'search_results', 'reasoning_steps', 'images', 'videos', 'related_questions', 'usage'];
+
+  // Text of an OpenAI-style content value; non-text parts are counted into `skipped`.
+  function importContent(content, skipped) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+      const texts = [];
+      for (const p of content) {
+        if (typeof p === 'string') texts.push(p);
+        else if (p?.type === 'text' || p?.type === 'input_text' || p?.type === 'output_text') texts.push(String(p.text || ''));
+        else skipped.push(`${p?.type || 'unknown'} content part`);
+      }
+      return texts.join('\n');
+    }
+    if (content?.parts) return importContent(content.parts, skipped); // ChatGPT export
+    if (content == null) return '';
+    skipped.push('non-text message content');
+    return '';
+  }
+
+  function importMeta(meta) {
+    const out = {};
+    for (const k of IMPORT_META_KEYS) if (meta?.[k] !== undefined) out[k] = meta[k];
+    return out;
+  }
+
+  // One message; returns null (and notes why) for roles a thread can't hold.
+  function importMessage(m, skipped) {
+    const role = m?.role || m?.author?.role;
+    if (role !== 'user' && role !== 'assistant') {
+      skipped.push(`${role || 'unknown'} message`);
+      return null;
+    }
+    const content = importContent(m.content, skipped);
+    if (role === 'user') return { role, content };
+    const meta = importMeta(m.meta);
+    // Perplexity puts citations/search results next to the message rather than in meta.
+    for (const k of ['citations', 'search_results', 'images', 'videos', 'related_questions']) {
+      if (Array.isArray(m[k]) && !meta[k]) meta[k] = m[k];
+    }
+    return { role, content, meta };
+  }
+
+  // This app's own messages also carry branches and attachment refs. Every stored branch tail
+  // goes through importMessage as well; tails that are not (non-empty) arrays are dropped and
+  // `variant` is re-pointed at the slot of the branch being shown (the null entry).
+  function importOwnMessage(m, skipped) {
+    const out = importMessage(m, skipped);
+    if (!out) return null;
+    if (Array.isArray(m.attachments)) {
+      out.attachments = m.attachments.filter((a) => a && typeof a === 'object' && typeof a.id === 'string').map(attachmentRef);
+    }
+    if (!Array.isArray(m.variants)) return out;
+
+    const shown = Number.isInteger(m.variant) && m.variant >= 0 && m.variant < m.variants.length ? m.variant : -1;
+    const variants = [];
+    let variant = -1;
+    m.variants.forEach((tail, i) => {
+      if (i === shown) {
+        variant = variants.length;
+        variants.push(null);
+        return;
+      }
+      if (!Array.isArray(tail)) return skipped.push('malformed branch');
+      const messages = tail.map((x) => importOwnMessage(x, skipped)).filter(Boolean);
+      if (messages.length) variants.push(messages);
+    });
+    if (variant < 0) {
+      variant = variants.length;
+      variants.push(null);
+    }
+    if (variants.length > 1) Object.assign(out, { variants, variant });
+    return out;
+  }
+
+  // Dates from a file are kept only if they parse; the server accepts nothing but ISO timestamps.
+  function importedThread(fields, messages) {
+    const iso = (v) => (typeof v === 'string' && !Number.isNaN(Date.parse(v)) ? new Date(v).toISOString() : undefined);
+    const base = createThread();
+    return normalizeThread({
+      ...base,
+      spaceId: null,
+      ...fields,
+      createdAt: iso(fields.createdAt) || base.createdAt,
+      updatedAt: iso(fields.updatedAt) || base.updatedAt,
+      messages
+    });
   }
 
-  async function runDeepResearchAsync(thread, assistantIndex, signal) {
-    // Submit - build payload but exclude the assistant message we're about to fill
-    const threadForPayload = {
-      ...thread,
-      messages: thread.messages.slice(0, assistantIndex)
-    };
-    const payload = buildPayload(threadForPayload);
+  // Any JSON shape we know, to a list of threads.
+  function importFromJSON(data, skipped) {
+    if (data?.format === EXPORT_FORMAT) {
+      if (Number(data.version) > 1) skipped.push(`export version ${data.version} (read as version 1)`);
+      return importFromJSON(data.thread || data.threads, skipped);
+    }
+    if (Array.isArray(data)) return data.flatMap((d) => importFromJSON(d, skipped));
+    if (!data || typeof data !== 'object') {
+      skipped.push('unrecognized JSON value');
+      return [];
+    }
 
-    // Async endpoint expects { request: <chat completion payload> }
-    const submitResp = await fetch('/api/async/submit', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-pplx-key': state.apiKey
-      },
-      body: JSON.stringify({ request: payload }),
-      signal
-    });
+    // ChatGPT conversations.json entry: a message tree; follow the branch that ends at current_node.
+    if (data.mapping && typeof data.mapping === 'object') {
+      const path = [];
+      let node = data.mapping[data.current_node] || null;
+      while (node) {
+        if (node.message) path.unshift(node.message);
+        node = node.parent ? data.mapping[node.parent] : null;
+      }
+      const messages = path
+        .filter((m) => !(m.author?.role === 'system' && !importContent(m.content, []).trim()))
+        .map((m) => importMessage(m, skipped))
+        .filter(Boolean);
+      const created = Number(data.create_time) ? new Date(data.create_time * 1000).toISOString() : nowISO();
+      return [importedThread({ title: data.title || 'Imported chat', createdAt: created }, messages)];
+    }
 
-    if (!submitResp.ok) {
-      const text = await submitResp.text();
-      throw new Error(`Async submit error (${submitResp.status}): ${text}`);
+    // Chat completion response: the assistant turn plus Perplexity's top-level metadata.
+    if (Array.isArray(data.choices)) {
+      const msg = data.choices[0]?.message;
+      if (!msg) {
+        skipped.push('completion response without a message');
+        return [];
+      }
+      const reply = importMessage({ ...data, ...msg, meta: { model: data.model, usage: data.usage } }, skipped);
+      return [importedThread({ title: 'Imported answer' }, reply ? [reply] : [])];
     }
 
-    const job = await submitResp.json();
-    const id = job.id;
+    if (!Array.isArray(data.messages)) {
+      skipped.push('object without messages');
+      return [];
+    }
 
-    const assistantMsg = thread.messages[assistantIndex];
-    assistantMsg.meta.async = `Request created: ${id}. Polling…`;
-    assistantMsg.content = assistantMsg.content || '⏳ Deep research is running. This can take a while.';
-    updateMessageElement(thread, assistantIndex);
+    // This app's own thread objects keep everything (branches, space, folder...); just sanitize messages.
+    const own = data.messages.some((m) => m?.meta || m?.variants) || data.createdAt;
+    const messages = data.messages.map((m) => (own ? importOwnMessage(m, skipped) : importMessage(m, skipped))).filter(Boolean);
+    if (!own) {
+      const title = String(messages.find((m) => m.role === 'user')?.content || 'Imported chat').slice(0, 60);
+      return [importedThread({ title }, messages)];
+    }
+    const { messages: _, ...fields } = data;
+    return [importedThread(fields, messages)];
+  }
 
-    // Poll
-    while (true) {
-      if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
-      await sleep(3000);
+  // "1. [title](url) (date)", "1. <url>", "- [1] url" (older exports) -> { url, title, date }
+  function parseSourceLine(line) {
+    const link = line.match(/\[([^\]]*)\]\((\S+?)\)(?:\s*(?:\(([^)]+)\)|—\s*(.+)))?\s*$/);
+    if (link) return { title: link[1], url: link[2], date: (link[3] || link[4] || '').trim() };
+    const bare = line.match(/<(\S+?)>/) || line.match(/(https?:\/\/\S+)/);
+    if (bare) {
+      const titled = line.match(/^[-*]\s+(.+?)\s+—\s+(https?:\/\/\S+)/);
+      return titled ? { title: titled[1], url: titled[2], date: '' } : { title: '', url: bare[1], date: '' };
+    }
+    return null;
+  }
 
-      const pollResp = await fetch(`/api/async/get/${encodeURIComponent(id)}`, {
-        method: 'GET',
-        headers: {
-          'x-pplx-key': state.apiKey
-        },
-        signal
-      });
+  // Markdown in the shape exportMarkdown() writes: "# Title", then "## User" / "## Assistant"
+  // sections with "### Citations", "### Search results"... under each answer.
+  function importFromMarkdown(text, skipped) {
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    const title = (lines.find((l) => /^# /.test(l)) || '# Imported chat').slice(2).trim();
+    const messages = [];
+    let msg = null;
+    let section = null; // null = message body
+    let body = [];
+    let lastResult = null; // snippet lines ("  > ...") belong to the result above them
+
+    const flushBody = () => {
+      if (msg) msg.content = body.join('\n').trim();
+    };
+
+    for (const line of lines) {
+      const turn = line.match(/^## (User|Assistant)\s*$/);
+      if (turn) {
+        flushBody();
+        msg = turn[1] === 'User' ? { role: 'user', content: '' } : { role: 'assistant', content: '', meta: { citations: [], search_results: [] } };
+        messages.push(msg);
+        section = null;
+        body = [];
+        lastResult = null;
+        continue;
+      }
+      if (!msg) continue;
 
-      if (!pollResp.ok) {
-        const text = await pollResp.text();
-        throw new Error(`Async poll error (${pollResp.status}): ${text}`);
+      const head = msg.role === 'assistant' && line.match(/^### (Citations|Search results|Research steps|Images|Videos)\s*$/);
+      if (head) {
+        if (!section) flushBody();
+        section = head[1];
+        continue;
+      }
+      if (!section) {
+        body.push(line);
+        continue;
       }
 
-      const data = await pollResp.json();
+      const meta = msg.meta;
+      if (!line.trim()) continue;
+      const usage = line.match(/^_(.+)_$/);
+      if (usage) {
+        const model = usage[1].split(' • ')[0].match(/^([\w.:-]+)(?: \((\w+)\))?$/);
+        if (model) Object.assign(meta, { model: model[1] }, model[2] ? { search_mode: model[2] } : {});
+        continue;
+      }
+      if (section === 'Citations' || section === 'Search results') {
+        if (/^\s+>/.test(line)) {
+          if (lastResult) lastResult.snippet = line.replace(/^\s+>\s?/, '');
+          continue;
+        }
+        const src = parseSourceLine(line);
+        if (!src) {
+          skipped.push(`${section.toLowerCase()} line: ${line.slice(0, 60)}`);
+          continue;
+        }
+        if (section === 'Citations') meta.citations.push(src.url);
+        if (section === 'Citations' && !src.title) continue;
+        lastResult = meta.search_results.find((r) => r.url === src.url) || null;
+        if (!lastResult) {
+          lastResult = { title: src.title || src.url, url: src.url, date: src.date };
+          meta.search_results.push(lastResult);
+        }
+      } else if (section === 'Research steps') {
+        const step = line.match(/^[-*]\s+\*\*(.+?)\*\*(?::\s*(.*))?$/);
+        if (step) (meta.reasoning_steps ||= []).push({ type: step[1], thought: step[2] || '' });
+        else skipped.push(`research step: ${line.slice(0, 60)}`);
+      } else if (section === 'Images') {
+        const img = line.match(/!\[([^\]]*)\]\((\S+?)\)/);
+        if (img) (meta.images ||= []).push({ image_url: img[2], title: img[1] });
+      } else if (section === 'Videos') {
+        const v = line.match(/\[([^\]]*)\]\((\S+?)\)/);
+        if (v) (meta.videos ||= []).push({ url: v[2], title: v[1] });
+      }
+    }
+    flushBody();
 
-      assistantMsg.meta.async = `Status: ${data.status || 'UNKNOWN'} • id: ${id}`;
+    if (!messages.length) {
+      skipped.push('no "## User" / "## Assistant" sections found');
+      return [];
+    }
+    return [importedThread({ title }, messages)];
+  }
 
-      if (data.status === 'FAILED') {
-        throw new Error(data.error_message || 'Deep research request failed');
+  // Same id: skip exact copies, keep a renamed copy of anything that differs.
+  function addImportedThread(t, report) {
+    const existing = state.threads.find((x) => x.id === t.id);
+    if (existing) {
+      const same = JSON.stringify(serializeMessages(existing.messages)) === JSON.stringify(serializeMessages(t.messages));
+      if (same) {
+        report.duplicates.push(t.title);
+        return null;
       }
+      t = { ...t, id: uid(), title: `${t.title} (imported)` };
+      report.renamed.push(t.title);
+    }
+    if (!t.messages.length) {
+      report.skipped.push(`"${t.title}": no user or assistant messages`);
+      return null;
+    }
+    state.threads.unshift(t);
+    report.imported.push(t);
+    return t;
+  }
 
-      if (data.status === 'COMPLETED' && data.response) {
-        // data.response should match chat completion payload.
-        applyPerplexityFinal(assistantMsg, data.response);
-        assistantMsg.meta.async = `Completed • id: ${id}`;
-        updateMessageElement(thread, assistantIndex);
-        return;
+  async function importFiles(files) {
+    const reports = [];
+    for (const file of files) {
+      const report = { name: file.name, imported: [], duplicates: [], renamed: [], skipped: [] };
+      reports.push(report);
+      try {
+        const text = await file.text();
+        const json = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text) ? safeJsonParse(text) : null;
+        const threads = json ? importFromJSON(json, report.skipped) : importFromMarkdown(text, report.skipped);
+        for (const t of threads) addImportedThread(t, report);
+      } catch (err) {
+        report.skipped.push(`could not read file: ${err.message}`);
       }
+    }
 
-      // Keep UI fresh
-      updateMessageElement(thread, assistantIndex);
+    const imported = reports.flatMap((r) => r.imported);
+    if (imported.length) {
+      saveThreads();
+      setActiveThread(imported[0].id);
     }
+    showImportReport(reports);
   }
 
-  function applyPerplexityChunk(msg, chunk) {
-    // Streaming: chunks are chat.completion.chunk objects.
-    // Content arrives in choices[0].delta.content.
-    const delta = chunk?.choices?.[0]?.delta;
-    if (delta?.content) {
-      msg.content = String(msg.content || '') + String(delta.content);
-    }
+  // Collapses repeated reasons ("system message" x3) into one line each.
+  function countReasons(list) {
+    const counts = new Map();
+    for (const s of list) counts.set(s, (counts.get(s) || 0) + 1);
+    return [...counts].map(([s, n]) => (n > 1 ? `${s} ×${n}` : s));
+  }
 
-    // Final chunks contain metadata.
-    if (chunk.citations) msg.meta.citations = chunk.citations;
-    if (chunk.search_results) msg.meta.search_results = chunk.search_results;
-    if (chunk.usage) msg.meta.usage = chunk.usage;
-    if (chunk.reasoning_steps) msg.meta.reasoning_steps = chunk.reasoning_steps;
+  function showImportReport(reports) {
+    const html = reports.map((r) => {
+      const lines = [`${r.imported.length} chat(s) imported`];
+      if (r.duplicates.length) lines.push(`${r.duplicates.length} already here, skipped`);
+      if (r.renamed.length) lines.push(`${r.renamed.length} with a clashing id, imported as copies`);
+      const skipped = countReasons(r.skipped);
+      return `
+        <div class="sourceItem">
+          <div class="sourceItem__title">${escapeHtml(r.name)}</div>
+          <div class="sourceItem__meta">${escapeHtml(lines.join(' • '))}</div>
+          ${skipped.length ? `<div class="sourceItem__snippet">Not imported: ${skipped.map(escapeHtml).join('; ')}</div>` : ''}
+        </div>`;
+    });
+    $('importReport').innerHTML = html.join('');
+    $('importModal').style.display = 'grid';
+  }
 
-    // Media (best-effort)
-    if (chunk.images) msg.meta.images = chunk.images;
-    if (chunk.videos) msg.meta.videos = chunk.videos;
+  function closeImportModal() {
+    $('importModal').style.display = 'none';
+  }
 
-    // Related questions (best-effort)
-    if (chunk.related_questions) msg.meta.related_questions = chunk.related_questions;
+  // -------------------- Share links --------------------
+  // A share is a server-side snapshot of the selected branch; /s/:slug renders it read-only
+  // with the same renderer as the chat view (see initSharePage).
+  let shareList = [];
 
-    // Some implementations may stuff these inside message/delta.
-    if (delta?.reasoning_steps) msg.meta.reasoning_steps = delta.reasoning_steps;
+  function shareSnapshot(t) {
+    return {
+      threadId: t.id,
+      title: t.title || 'Chat',
+      messages: (t.messages || [])
+        .filter((m) => m.role === 'user' || m.role === 'assistant')
+        .map((m) => ({
+          role: m.role,
+          content: messageText(m),
+          meta: m.meta || {}
+        }))
+    };
   }
 
-  function applyPerplexityFinal(msg, data) {
-    const content = data?.choices?.[0]?.message?.content;
-    if (content != null) msg.content = String(content);
-    if (data?.citations) msg.meta.citations = data.citations;
-    if (data?.search_results) msg.meta.search_results = data.search_results;
-    if (data?.usage) msg.meta.usage = data.usage;
-    if (data?.reasoning_steps) msg.meta.reasoning_steps = data.reasoning_steps;
-    if (data?.images) msg.meta.images = data.images;
-    if (data?.videos) msg.meta.videos = data.videos;
-    if (data?.related_questions) msg.meta.related_questions = data.related_questions;
+  function shareUrl(slug) {
+    return `${location.origin}/s/${encodeURIComponent(slug)}`;
   }
 
-  function updateMessageElement(thread, idx) {
-    const el = document.getElementById(`msg-${thread.id}-${idx}`);
-    if (!el) {
-      // If not found, re-render all.
-      renderMessages();
+  function openShareModal() {
+    const t = activeThread();
+    if (!t || !t.messages.length) return toast('Nothing to share yet');
+    if (!hasCredentials()) return toast('Sign in to share');
+    $('shareModal').style.display = 'grid';
+    $('shareResult').style.display = 'none';
+    loadShares();
+  }
+
+  function closeShareModal() {
+    $('shareModal').style.display = 'none';
+  }
+
+  async function createShareLink() {
+    const t = activeThread();
+    if (!t) return;
+    const btn = $('createShareBtn');
+    btn.disabled = true;
+    try {
+      const resp = await fetch('/api/shares', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ ...shareSnapshot(t), expiresInDays: Number($('shareExpiry').value) })
+      });
+      if (!resp.ok) throw await responseError(resp, 'Share failed');
+      const share = await resp.json();
+      $('shareUrl').value = shareUrl(share.slug);
+      $('shareResult').style.display = '';
+      $('shareUrl').select();
+      shareList.unshift(share);
+      renderShareList();
+    } catch (err) {
+      toast(err.status === 429 ? err.message : 'Could not create the link');
+      console.error(err);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  async function loadShares() {
+    try {
+      const resp = await fetch('/api/shares', { headers: authHeaders() });
+      if (!resp.ok) return;
+      shareList = (await resp.json()).shares || [];
+    } catch {
       return;
     }
+    renderShareList();
+  }
 
-    const msg = thread.messages[idx];
-    const contentEl = el.querySelector('.message__content');
-    if (msg.role === 'assistant') {
-      contentEl.innerHTML = renderAssistantHTML(msg.content || '', msg.meta || {});
+  async function revokeShare(share) {
+    if (!confirm(`Revoke the link to "${share.title}"? It stops working immediately.`)) return;
+    const resp = await fetch(`/api/shares/${encodeURIComponent(share.slug)}`, { method: 'DELETE', headers: authHeaders() }).catch(() => null);
+    if (!resp || (!resp.ok && resp.status !== 404)) return toast('Could not revoke the link');
+    shareList = shareList.filter((s) => s.slug !== share.slug);
+    renderShareList();
+    toast('Link revoked');
+  }
 
-      // Update meta section by re-rendering for this message.
-      // Remove existing meta blocks and re-add.
-      const existingMeta = el.querySelector('.message__meta');
-      if (existingMeta) existingMeta.remove();
-      const newMeta = renderMetaBlocks(msg.meta || {});
-      if (newMeta) el.appendChild(newMeta);
+  function renderShareList() {
+    const list = $('shareList');
+    list.innerHTML = '';
+    if (!shareList.length) {
+      list.innerHTML = `<div class="threadItem__meta">No links yet.</div>`;
+      return;
+    }
 
-      // Highlight code and add copy buttons.
-      el.querySelectorAll('pre code').forEach((code) => {
-        try { hljs.highlightElement(code); } catch {}
+    for (const share of shareList) {
+      const item = document.createElement('div');
+      item.className = 'threadItem';
+      item.addEventListener('click', () => window.open(shareUrl(share.slug), '_blank', 'noopener'));
+
+      const left = document.createElement('div');
+      left.style.flex = '1';
+      left.style.minWidth = '0';
+
+      const title = document.createElement('div');
+      title.className = 'threadItem__title';
+      title.textContent = share.title || 'Chat';
+
+      const meta = document.createElement('div');
+      meta.className = 'threadItem__meta';
+      const expiry = share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleDateString()}` : 'no expiry';
+      meta.textContent = `${share.messageCount} msg • ${new Date(share.createdAt).toLocaleDateString()} • ${expiry}`;
+
+      left.appendChild(title);
+      left.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'threadItem__actions';
+
+      const copy = document.createElement('button');
+      copy.className = 'btn';
+      copy.textContent = 'Copy';
+      copy.addEventListener('click', (e) => {
+        e.stopPropagation();
+        navigator.clipboard.writeText(shareUrl(share.slug)).then(() => toast('Link copied'));
       });
-      el.querySelectorAll('pre').forEach((pre) => {
-        if (pre.querySelector('.copyBtn')) return;
-        const code = pre.querySelector('code');
-        if (!code) return;
-        pre.classList.add('codeBlock');
-        const btn = document.createElement('button');
-        btn.className = 'copyBtn';
-        btn.textContent = 'Copy code';
-        btn.addEventListener('click', () => {
-          navigator.clipboard.writeText(code.innerText).then(() => toast('Code copied'));
-        });
-        pre.appendChild(btn);
+
+      const del = document.createElement('button');
+      del.className = 'btn';
+      del.textContent = '✕';
+      del.title = 'Revoke';
+      del.addEventListener('click', (e) => {
+        e.stopPropagation();
+        revokeShare(share);
       });
 
-      // Scroll to bottom
-      const container = $('messages');
-      container.scrollTop = container.scrollHeight;
+      actions.appendChild(copy);
+      actions.appendChild(del);
+      item.appendChild(left);
+      item.appendChild(actions);
+      list.appendChild(item);
     }
   }
 
-  // -------------------- Export --------------------
-  function exportActiveChat() {
-    const t = activeThread();
-    if (!t) return;
+  // Entry point for share.html: fetch the snapshot and render it without any app chrome.
+  async function initSharePage() {
+    const slug = decodeURIComponent(location.pathname.split('/').filter(Boolean)[1] || '');
+    const container = $('messages');
+    wireCitePanel(container);
+    wireStructured(container);
 
-    const lines = [];
-    lines.push(`# ${t.title || 'Chat'}`);
-    lines.push('');
-    lines.push(`Exported: ${new Date().toISOString()}`);
-    lines.push('');
+    let share;
+    try {
+      const resp = await fetch(`/api/shares/${encodeURIComponent(slug)}`);
+      const data = safeJsonParse(await resp.text());
+      if (!resp.ok) throw new Error(data?.error || `Share not available (${resp.status})`);
+      share = data;
+    } catch (err) {
+      setStatus('error', 'Unavailable');
+      container.innerHTML = `<div class="message"><div class="message__content">${escapeHtml(err.message)}</div></div>`;
+      return;
+    }
 
-    t.messages.forEach((m) => {
-      lines.push(`## ${m.role === 'user' ? 'User' : 'Assistant'}`);
-      lines.push('');
-      if (Array.isArray(m.content)) lines.push(summarizeMultipartContent(m.content));
-      else lines.push(String(m.content || ''));
-      lines.push('');
+    const title = share.title || 'Shared chat';
+    document.title = `${title} — shared chat`;
+    $('threadTitle').textContent = title;
+    setStatus('idle', 'Read-only');
 
-      if (m.role === 'assistant' && m.meta) {
-        if (m.meta.citations?.length) {
-          lines.push('### Citations');
-          m.meta.citations.forEach((c, i) => lines.push(`- [${i + 1}] ${c}`));
-          lines.push('');
-        }
-        if (m.meta.search_results?.length) {
-          lines.push('### Search results');
-          m.meta.search_results.forEach((r) => lines.push(`- ${r.title || r.url} — ${r.url}`));
-          lines.push('');
-        }
+    const info = [`Shared ${new Date(share.createdAt).toLocaleString()}`];
+    if (share.expiresAt) info.push(`expires ${new Date(share.expiresAt).toLocaleString()}`);
+    $('shareInfo').textContent = info.join(' • ');
+    $('shareInfo').style.display = '';
+
+    container.innerHTML = '';
+    for (const m of share.messages || []) {
+      const wrapper = document.createElement('div');
+      wrapper.className = `message message--${m.role}`;
+
+      const header = document.createElement('div');
+      header.className = 'message__header';
+      const role = document.createElement('div');
+      role.className = 'message__role';
+      role.textContent = m.role === 'user' ? 'User' : `Assistant${m.meta?.model ? ` • ${m.meta.model}` : ''}`;
+      header.appendChild(role);
+
+      const content = document.createElement('div');
+      content.className = 'message__content';
+      if (m.role === 'assistant') {
+        content.innerHTML = renderAssistantHTML(m.content || '', m.meta || {});
+        verifyCitations(content, m.meta || {});
+      } else {
+        const pre = document.createElement('pre');
+        pre.style.margin = '0';
+        pre.style.whiteSpace = 'pre-wrap';
+        pre.style.background = 'transparent';
+        pre.style.padding = '0';
+        pre.textContent = String(m.content || '');
+        content.appendChild(pre);
       }
-    });
 
-    const blob = new Blob([lines.join('\n')], { type: 'text/markdown;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${(t.title || 'chat').replace(/[^a-z0-9\-_]+/gi, '_').slice(0, 48)}.md`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+      wrapper.appendChild(header);
+      wrapper.appendChild(content);
+      if (m.role === 'assistant' && m.meta) {
+        const meta = renderMetaBlocks(m.meta);
+        if (meta) wrapper.appendChild(meta);
+      }
+      container.appendChild(wrapper);
+      decorateCodeBlocks(wrapper);
+    }
   }
 
   // -------------------- Wire up events --------------------
   function wireEvents() {
+    $('compareBtn').addEventListener('click', toggleCompareMode);
+    wireCitePanel($('messages'));
+    wireStructured($('messages'));
+
+    $('threadFilter').addEventListener('change', (e) => {
+      threadFilter = e.target.value;
+      renderThreadList();
+    });
+    $('newCollectionBtn').addEventListener('click', createCollection);
+    document.addEventListener('click', closeThreadMenu);
+
+    $('searchInput').addEventListener('input', (e) => setSearchQuery(e.target.value));
+    $('searchInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.target.value = '';
+        setSearchQuery('');
+      } else if (e.key === 'Enter') {
+        $('searchResults').querySelector('.searchResult')?.click();
+      }
+    });
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        $('searchInput').focus();
+        $('searchInput').select();
+      }
+    });
+
     $('newChatBtn').addEventListener('click', () => {
       const t = createThread();
       state.threads.unshift(t);
@@ -1263,29 +6192,99 @@
     $('saveApiKeyBtn').addEventListener('click', saveApiKeyFromModal);
     $('clearApiKeyBtn').addEventListener('click', clearApiKey);
 
+    $('signOutBtn').addEventListener('click', signOut);
+    $('loginBtn').addEventListener('click', submitLogin);
+    $('loginPassword').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submitLogin();
+    });
+
     $('settingsBtn').addEventListener('click', openSettings);
     $('closeSettingsBtn').addEventListener('click', closeSettings);
 
     $('saveSettingsBtn').addEventListener('click', () => {
-      state.settings = readSettingsFromUI();
-      saveSettings();
+      const schema = parseResponseSchema($('responseSchema').value);
+      if (schema.error) return toast(`Response schema: ${schema.error}`);
+      saveSettingsFromUI($('settingsScope').value);
       closeSettings();
       toast('Settings saved');
     });
 
     $('resetSettingsBtn').addEventListener('click', () => {
       state.settings = structuredClone(DEFAULT_SETTINGS);
+      const thread = activeThread();
+      if (thread) thread.overrides = {};
       saveSettings();
+      saveThreads();
+      renderSpacePicker();
       openSettings();
       toast('Settings reset');
     });
 
-    $('exportBtn').addEventListener('click', exportActiveChat);
+    $('spacePicker').addEventListener('change', (e) => {
+      const thread = activeThread();
+      if (thread) setThreadSpace(thread, e.target.value);
+    });
+    $('settingsSpace').addEventListener('change', (e) => {
+      const thread = activeThread();
+      if (!thread) return;
+      setThreadSpace(thread, e.target.value);
+      openSettings();
+    });
+    $('newSpaceBtn').addEventListener('click', createSpaceFromUI);
+    $('deleteSpaceBtn').addEventListener('click', () => deleteSpace(activeThread()?.spaceId));
+
+    $('exportBtn').addEventListener('click', openExportModal);
+    $('closeExportBtn').addEventListener('click', closeExportModal);
+    $('exportModal').querySelector('.modal__backdrop').addEventListener('click', closeExportModal);
+    $('exportModal').querySelectorAll('[data-format]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        closeExportModal();
+        exportActiveChat(btn.dataset.format);
+      });
+    });
+
+    $('importInput').addEventListener('change', (e) => {
+      importFiles([...e.target.files]);
+      e.target.value = '';
+    });
+    $('closeImportBtn').addEventListener('click', closeImportModal);
+    $('importModal').querySelector('.modal__backdrop').addEventListener('click', closeImportModal);
+
+    $('shareBtn').addEventListener('click', openShareModal);
+    $('createShareBtn').addEventListener('click', createShareLink);
+    $('closeShareBtn').addEventListener('click', closeShareModal);
+    $('copyShareBtn').addEventListener('click', () => {
+      navigator.clipboard.writeText($('shareUrl').value).then(() => toast('Link copied'));
+    });
+    $('shareModal').querySelector('.modal__backdrop').addEventListener('click', closeShareModal);
+
+    $('sourcesBtn').addEventListener('click', openSourcesView);
+    $('closeSourcesBtn').addEventListener('click', closeSourcesView);
+    $('sourcesSort').addEventListener('change', renderSourcesView);
+    $('sourcesDrawer').querySelector('.drawer__backdrop').addEventListener('click', closeSourcesView);
+
+    $('usageBtn').addEventListener('click', openUsage);
+    $('closeUsageBtn').addEventListener('click', closeUsage);
+    $('usageRange').addEventListener('change', renderUsageDashboard);
+    $('usageCsvBtn').addEventListener('click', exportUsageCsv);
+    $('usageDrawer').querySelector('.drawer__backdrop').addEventListener('click', closeUsage);
 
     $('sendBtn').addEventListener('click', sendPrompt);
 
+    $('prompt').addEventListener('input', () => {
+      updateTokenEstimate();
+      updateSlashMenu();
+    });
+    $('prompt').addEventListener('blur', closeSlashMenu);
     $('prompt').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
+      if (slashMenuKey(e)) return;
+      if (e.key === 'Escape' && composerTemplate) {
+        clearTemplate();
+      } else if (e.key === 'Backspace' && composerTemplate && !e.target.value) {
+        // Backspace in an empty prompt takes the template off, like deleting the command.
+        e.preventDefault();
+        clearTemplate();
+      } else if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         sendPrompt();
       }
@@ -1295,24 +6294,67 @@
       if (abortController) abortController.abort();
     });
 
+    $('schemaBtn').addEventListener('click', openSchemaModal);
+    $('closeSchemaBtn').addEventListener('click', closeSchemaModal);
+    $('applySchemaBtn').addEventListener('click', saveSchemaFromModal);
+    $('clearSchemaBtn').addEventListener('click', () => {
+      $('schemaInput').value = '';
+      saveSchemaFromModal();
+    });
+    $('schemaPreset').addEventListener('change', (e) => applySchemaPreset(e.target.value));
+    $('schemaInput').addEventListener('input', updateSchemaStatus);
+    $('schemaModal').querySelector('.modal__backdrop').addEventListener('click', closeSchemaModal);
+
+    $('templatesBtn').addEventListener('click', openTemplates);
+    $('closeTemplatesBtn').addEventListener('click', closeTemplates);
+    $('newTemplateBtn').addEventListener('click', () => editTemplate(null));
+    $('saveTemplateBtn').addEventListener('click', saveTemplateForm);
+    $('resetTemplatesBtn').addEventListener('click', resetTemplates);
+    $('templatesModal').querySelector('.modal__backdrop').addEventListener('click', closeTemplates);
+
+    $('libraryBtn').addEventListener('click', openLibrary);
+    $('closeLibraryBtn').addEventListener('click', closeLibrary);
+    $('libraryInput').addEventListener('change', (e) => addLibraryFiles(e.target.files));
+    $('libraryModal').querySelector('.modal__backdrop').addEventListener('click', closeLibrary);
+
+    $('storageBtn').addEventListener('click', openStorage);
+    $('closeStorageBtn').addEventListener('click', closeStorage);
+    $('storageUnusedBtn').addEventListener('click', deleteUnusedAttachments);
+    $('storageClearBtn').addEventListener('click', deleteAllAttachments);
+    $('storageModal').querySelector('.modal__backdrop').addEventListener('click', closeStorage);
+
     $('imageInput').addEventListener('change', (e) => onImagePicked(e.target.files));
     $('fileInput').addEventListener('change', (e) => onFilePicked(e.target.files));
 
     // Close drawers/modals on backdrop click
     $('apiKeyModal').querySelector('.modal__backdrop').addEventListener('click', closeApiKeyModal);
     $('settingsDrawer').querySelector('.drawer__backdrop').addEventListener('click', closeSettings);
+
+    window.addEventListener('online', () => scheduleSync(0));
   }
 
   // -------------------- Init --------------------
-  function init() {
+  async function init() {
     loadPersisted();
     wireEvents();
     render();
+    loadModels();
 
-    if (!state.apiKey) {
-      openApiKeyModal();
+    await loadServerConfig();
+    if (state.server.user) await claimLocalData(state.server.user.username);
+
+    if (!hasCredentials()) {
+      if (state.server.byok) openApiKeyModal();
+      else openLoginModal();
+    } else {
+      pullThreads().then(() => {
+        scheduleSync(0);
+        reattachJobs();
+        resumeStreams();
+      });
     }
   }
 
-  init();
+  if (document.body.dataset.page === 'share') initSharePage();
+  else init();
 })();
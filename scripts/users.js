@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Manage local accounts for team mode (server-held API key).
+//
+//   npm run users -- add <username> <password>
+//   npm run users -- remove <username>
+//   npm run users -- list
+//   npm run users -- hash <password>     (prints a passwordHash for the config file)
+
+const auth = require('../lib/auth');
+
+async function main() {
+  const [cmd, ...args] = process.argv.slice(2);
+
+  switch (cmd) {
+    case 'add': {
+      const [username, password] = args;
+      await auth.addUser(username, password);
+      console.log(`Saved account "${username}".`);
+      break;
+    }
+    case 'remove': {
+      const removed = await auth.removeUser(args[0]);
+      console.log(removed ? `Removed "${args[0]}" and signed them out.` : `No account "${args[0]}".`);
+      break;
+    }
+    case 'list': {
+      const users = await auth.listUsers();
+      console.log(users.length ? users.join('\n') : '(no accounts)');
+      break;
+    }
+    case 'hash': {
+      if (!args[0]) throw new Error('Usage: hash <password>');
+      console.log(auth.hashPassword(args[0]));
+      break;
+    }
+    default:
+      console.log('Usage: npm run users -- add <username> <password> | remove <username> | list | hash <password>');
+      process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exitCode = 1;
+});
@@ -2,7 +2,18 @@ const express = require('express');
 const compression = require('compression');
 const helmet = require('helmet');
 const path = require('path');
-const { Readable } = require('stream');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const threads = require('./lib/threads');
+const providers = require('./lib/providers');
+const { createMockRouter } = require('./lib/mock');
+const auth = require('./lib/auth');
+const limits = require('./lib/limits');
+const jobs = require('./lib/jobs');
+const streams = require('./lib/streams');
+const shares = require('./lib/shares');
+const uploads = require('./lib/uploads');
+const library = require('./lib/library');
 
 const app = express();
 
@@ -12,6 +23,9 @@ const PORT = Number(process.env.PORT || 3000);
 // ---- Middleware ----
 app.disable('x-powered-by');
 
+// Railway terminates TLS in front of the app; trust it so secure cookies work.
+app.set('trust proxy', 1);
+
 // Helmet is great, but the default CSP will block CDN scripts.
 // We disable CSP here to keep this template simple.
 app.use(
@@ -19,12 +33,23 @@ app.use(
     contentSecurityPolicy: false,
   })
 );
-app.use(compression());
+// Don't compress SSE: gzip buffers the stream, so tokens would arrive in bursts.
+app.use(
+  compression({
+    filter: (req, res) => !/text\/event-stream/.test(String(res.getHeader('content-type') || '')) && compression.filter(req, res),
+  })
+);
 
-// Perplexity supports large base64 payloads (images/files).
-// Adjust this based on your needs.
-app.use(express.json({ limit: '60mb' }));
-app.use(express.urlencoded({ extended: true, limit: '60mb' }));
+// Attachments go through /api/uploads (streamed to disk), so JSON bodies stay small:
+// chat payloads only carry `upload:<id>` references. Long threads are the largest bodies.
+const JSON_LIMIT = process.env.JSON_LIMIT || '10mb';
+app.use(express.json({ limit: JSON_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_LIMIT }));
+
+// ---- Mock Sonar API (PPLX_MOCK=1) ----
+if (providers.PPLX_MOCK) {
+  app.use('/mock', createMockRouter());
+}
 
 // ---- Static UI ----
 app.use(express.static(path.join(__dirname, 'public')));
@@ -34,13 +59,97 @@ app.get('/api/health', (_req, res) => {
   res.json({ ok: true, status: 'healthy' });
 });
 
+// ---- Auth ----
+app.use('/api', auth.attachUser);
+
 function getApiKey(req) {
+  // Team mode: the server holds the key and only hands it to signed-in users.
+  if (auth.SERVER_API_KEY) return req.user ? auth.SERVER_API_KEY : '';
+
   // Prefer a custom header so it doesn't get accidentally logged in request bodies.
   // The frontend stores it in localStorage and sends it per-request.
   const key = req.header('x-pplx-key') || req.header('x-perplexity-key');
   return key ? String(key).trim() : '';
 }
 
+function missingKeyError() {
+  return auth.SERVER_API_KEY ? 'Sign in required.' : 'Missing API key. Send it in the x-pplx-key header.';
+}
+
+// Threads are stored per user. Signed-in users are keyed by username; without accounts
+// the API key is the identity: we only ever keep a hash of it, never the key itself.
+function getUserId(req) {
+  if (req.user) return 'user:' + req.user.username;
+  if (auth.SERVER_API_KEY) return '';
+  const apiKey = getApiKey(req);
+  if (!apiKey) return '';
+  return 'key:' + crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 24);
+}
+
+function requireUser(req, res, next) {
+  const userId = getUserId(req);
+  if (!userId) {
+    return res.status(401).json({ error: missingKeyError() });
+  }
+  req.userId = userId;
+  next();
+}
+
+// In team mode every upstream call needs a session; in BYOK mode the key check happens per route.
+function requireSession(req, res, next) {
+  if (auth.SERVER_API_KEY && !req.user) {
+    return res.status(401).json({ error: 'Sign in required.' });
+  }
+  next();
+}
+
+// Rate limits and quotas are keyed per user/key; anonymous calls (e.g. to Ollama) fall back to the IP.
+function limitId(req) {
+  return getUserId(req) || `ip:${req.ip}`;
+}
+
+// GET /api/config -> what the client needs to know before showing any key/login UI.
+app.get('/api/config', (req, res) => {
+  res.json({
+    byok: !auth.SERVER_API_KEY,
+    authRequired: Boolean(auth.SERVER_API_KEY),
+    user: req.user || null,
+    mock: providers.PPLX_MOCK,
+    uploadMaxBytes: uploads.UPLOAD_MAX_BYTES,
+  });
+});
+
+// POST /api/auth/login { username, password }
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (!auth.SERVER_API_KEY) return res.status(404).json({ error: 'Accounts are not enabled on this server.' });
+    const { username, password } = req.body || {};
+    const token = await auth.login(username, password);
+    if (!token) {
+      // Slow down password guessing a little.
+      await new Promise((r) => setTimeout(r, 500));
+      return res.status(401).json({ error: 'Invalid username or password.' });
+    }
+    auth.setSessionCookie(req, res, token);
+    res.json({ user: { username: String(username) } });
+  } catch (err) {
+    console.error('Login error:', err?.message || err);
+    res.status(500).json({ error: 'Login failed.' });
+  }
+});
+
+// POST /api/auth/logout
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(auth.sessionToken(req));
+    auth.clearSessionCookie(res);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Logout error:', err?.message || err);
+    res.status(500).json({ error: 'Logout failed.' });
+  }
+});
+
 function safeCopyHeaders(fromHeaders) {
   const out = {};
   const allow = [
@@ -58,21 +167,8 @@ function safeCopyHeaders(fromHeaders) {
   return out;
 }
 
-async function proxyPerplexity(req, res, { url, method, body }) {
-  const apiKey = getApiKey(req);
-  if (!apiKey) {
-    return res.status(400).json({ error: 'Missing API key. Send it in the x-pplx-key header.' });
-  }
-
-  const upstream = await fetch(url, {
-    method,
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
-
+// `onUsage` is called with the response's `usage` block (if any) once it has streamed through.
+async function pipeUpstream(res, upstream, { onUsage } = {}) {
   // Forward status + selected headers
   res.status(upstream.status);
   res.set(safeCopyHeaders(upstream.headers));
@@ -86,7 +182,14 @@ async function proxyPerplexity(req, res, { url, method, body }) {
   // Stream through without buffering.
   // Node fetch returns a WHATWG ReadableStream; Express wants a Node stream.
   try {
-    Readable.fromWeb(upstream.body).pipe(res);
+    const stages = [Readable.fromWeb(upstream.body)];
+    if (onUsage && upstream.ok) stages.push(limits.usageTap(onUsage));
+
+    // pipeline() (unlike pipe()) surfaces upstream errors, e.g. a dropped connection mid-stream,
+    // instead of crashing the process with an unhandled 'error' event.
+    pipeline(...stages, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Upstream stream error:', err.message);
+    });
   } catch (e) {
     // Fallback: buffer
     const buf = await upstream.arrayBuffer();
@@ -94,49 +197,213 @@ async function proxyPerplexity(req, res, { url, method, body }) {
   }
 }
 
+// ---- Models ----
+// GET /api/models -> { providers: [{ id, label, requiresKey, models: [...] }] }
+app.get('/api/models', async (_req, res) => {
+  try {
+    res.json({ providers: await providers.listProviders() });
+  } catch (err) {
+    console.error('Models error:', err?.message || err);
+    res.status(500).json({ error: 'Could not list models.' });
+  }
+});
+
 // ---- Chat Completions Proxy ----
 // POST /api/chat
-// Body = the Perplexity /chat/completions request body (model, messages, etc.)
-app.post('/api/chat', async (req, res) => {
+// Body = the Perplexity /chat/completions request body (model, messages, etc.).
+// The model prefix picks the upstream provider (see lib/providers.js).
+// Streaming answers are buffered (lib/streams.js): the response carries an X-Stream-Id
+// header and `id:` on every event, for resuming via /api/chat/streams/:id.
+app.post('/api/chat', requireSession, limits.limit('chat', limitId), async (req, res) => {
   try {
-    await proxyPerplexity(req, res, {
-      url: 'https://api.perplexity.ai/chat/completions',
-      method: 'POST',
-      body: req.body,
-    });
+    const { provider, model } = providers.resolveModel(req.body?.model);
+    const apiKey = getApiKey(req);
+    if (provider.requiresKey && !apiKey) {
+      return res.status(400).json({ error: missingKeyError() });
+    }
+
+    const body = await uploads.inline(req.limitId, { ...req.body, model });
+    const controller = new AbortController();
+    const upstream = await provider.chat(body, { apiKey, signal: controller.signal });
+    const onUsage = (usage) => limits.recordUsage(req.limitId, usage);
+
+    if (upstream.ok && upstream.body && String(upstream.headers.get('content-type')).includes('text/event-stream')) {
+      const stream = streams.start(req.limitId, upstream, { controller, onUsage });
+      return streams.attach(stream, res);
+    }
+    await pipeUpstream(res, upstream, { onUsage });
   } catch (err) {
+    if (err.code === 'upload_missing' || err.code === 'extract_failed') {
+      return res.status(err.status).json({ error: err.message, code: err.code, missing: err.missing });
+    }
     console.error('Proxy error (/api/chat):', err?.message || err);
     res.status(500).json({ error: 'Server proxy error.' });
   }
 });
 
+// GET /api/chat/streams/:id  -> replays events after Last-Event-ID, then follows the stream
+// DELETE /api/chat/streams/:id  -> stop the upstream request (the Stop button)
+function findStream(req, res, next) {
+  req.stream = streams.get(req.params.id, limitId(req));
+  if (!req.stream) return res.status(404).json({ error: 'Stream not found or expired.' });
+  next();
+}
+
+app.get('/api/chat/streams/:id', requireSession, findStream, (req, res) => {
+  const lastEventId = Number(req.header('last-event-id') || req.query.lastEventId || 0) || 0;
+  streams.attach(req.stream, res, lastEventId);
+});
+
+app.delete('/api/chat/streams/:id', requireSession, findStream, (req, res) => {
+  streams.cancel(req.stream);
+  res.status(204).end();
+});
+
+// ---- Attachment uploads ----
+// POST   /api/uploads      multipart/form-data, one or more `file` parts
+//                          -> { files: [{ id, name, type, kind, size } | { name, error }] }
+// GET    /api/uploads/:id/text  -> { unit, tokens, pages: [{ n, label, tokens }], chunks, relevantTokens }
+// DELETE /api/uploads/:id
+// Chat bodies then reference a file as `upload:<id>` (see lib/uploads.js).
+app.post('/api/uploads', requireSession, limits.limit('upload', limitId), async (req, res) => {
+  try {
+    const files = await uploads.receive(req, req.limitId);
+    const ok = files.some((f) => f.id);
+    res.status(ok || !files.length ? 200 : 400).json({ files });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Upload error:', err?.message || err);
+    res.status(500).json({ error: 'Upload failed.' });
+  }
+});
+
+app.get('/api/uploads/:id/text', requireSession, async (req, res) => {
+  try {
+    const doc = await uploads.getText(limitId(req), req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Upload not found.' });
+    res.json(uploads.textSummary(doc));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+    console.error('Extract error:', err?.message || err);
+    res.status(500).json({ error: 'Could not extract text.' });
+  }
+});
+
+app.delete('/api/uploads/:id', requireSession, async (req, res) => {
+  const existed = await uploads.remove(limitId(req), req.params.id).catch(() => false);
+  if (!existed) return res.status(404).json({ error: 'Upload not found.' });
+  res.status(204).end();
+});
+
+// ---- Document library (local knowledge base) ----
+// GET    /api/library          -> { docs: [{ id, name, type, size, createdAt, unit, tokens, chunks }] }
+// POST   /api/library          multipart/form-data `file` parts -> { docs: [doc | { name, error }] }
+// DELETE /api/library/:id
+// POST   /api/library/search   { query, limit? } -> { passages: [{ docId, name, page, label, text, score }] }
+app.get('/api/library', requireUser, async (req, res) => {
+  try {
+    res.json({ docs: await library.listDocs(req.userId) });
+  } catch (err) {
+    console.error('Library error (list):', err?.message || err);
+    res.status(500).json({ error: 'Library error.' });
+  }
+});
+
+app.post('/api/library', requireUser, async (req, res) => {
+  try {
+    const files = await uploads.receive(req, req.userId);
+    const docs = [];
+    for (const f of files) {
+      if (!f.id) {
+        docs.push(f);
+        continue;
+      }
+      try {
+        if (f.kind !== 'file') throw Object.assign(new Error('Only documents can go in the library.'), { status: 415 });
+        docs.push(await library.addFromUpload(req.userId, f.id));
+      } catch (err) {
+        await uploads.remove(req.userId, f.id).catch(() => {});
+        if (!err.status) console.error('Library error (add):', err?.message || err);
+        docs.push({ name: f.name, error: err.status ? err.message : 'Could not add the file.' });
+      }
+    }
+    res.status(docs.some((d) => d.id) || !docs.length ? 200 : 400).json({ docs });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Library error (upload):', err?.message || err);
+    res.status(500).json({ error: 'Upload failed.' });
+  }
+});
+
+app.delete('/api/library/:id', requireUser, async (req, res) => {
+  try {
+    if (!(await library.removeDoc(req.userId, req.params.id))) return res.status(404).json({ error: 'Document not found.' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Library error (delete):', err?.message || err);
+    res.status(500).json({ error: 'Library error.' });
+  }
+});
+
+app.post('/api/library/search', requireUser, async (req, res) => {
+  const query = String(req.body?.query || '').slice(0, 4000);
+  if (!query.trim()) return res.status(400).json({ error: 'Missing query.' });
+  try {
+    res.json({ passages: await library.search(req.userId, query, { limit: req.body?.limit }) });
+  } catch (err) {
+    console.error('Library error (search):', err?.message || err);
+    res.status(500).json({ error: 'Library error.' });
+  }
+});
+
 // ---- Deep Research Async API ----
-// POST /api/async/submit  (body shape: { request: {...chat completion body...} })
-app.post('/api/async/submit', async (req, res) => {
+// POST /api/async/submit  (body shape: { request: {...chat completion body...}, threadId?, title? })
+// threadId/title stay on this server; they let the client reattach the result later.
+app.post('/api/async/submit', requireUser, limits.limit('async', limitId), async (req, res) => {
   try {
-    await proxyPerplexity(req, res, {
-      url: 'https://api.perplexity.ai/async/chat/completions',
+    const apiKey = getApiKey(req);
+    const request = await uploads.inline(req.limitId, req.body?.request);
+    const upstream = await fetch(`${providers.PPLX_BASE_URL}/async/chat/completions`, {
       method: 'POST',
-      body: req.body,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ request }),
     });
+
+    res.status(upstream.status);
+    res.set(safeCopyHeaders(upstream.headers));
+    const text = await upstream.text();
+
+    if (upstream.ok) {
+      const job = JSON.parse(text);
+      if (job?.id) {
+        await jobs.track(req.userId, job, { apiKey, threadId: req.body?.threadId, title: req.body?.title });
+      }
+    }
+    res.type('application/json').send(text);
   } catch (err) {
+    if (err.code === 'upload_missing' || err.code === 'extract_failed') {
+      return res.status(err.status).json({ error: err.message, code: err.code, missing: err.missing });
+    }
     console.error('Proxy error (/api/async/submit):', err?.message || err);
     res.status(500).json({ error: 'Server proxy error.' });
   }
 });
 
 // GET /api/async/get/:id
-app.get('/api/async/get/:id', async (req, res) => {
+app.get('/api/async/get/:id', requireSession, async (req, res) => {
   try {
     const apiKey = getApiKey(req);
     if (!apiKey) {
-      return res.status(400).json({ error: 'Missing API key. Send it in the x-pplx-key header.' });
+      return res.status(400).json({ error: missingKeyError() });
     }
 
     const id = String(req.params.id || '').trim();
     if (!id) return res.status(400).json({ error: 'Missing async request id.' });
 
-    const upstream = await fetch(`https://api.perplexity.ai/async/chat/completions/${encodeURIComponent(id)}`, {
+    const upstream = await fetch(`${providers.PPLX_BASE_URL}/async/chat/completions/${encodeURIComponent(id)}`, {
       method: 'GET',
       headers: {
         Authorization: `Bearer ${apiKey}`,
@@ -147,6 +414,21 @@ app.get('/api/async/get/:id', async (req, res) => {
     res.set(safeCopyHeaders(upstream.headers));
 
     const text = await upstream.text();
+
+    // Deep research usage arrives with the completed job; count it once.
+    if (upstream.ok) {
+      const job = (() => {
+        try {
+          return JSON.parse(text);
+        } catch {
+          return null;
+        }
+      })();
+      if (job?.status === 'COMPLETED' && job.response?.usage) {
+        await limits.recordUsage(limitId(req), job.response.usage, { once: `async:${id}` });
+      }
+    }
+
     // Response is JSON. Send as-is.
     res.type('application/json').send(text);
   } catch (err) {
@@ -155,11 +437,250 @@ app.get('/api/async/get/:id', async (req, res) => {
   }
 });
 
+// GET /api/async/events/:id  (text/event-stream)
+// Sends the tracked job as it is now, then again on every status change. The final
+// COMPLETED/FAILED event carries the full job (incl. `response`) and is followed by [DONE].
+app.get('/api/async/events/:id', requireUser, async (req, res) => {
+  // Subscribe before reading the job so a status change during the read/resume below isn't
+  // lost; changes that arrive before the stream is open are queued.
+  let send = null;
+  const queued = [];
+  const unsubscribe = jobs.subscribe(req.params.id, (j) => (send ? send(j) : queued.push(j)));
+
+  let job;
+  try {
+    job = await jobs.getJob(req.userId, req.params.id);
+    if (!job) {
+      unsubscribe();
+      return res.status(404).json({ error: 'Job not found.' });
+    }
+    // Make sure someone is polling upstream (e.g. a BYOK job after a restart).
+    await jobs.resume(req.userId, getApiKey(req));
+  } catch (err) {
+    unsubscribe();
+    console.error('Job store error (events):', err?.message || err);
+    return res.status(500).json({ error: 'Job store error.' });
+  }
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const finish = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  send = (j) => {
+    if (res.writableEnded) return;
+    res.write(`data: ${JSON.stringify(j)}\n\n`);
+    if (jobs.isFinal(j.status)) {
+      finish();
+      res.end('data: [DONE]\n\n');
+    }
+  };
+
+  req.on('close', finish);
+  send(job);
+  // The read above already reflects anything emitted before it; only replay what came after.
+  for (const j of queued) {
+    if (String(j.updatedAt) > String(job.updatedAt)) send(j);
+  }
+});
+
+// ---- Tracked async jobs ----
+// GET    /api/jobs      -> { jobs: [...] }  (summaries, no response body)
+// GET    /api/jobs/:id  -> job incl. `response` once COMPLETED
+// DELETE /api/jobs/:id  -> stop tracking / forget the result
+app.get('/api/jobs', requireUser, async (req, res) => {
+  try {
+    await jobs.resume(req.userId, getApiKey(req));
+    res.json({ jobs: await jobs.listJobs(req.userId) });
+  } catch (err) {
+    console.error('Job store error (list):', err?.message || err);
+    res.status(500).json({ error: 'Job store error.' });
+  }
+});
+
+app.get('/api/jobs/:id', requireUser, async (req, res) => {
+  try {
+    const job = await jobs.getJob(req.userId, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found.' });
+    res.json(job);
+  } catch (err) {
+    console.error('Job store error (get):', err?.message || err);
+    res.status(500).json({ error: 'Job store error.' });
+  }
+});
+
+app.delete('/api/jobs/:id', requireUser, async (req, res) => {
+  try {
+    if (!(await jobs.removeJob(req.userId, req.params.id))) return res.status(404).json({ error: 'Job not found.' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Job store error (delete):', err?.message || err);
+    res.status(500).json({ error: 'Job store error.' });
+  }
+});
+
+// ---- Thread storage ----
+// GET    /api/threads       -> { threads: [...] }
+// GET    /api/threads/:id   -> thread
+// PUT    /api/threads/:id   -> upsert (409 + { thread } if the server copy is newer)
+// DELETE /api/threads/:id
+function validThreadId(req, res, next) {
+  if (!threads.isValidThreadId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid thread id.' });
+  }
+  next();
+}
+
+app.get('/api/threads', requireUser, async (req, res) => {
+  try {
+    res.json({ threads: await threads.listThreads(req.userId) });
+  } catch (err) {
+    console.error('Thread store error (list):', err?.message || err);
+    res.status(500).json({ error: 'Thread store error.' });
+  }
+});
+
+app.get('/api/threads/:id', requireUser, validThreadId, async (req, res) => {
+  try {
+    const thread = await threads.getThread(req.userId, req.params.id);
+    if (!thread) return res.status(404).json({ error: 'Thread not found.' });
+    res.json(thread);
+  } catch (err) {
+    console.error('Thread store error (get):', err?.message || err);
+    res.status(500).json({ error: 'Thread store error.' });
+  }
+});
+
+app.put('/api/threads/:id', requireUser, validThreadId, async (req, res) => {
+  try {
+    const result = await threads.putThread(req.userId, req.params.id, req.body);
+    if (result.conflict) return res.status(409).json({ error: 'Server copy is newer.', thread: result.conflict });
+    res.json(result.thread);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Thread store error (put):', err?.message || err);
+    res.status(500).json({ error: 'Thread store error.' });
+  }
+});
+
+app.delete('/api/threads/:id', requireUser, validThreadId, async (req, res) => {
+  try {
+    await threads.deleteThread(req.userId, req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Thread store error (delete):', err?.message || err);
+    res.status(500).json({ error: 'Thread store error.' });
+  }
+});
+
+// GET /api/collections -> { items: [{ id, name, collapsed }], updatedAt }
+// PUT /api/collections -> replace (409 + { collections } if the server copy is newer)
+app.get('/api/collections', requireUser, async (req, res) => {
+  try {
+    res.json(await threads.getCollections(req.userId));
+  } catch (err) {
+    console.error('Thread store error (collections):', err?.message || err);
+    res.status(500).json({ error: 'Thread store error.' });
+  }
+});
+
+app.put('/api/collections', requireUser, async (req, res) => {
+  try {
+    const result = await threads.putCollections(req.userId, req.body);
+    if (result.conflict) return res.status(409).json({ error: 'Server copy is newer.', collections: result.conflict });
+    res.json(result.collections);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Thread store error (collections):', err?.message || err);
+    res.status(500).json({ error: 'Thread store error.' });
+  }
+});
+
+// ---- Share links ----
+// POST   /api/shares        -> create a read-only snapshot { threadId, title, messages, expiresInDays }
+// GET    /api/shares        -> { shares: [...] } (the caller's links)
+// GET    /api/shares/:slug  -> public snapshot (no auth)
+// DELETE /api/shares/:slug  -> revoke
+app.post('/api/shares', requireUser, async (req, res) => {
+  try {
+    const share = await shares.createShare(req.userId, req.body || {});
+    res.status(201).json({ ...share, url: `/s/${share.slug}` });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Share store error (create):', err?.message || err);
+    res.status(500).json({ error: 'Share store error.' });
+  }
+});
+
+app.get('/api/shares', requireUser, async (req, res) => {
+  try {
+    res.json({ shares: await shares.listShares(req.userId) });
+  } catch (err) {
+    console.error('Share store error (list):', err?.message || err);
+    res.status(500).json({ error: 'Share store error.' });
+  }
+});
+
+app.get('/api/shares/:slug', async (req, res) => {
+  try {
+    const share = await shares.getShare(req.params.slug);
+    if (!share) return res.status(404).json({ error: 'This link does not exist, has expired or was revoked.' });
+    res.set('X-Robots-Tag', 'noindex');
+    res.json(share);
+  } catch (err) {
+    console.error('Share store error (get):', err?.message || err);
+    res.status(500).json({ error: 'Share store error.' });
+  }
+});
+
+app.delete('/api/shares/:slug', requireUser, async (req, res) => {
+  try {
+    const existed = await shares.revokeShare(req.userId, req.params.slug);
+    if (!existed) return res.status(404).json({ error: 'Share not found.' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Share store error (revoke):', err?.message || err);
+    res.status(500).json({ error: 'Share store error.' });
+  }
+});
+
+// The read-only page itself; it fetches /api/shares/:slug and renders like the chat view.
+app.get('/s/:slug', async (req, res) => {
+  const share = await shares.getShare(req.params.slug).catch(() => null);
+  res.set('X-Robots-Tag', 'noindex');
+  res.status(share ? 200 : 404).sendFile(path.join(__dirname, 'public', 'share.html'));
+});
+
 // SPA fallback: serve index.html
 app.get('*', (_req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+jobs.configure({
+  baseUrl: providers.PPLX_BASE_URL,
+  serverKey: auth.SERVER_API_KEY,
+  onUsage: (userId, id, usage) => limits.recordUsage(userId, usage, { once: `async:${id}` }),
+});
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
+  if (providers.PPLX_MOCK) console.log('Mock mode: Perplexity calls are served by /mock (any API key works).');
+  if (auth.SERVER_API_KEY) {
+    auth.countUsers().then((n) => {
+      console.log(`Team mode: server-held API key, ${n} account(s).`);
+      if (!n) console.warn('No accounts yet. Add one with: npm run users -- add <username> <password>');
+    }).catch((err) => console.error('Account store error:', err?.message || err));
+  }
+  jobs.resumeAll().catch((err) => console.error('Job resume error:', err?.message || err));
+  uploads.startSweeper();
 });